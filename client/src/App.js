@@ -1,25 +1,58 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
 import axios from 'axios';
+import {
+  BrowserRouter, Routes, Route, Link, Navigate, useNavigate, useParams, useLocation, useSearchParams
+} from 'react-router-dom';
 import { 
   User, Edit3, Trash2, Plus, Moon, Sun, LogOut,
   MessageCircle, Tag, Calendar, Search, Eye, Edit, Save, X, 
-  AlertCircle, CheckCircle, Home, PenTool
+  AlertCircle, CheckCircle, Home, PenTool, Users, Ban, UserCheck,
+  FileText, Clock, History, RotateCcw, Link as LinkIcon, ArrowLeft,
+  Image, Upload, ShieldCheck, Check, XCircle, AlertOctagon, Monitor, Mail, KeyRound,
+  Inbox, Send, Quote, FolderTree, Layers, ArrowRight, Rss
 } from 'lucide-react';
 
 // API Configuration
 const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
 
+// The refresh token lives in an httpOnly cookie, so requests carry credentials
 const api = axios.create({
   baseURL: `${API_BASE_URL}/api`,
   timeout: 10000,
+  withCredentials: true,
 });
 
+// Short-lived access token, kept in memory only
+let accessToken = null;
+let refreshRequest = null;
+let onSessionExpired = () => {};
+let onTwoFactorSetupRequired = () => {};
+
+const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+// Exchange the refresh cookie for a new access token. Requests that fail
+// at the same time share a single refresh.
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = api.post('/auth/refresh', null, { skipAuthRefresh: true })
+      .then(response => {
+        setAccessToken(response.data.token);
+        return response.data;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Request interceptor to add token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('blogToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -28,13 +61,24 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Response interceptor: when the access token has expired, refresh it
+// once and retry the request. If that fails the session is over.
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('blogToken');
-      window.location.reload();
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status === 403 && response.data?.twoFactorSetupRequired) {
+      onTwoFactorSetupRequired();
+    }
+    if (response?.status === 401 && config && !config.skipAuthRefresh && !config.retried) {
+      config.retried = true;
+      try {
+        await refreshAccessToken();
+        return api(config);
+      } catch (refreshError) {
+        setAccessToken(null);
+        onSessionExpired();
+      }
     }
     return Promise.reject(error);
   }
@@ -68,7 +112,8 @@ const useNotification = () => {
 const NotificationProvider = ({ children }) => {
   const [notifications, setNotifications] = useState([]);
 
-  const showNotification = (message, type = 'info', duration = 5000) => {
+  // Kept the same between renders, so effects can depend on them
+  const showNotification = useCallback((message, type = 'info', duration = 5000) => {
     const id = Date.now();
     const notification = { id, message, type };
     
@@ -77,11 +122,11 @@ const NotificationProvider = ({ children }) => {
     setTimeout(() => {
       setNotifications(prev => prev.filter(n => n.id !== id));
     }, duration);
-  };
+  }, []);
 
-  const removeNotification = (id) => {
+  const removeNotification = useCallback((id) => {
     setNotifications(prev => prev.filter(n => n.id !== id));
-  };
+  }, []);
 
   return (
     <NotificationContext.Provider value={{ showNotification, removeNotification }}>
@@ -193,30 +238,62 @@ const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const { showNotification } = useNotification();
 
+  // Resume the session from the refresh cookie, if there is one
   useEffect(() => {
-    const token = localStorage.getItem('blogToken');
-    if (token) {
-      api.get('/auth/me')
-        .then(response => {
-          if (response.data.success) {
-            setUser(response.data.user);
-          }
-        })
-        .catch(() => {
-          localStorage.removeItem('blogToken');
-        })
-        .finally(() => setLoading(false));
-    } else {
-      setLoading(false);
-    }
+    // Tokens used to be kept in localStorage
+    localStorage.removeItem('blogToken');
+
+    refreshAccessToken()
+      .then(data => setUser(data.user))
+      .catch(() => setUser(null))
+      .finally(() => setLoading(false));
   }, []);
 
+  useEffect(() => {
+    onSessionExpired = () => {
+      if (user) {
+        showNotification('Your session has expired. Please sign in again.', 'info');
+      }
+      setUser(null);
+    };
+    // The site may start requiring two-factor sign-in mid-session
+    onTwoFactorSetupRequired = () => {
+      if (user && !user.twoFactorSetupRequired) {
+        setUser({ ...user, twoFactorSetupRequired: true });
+      }
+    };
+    return () => {
+      onSessionExpired = () => {};
+      onTwoFactorSetupRequired = () => {};
+    };
+  });
+
+  // With two-factor sign-in enabled the password only returns a challenge,
+  // completed with completeTwoFactorLogin
   const login = async (credentials) => {
     try {
-      const response = await api.post('/auth/login', credentials);
+      const response = await api.post('/auth/login', credentials, { skipAuthRefresh: true });
+      if (response.data.success) {
+        if (!response.data.twoFactorRequired) {
+          setAccessToken(response.data.token);
+          setUser(response.data.user);
+          showNotification('Login successful!', 'success');
+        }
+        return response.data;
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
+      showNotification(message, 'error');
+      throw error;
+    }
+  };
+
+  const completeTwoFactorLogin = async (challenge) => {
+    try {
+      const response = await api.post('/auth/login/2fa', challenge, { skipAuthRefresh: true });
       if (response.data.success) {
+        setAccessToken(response.data.token);
         setUser(response.data.user);
-        localStorage.setItem('blogToken', response.data.token);
         showNotification('Login successful!', 'success');
         return response.data;
       }
@@ -229,10 +306,10 @@ const AuthProvider = ({ children }) => {
 
   const register = async (userData) => {
     try {
-      const response = await api.post('/auth/register', userData);
+      const response = await api.post('/auth/register', userData, { skipAuthRefresh: true });
       if (response.data.success) {
+        setAccessToken(response.data.token);
         setUser(response.data.user);
-        localStorage.setItem('blogToken', response.data.token);
         showNotification('Registration successful!', 'success');
         return response.data;
       }
@@ -243,19 +320,204 @@ const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const refreshUser = async () => {
+    const response = await api.get('/auth/me');
+    setUser(response.data.user);
+  };
+
+  // Revoke the session on the server; signing out locally happens either way
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout', null, { skipAuthRefresh: true });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    setAccessToken(null);
     setUser(null);
-    localStorage.removeItem('blogToken');
     showNotification('Logged out successfully', 'success');
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, register, logout, loading }}>
+    <AuthContext.Provider value={{ user, login, completeTwoFactorLogin, register, logout, refreshUser, loading }}>
       {children}
     </AuthContext.Provider>
   );
 };
 
+// Post status helpers
+const POST_STATUS_LABELS = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+const POST_STATUS_STYLES = {
+  draft: 'bg-gray-200 text-gray-800 dark:bg-gray-600 dark:text-gray-100',
+  scheduled: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  published: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  archived: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+};
+
+// Mirrors the server's tag normalization, so "React " and "react" are one tag
+const normalizeTag = (tag = '') => tag.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Mirrors the server's slug rules so the editor can preview URLs
+const slugify = (text = '') => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/g, '');
+
+// Plain-text excerpt of a post for cards and lists. Uses the rendered
+// HTML when available so Markdown syntax doesn't leak into the preview.
+const getExcerpt = (post, length = 150) => {
+  const text = post.bodyHtml
+    ? new DOMParser().parseFromString(post.bodyHtml, 'text/html').body.textContent.trim()
+    : post.body;
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+};
+
+// Format a date for a datetime-local input, which expects local time
+const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const PostStatusBadge = ({ post }) => {
+  if (!post.status || post.status === 'published') return null;
+
+  return (
+    <span className={`inline-flex items-center px-2 py-1 text-xs rounded-full ${POST_STATUS_STYLES[post.status]}`}>
+      {post.status === 'scheduled' && <Clock size={12} className="mr-1" />}
+      {POST_STATUS_LABELS[post.status]}
+      {post.status === 'scheduled' && post.publishAt && ` · ${new Date(post.publishAt).toLocaleString()}`}
+    </span>
+  );
+};
+
+// Editorial review helpers. Approved posts are published, so only the
+// states still waiting on someone get a badge.
+const REVIEW_STATE_LABELS = {
+  in_review: 'In review',
+  changes_requested: 'Changes requested'
+};
+
+const REVIEW_STATE_STYLES = {
+  in_review: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  changes_requested: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'
+};
+
+const ReviewStateBadge = ({ post }) => {
+  if (!REVIEW_STATE_LABELS[post.reviewState]) return null;
+
+  return (
+    <span className={`inline-flex items-center px-2 py-1 text-xs rounded-full ${REVIEW_STATE_STYLES[post.reviewState]}`}>
+      {REVIEW_STATE_LABELS[post.reviewState]}
+    </span>
+  );
+};
+
+// "alice, bob and carol"
+const formatNames = (users = []) => {
+  const names = users.map(user => user.username);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+};
+
+// Categories rarely change, so one request serves every component that
+// lists them. Pass refresh after editing them.
+let categoriesRequest = null;
+
+const loadCategories = (refresh = false) => {
+  if (!categoriesRequest || refresh) {
+    categoriesRequest = api.get('/categories')
+      .then(response => response.data.categories)
+      .catch(error => {
+        categoriesRequest = null;
+        throw error;
+      });
+  }
+  return categoriesRequest;
+};
+
+const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    loadCategories()
+      .then(list => active && setCategories(list))
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return categories;
+};
+
+// Categories in display order with each one's depth, subcategories
+// following their parent
+const orderCategories = (categories) => {
+  const ids = new Set(categories.map(category => category._id));
+  const childrenOf = (parent) => categories.filter(category => (
+    parent ? category.parent === parent : !category.parent || !ids.has(category.parent)
+  ));
+  const walk = (parent, depth) => childrenOf(parent).flatMap(category => [
+    { ...category, depth },
+    ...walk(category._id, depth + 1)
+  ]);
+  return walk(null, 0);
+};
+
+const CategoryOptions = ({ categories }) => orderCategories(categories).map(category => (
+  <option key={category._id} value={category.name}>
+    {'\u2014 '.repeat(category.depth)}{category.name}
+  </option>
+));
+
+// Link to a category's posts, marked with its colour
+const CategoryBadge = ({ name, className }) => {
+  const { colors } = useTheme();
+  const category = useCategories().find(other => other.name === name);
+
+  return (
+    <Link
+      to={`/category/${encodeURIComponent(name)}`}
+      className={`inline-flex items-center ${className} rounded-full ${colors.accent} hover:underline`}
+      title={category?.description}
+    >
+      {category && <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: category.color }} />}
+      {name}
+    </Link>
+  );
+};
+
+// Go back when there is history to go back to, otherwise go home
+const useGoBack = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  return () => (location.key !== 'default' ? navigate(-1) : navigate('/'));
+};
+
+// Whether the user holds a permission, such as "post:edit". The server
+// sends each user's permissions; ":own" ones only cover what they created
+// or co-wrote.
+const can = (user, action, resource) => {
+  const permissions = user?.permissions || [];
+  if (permissions.includes(action) || permissions.includes(`${action}:any`)) return true;
+  if (!permissions.includes(`${action}:own`)) return false;
+  if (!resource) return true;
+
+  const owners = [resource.author || resource.userID || resource.owner, ...(resource.coAuthors || [])];
+  return owners.some(owner => owner && (owner._id || owner) === user.id);
+};
+
 // Loading Component
 const LoadingSpinner = ({ size = 'md' }) => {
   const sizes = {
@@ -270,23 +532,47 @@ const LoadingSpinner = ({ size = 'md' }) => {
 };
 
 // Header Component
-const Header = ({ activeView, setActiveView }) => {
+const Header = () => {
   const { colors, toggleTheme, isDark } = useTheme();
   const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+
+  const activeView = {
+    '/': 'posts',
+    '/new': 'create',
+    '/drafts': 'drafts',
+    '/moderation': 'moderation',
+    '/reviews': 'reviews',
+    '/categories': 'categories',
+    '/users': 'users'
+  }[pathname];
+
+  const canUseReviews = can(user, 'post:create') || can(user, 'post:review');
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Check for new notifications whenever the reader moves around
+  useEffect(() => {
+    if (!canUseReviews) return;
+
+    api.get('/notifications', { params: { limit: 1 } })
+      .then(response => setUnreadCount(response.data.unreadCount))
+      .catch(() => {});
+  }, [canUseReviews, pathname]);
 
   return (
     <header className={`${colors.secondary} ${colors.border} border-b sticky top-0 z-40 backdrop-blur-sm bg-opacity-90`}>
       <div className="container mx-auto px-4 py-4">
         <div className="flex justify-between items-center">
           <div className="flex items-center space-x-6">
-            <h1 className="text-2xl font-bold cursor-pointer" onClick={() => setActiveView('posts')}>
+            <h1 className="text-2xl font-bold cursor-pointer" onClick={() => navigate('/')}>
               ModernBlog
             </h1>
             
             {user && (
               <nav className="hidden md:flex space-x-4">
                 <button
-                  onClick={() => setActiveView('posts')}
+                  onClick={() => navigate('/')}
                   className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
                     activeView === 'posts' ? colors.button : colors.buttonSecondary
                   }`}
@@ -295,9 +581,9 @@ const Header = ({ activeView, setActiveView }) => {
                   <span>Posts</span>
                 </button>
                 
-                {(user.role === 'Admin' || user.role === 'Editor') && (
+                {can(user, 'post:create') && (
                   <button
-                    onClick={() => setActiveView('create')}
+                    onClick={() => navigate('/new')}
                     className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
                       activeView === 'create' ? colors.button : colors.buttonSecondary
                     }`}
@@ -306,6 +592,69 @@ const Header = ({ activeView, setActiveView }) => {
                     <span>Write</span>
                   </button>
                 )}
+
+                {can(user, 'post:create') && (
+                  <button
+                    onClick={() => navigate('/drafts')}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      activeView === 'drafts' ? colors.button : colors.buttonSecondary
+                    }`}
+                  >
+                    <FileText size={16} />
+                    <span>My Drafts</span>
+                  </button>
+                )}
+
+                {canUseReviews && (
+                  <button
+                    onClick={() => navigate('/reviews')}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      activeView === 'reviews' ? colors.button : colors.buttonSecondary
+                    }`}
+                  >
+                    <Inbox size={16} />
+                    <span>Reviews</span>
+                    {unreadCount > 0 && (
+                      <span className="px-2 text-xs rounded-full bg-red-500 text-white">{unreadCount}</span>
+                    )}
+                  </button>
+                )}
+
+                {can(user, 'comment:moderate') && (
+                  <button
+                    onClick={() => navigate('/moderation')}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      activeView === 'moderation' ? colors.button : colors.buttonSecondary
+                    }`}
+                  >
+                    <ShieldCheck size={16} />
+                    <span>Moderation</span>
+                  </button>
+                )}
+
+                {can(user, 'category:manage') && (
+                  <button
+                    onClick={() => navigate('/categories')}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      activeView === 'categories' ? colors.button : colors.buttonSecondary
+                    }`}
+                  >
+                    <FolderTree size={16} />
+                    <span>Categories</span>
+                  </button>
+                )}
+
+                {can(user, 'user:manage') && (
+                  <button
+                    onClick={() => navigate('/users')}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      activeView === 'users' ? colors.button : colors.buttonSecondary
+                    }`}
+                  >
+                    <Users size={16} />
+                    <span>Users</span>
+                  </button>
+                )}
               </nav>
             )}
           </div>
@@ -325,7 +674,21 @@ const Header = ({ activeView, setActiveView }) => {
                   <p className={`text-xs ${colors.textSecondary}`}>{user.role}</p>
                 </div>
                 <button
-                  onClick={logout}
+                  onClick={() => navigate('/security')}
+                  className={`p-2 rounded-full ${pathname === '/security' ? colors.button : colors.buttonSecondary} transition-colors`}
+                  title="Two-factor authentication"
+                >
+                  <KeyRound size={16} />
+                </button>
+                <button
+                  onClick={() => navigate('/sessions')}
+                  className={`p-2 rounded-full ${pathname === '/sessions' ? colors.button : colors.buttonSecondary} transition-colors`}
+                  title="Your sessions"
+                >
+                  <Monitor size={16} />
+                </button>
+                <button
+                  onClick={() => logout()}
                   className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
                   title="Logout"
                 >
@@ -334,7 +697,7 @@ const Header = ({ activeView, setActiveView }) => {
               </div>
             ) : (
               <button
-                onClick={() => setActiveView('auth')}
+                onClick={() => navigate('/login')}
                 className={`${colors.button} px-4 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105`}
               >
                 Sign In
@@ -347,28 +710,86 @@ const Header = ({ activeView, setActiveView }) => {
   );
 };
 
+// Reasons single sign-on can send the reader back to the sign-in page
+const OIDC_ERRORS = {
+  access_denied: 'Sign-in was cancelled',
+  email_missing: 'Your identity provider did not share an email address',
+  email_unverified: 'Your email address is not verified with your identity provider',
+  suspended: 'This account has been suspended',
+  login_expired: 'Your sign-in attempt has expired, please try again',
+  provider_unavailable: 'Single sign-on is unavailable right now',
+  login_failed: 'Single sign-on failed, please try again'
+};
+
 // Auth Component
 const AuthForm = ({ onSuccess }) => {
   const { colors } = useTheme();
   const { login, register, loading } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const { pathname, search, hash } = useLocation();
   const [isRegister, setIsRegister] = useState(false);
+  const [isForgot, setIsForgot] = useState(false);
+  const [singleSignOn, setSingleSignOn] = useState(null);
+  // Single sign-on hands over to the two-factor step in the URL fragment
+  const [challengeToken, setChallengeToken] = useState(
+    () => new URLSearchParams(hash.slice(1)).get('twoFactorChallenge')
+  );
   const [formData, setFormData] = useState({
     username: '',
     email: '',
-    password: '',
-    role: 'User'
+    password: ''
   });
 
+  useEffect(() => {
+    api.get('/auth/oidc')
+      .then(response => setSingleSignOn(response.data.enabled ? response.data : null))
+      .catch(() => setSingleSignOn(null));
+  }, []);
+
+  useEffect(() => {
+    const error = new URLSearchParams(search).get('oidcError');
+    if (error) {
+      showNotification(OIDC_ERRORS[error] || OIDC_ERRORS.login_failed, 'error');
+    }
+    if (error || hash) {
+      navigate(pathname, { replace: true });
+    }
+  }, [search, hash, pathname, navigate, showNotification]);
+
+  const handleSingleSignOn = () => {
+    const returnTo = pathname === '/login' ? '/' : `${pathname}${search}`;
+    window.location.assign(`${API_BASE_URL}/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`);
+  };
+
+  if (isForgot) {
+    return <ForgotPassword initialEmail={formData.email} onBack={() => setIsForgot(false)} />;
+  }
+
+  if (challengeToken) {
+    return (
+      <TwoFactorLogin
+        challengeToken={challengeToken}
+        onSuccess={onSuccess}
+        onBack={() => setChallengeToken(null)}
+      />
+    );
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       if (isRegister) {
         await register(formData);
       } else {
-        await login({
+        const data = await login({
           email: formData.email,
           password: formData.password
         });
+        if (data?.twoFactorRequired) {
+          setChallengeToken(data.challengeToken);
+          return;
+        }
       }
       onSuccess?.();
     } catch (error) {
@@ -422,18 +843,17 @@ const AuthForm = ({ onSuccess }) => {
             className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all`}
             required
           />
-          
-          {isRegister && (
-            <select
-              name="role"
-              value={formData.role}
-              onChange={handleChange}
-              className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
-            >
-              <option value="User">User</option>
-              <option value="Editor">Editor</option>
-              <option value="Admin">Admin</option>
-            </select>
+
+          {!isRegister && (
+            <div className="text-right">
+              <button
+                type="button"
+                onClick={() => setIsForgot(true)}
+                className={`${colors.textSecondary} text-sm hover:underline`}
+              >
+                Forgot password?
+              </button>
+            </div>
           )}
           
           <button
@@ -451,12 +871,30 @@ const AuthForm = ({ onSuccess }) => {
             )}
           </button>
         </form>
+
+        {singleSignOn && !isRegister && (
+          <>
+            <div className={`flex items-center my-6 ${colors.textSecondary} text-sm`}>
+              <div className={`flex-1 border-t ${colors.border}`} />
+              <span className="px-3">or</span>
+              <div className={`flex-1 border-t ${colors.border}`} />
+            </div>
+            <button
+              type="button"
+              onClick={handleSingleSignOn}
+              className={`w-full py-3 rounded-lg ${colors.buttonSecondary} font-medium transition-all duration-200 hover:scale-105 flex items-center justify-center space-x-2`}
+            >
+              <KeyRound size={16} />
+              <span>Sign in with {singleSignOn.name}</span>
+            </button>
+          </>
+        )}
         
         <div className="mt-6 text-center">
           <button
             onClick={() => {
               setIsRegister(!isRegister);
-              setFormData({ username: '', email: '', password: '', role: 'User' });
+              setFormData({ username: '', email: '', password: '' });
             }}
             className={`${colors.textSecondary} hover:underline`}
           >
@@ -470,70 +908,476 @@ const AuthForm = ({ onSuccess }) => {
   );
 };
 
-// Post Card Component
-const PostCard = ({ post, onEdit, onDelete, onView }) => {
+// Two-Factor Login Component
+const TwoFactorLogin = ({ challengeToken, onSuccess, onBack }) => {
   const { colors } = useTheme();
-  const { user } = useAuth();
-  const { showNotification } = useNotification();
-
-  const canEdit = user && (user.role === 'Admin' || user.role === 'Editor');
-  const canDelete = user && (user.role === 'Admin' || post.author.username === user.username);
+  const { completeTwoFactorLogin } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
-  const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this post?')) {
-      try {
-        await api.delete(`/posts/${post._id}`);
-        onDelete(post._id);
-        showNotification('Post deleted successfully', 'success');
-      } catch (error) {
-        showNotification('Failed to delete post', 'error');
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await completeTwoFactorLogin({
+        challengeToken,
+        [useRecoveryCode ? 'recoveryCode' : 'code']: value.trim()
+      });
+      onSuccess?.();
+    } catch (error) {
+      // An expired challenge means starting over with the password
+      if (error.response?.status === 401) {
+        onBack();
       }
+      setValue('');
+      setSubmitting(false);
     }
   };
 
   return (
-    <article className={`${colors.secondary} rounded-lg shadow-lg p-6 hover:shadow-xl transition-all duration-300 border ${colors.border} fade-in`}>
-      <div className="flex justify-between items-start mb-4">
-        <div className="flex-1">
-          <h2 
-            className="text-2xl font-bold mb-2 hover:underline cursor-pointer line-clamp-2" 
-            onClick={() => onView(post)}
+    <div className="min-h-[80vh] flex items-center justify-center py-12 px-4">
+      <div className={`max-w-md w-full ${colors.secondary} rounded-lg shadow-lg p-6`}>
+        <h2 className="text-3xl font-bold mb-6 text-center">Two-Factor Authentication</h2>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className={`${colors.textSecondary} text-sm`}>
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+          <input
+            type="text"
+            placeholder={useRecoveryCode ? 'Recovery code' : '123456'}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all text-center tracking-widest`}
+            required
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className={`w-full py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
           >
-            {post.title}
-          </h2>
-          <div className="flex items-center space-x-4 text-sm mb-3">
-            <span className={`${colors.textSecondary} flex items-center`}>
-              <User size={16} className="mr-1" />
-              {post.author.username}
-            </span>
-            <span className={`${colors.textSecondary} flex items-center`}>
-              <Calendar size={16} className="mr-1" />
-              {new Date(post.createdAt).toLocaleDateString()}
-            </span>
-            {post.category && (
-              <span className={`px-2 py-1 text-xs rounded-full ${colors.accent}`}>
-                {post.category}
-              </span>
-            )}
-            {post.views > 0 && (
-              <span className={`${colors.textSecondary} flex items-center text-xs`}>
-                <Eye size={12} className="mr-1" />
-                {post.views}
-              </span>
-            )}
-          </div>
+            {submitting ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+
+        <div className="mt-6 flex justify-between">
+          <button onClick={onBack} className={`${colors.textSecondary} hover:underline`}>
+            Back to sign in
+          </button>
+          <button
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setValue('');
+            }}
+            className={`${colors.textSecondary} hover:underline`}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
         </div>
-        
-        {(canEdit || canDelete) && (
-          <div className="flex space-x-2 ml-4">
-            {canEdit && (
-              <button
-                onClick={() => onEdit(post)}
-                className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
-                title="Edit Post"
-              >
-                <Edit size={16} />
-              </button>
+      </div>
+    </div>
+  );
+};
+
+// Forgot Password Component
+const ForgotPassword = ({ initialEmail = '', onBack }) => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const [email, setEmail] = useState(initialEmail);
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await api.post('/auth/forgot-password', { email: email.trim() });
+      setSent(true);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send reset link';
+      showNotification(message, 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center py-12 px-4">
+      <div className={`max-w-md w-full ${colors.secondary} rounded-lg shadow-lg p-6`}>
+        <h2 className="text-3xl font-bold mb-6 text-center">Reset Password</h2>
+
+        {sent ? (
+          <div className="text-center space-y-4">
+            <Mail size={48} className="mx-auto text-blue-500" />
+            <p className={colors.textSecondary}>
+              If an account exists for <span className="font-medium">{email}</span>, we've sent a link
+              to reset its password. The link expires in 1 hour.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className={`${colors.textSecondary} text-sm`}>
+              Enter the email address you signed up with and we'll send you a reset link.
+            </p>
+            <input
+              type="email"
+              placeholder="Email Address"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all`}
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`w-full py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+            >
+              {submitting ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <button onClick={onBack} className={`${colors.textSecondary} hover:underline`}>
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Reset Password Component
+const ResetPassword = () => {
+  const { colors } = useTheme();
+  const { user, logout } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      showNotification('Passwords do not match', 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await api.post('/auth/reset-password', { token, password }, { skipAuthRefresh: true });
+      showNotification(response.data.message, 'success');
+      // Every session was signed out on the server, including this one
+      if (user) {
+        await logout();
+      }
+      navigate('/login', { replace: true });
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to reset password';
+      showNotification(message, 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center py-12 px-4">
+      <div className={`max-w-md w-full ${colors.secondary} rounded-lg shadow-lg p-6`}>
+        <h2 className="text-3xl font-bold mb-6 text-center">Choose a New Password</h2>
+
+        {!token ? (
+          <p className={`${colors.textSecondary} text-center`}>
+            This reset link is incomplete. Please use the link from your email.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="password"
+              placeholder="New Password"
+              value={password}
+              minLength={6}
+              onChange={(e) => setPassword(e.target.value)}
+              className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all`}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Confirm New Password"
+              value={confirmPassword}
+              minLength={6}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all`}
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`w-full py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+            >
+              {submitting ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Verify Email Component
+const VerifyEmail = () => {
+  const { colors } = useTheme();
+  const { user, refreshUser } = useAuth();
+  const { showNotification } = useNotification();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'idle');
+  const [message, setMessage] = useState('');
+  const [resending, setResending] = useState(false);
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    api.post('/auth/verify-email', { token }, { skipAuthRefresh: true })
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.data.message);
+        if (user) {
+          refreshUser().catch(() => {});
+        }
+      })
+      .catch(error => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      });
+  }, [token, user, refreshUser]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await api.post('/auth/resend-verification');
+      showNotification(response.data.message, 'success');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      showNotification(message, 'error');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const canResend = user && !user.emailVerified && status !== 'verifying' && status !== 'verified';
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center py-12 px-4">
+      <div className={`max-w-md w-full ${colors.secondary} rounded-lg shadow-lg p-6 text-center space-y-4`}>
+        <h2 className="text-3xl font-bold">Verify Your Email</h2>
+
+        {status === 'verifying' && (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner size="lg" />
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle size={48} className="mx-auto text-green-500" />
+            <p className={colors.textSecondary}>{message}</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <AlertCircle size={48} className="mx-auto text-red-500" />
+            <p className={colors.textSecondary}>{message}</p>
+          </>
+        )}
+
+        {status === 'idle' && (
+          <>
+            <Mail size={48} className="mx-auto text-blue-500" />
+            {user && user.emailVerified ? (
+              <p className={colors.textSecondary}>Your email address is already verified.</p>
+            ) : user ? (
+              <p className={colors.textSecondary}>
+                We sent a verification link to <span className="font-medium">{user.email}</span>.
+                Open it to confirm your address.
+              </p>
+            ) : (
+              <p className={colors.textSecondary}>Open the link from your verification email to continue.</p>
+            )}
+          </>
+        )}
+
+        {canResend && (
+          <button
+            onClick={handleResend}
+            disabled={resending}
+            className={`${colors.button} px-6 py-2 rounded-lg font-medium disabled:opacity-50`}
+          >
+            {resending ? 'Sending...' : 'Resend verification email'}
+          </button>
+        )}
+
+        <div>
+          <Link to="/" className={`${colors.textSecondary} hover:underline`}>
+            {user ? 'Back to posts' : 'Back to sign in'}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'insightful', emoji: '💡', label: 'Insightful' },
+  { type: 'funny', emoji: '😂', label: 'Funny' },
+  { type: 'celebrate', emoji: '🎉', label: 'Celebrate' }
+];
+
+// Reaction Bar Component
+const ReactionBar = ({ targetType, target, onChange, size = 'md' }) => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const [saving, setSaving] = useState(null);
+
+  const counts = target.reactions || {};
+  const mine = target.myReactions || [];
+
+  const handleToggle = async (type) => {
+    if (!user) {
+      showNotification('Sign in to react', 'info');
+      return;
+    }
+
+    setSaving(type);
+    try {
+      const response = await api.post('/reactions', { targetType, targetID: target._id, type });
+      const { reacted, reactions, reactionCount } = response.data;
+      onChange({
+        reactions,
+        reactionCount,
+        myReactions: reacted ? [...mine.filter(other => other !== type), type] : mine.filter(other => other !== type)
+      });
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save reaction';
+      showNotification(message, 'error');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {REACTIONS.map(({ type, emoji, label }) => {
+        const count = counts[type] || 0;
+        const active = mine.includes(type);
+
+        return (
+          <button
+            key={type}
+            type="button"
+            onClick={() => handleToggle(type)}
+            disabled={saving === type}
+            title={active ? `Remove ${label.toLowerCase()}` : label}
+            className={`flex items-center space-x-1 rounded-full border transition-colors disabled:opacity-50 ${
+              size === 'sm' ? 'px-2 py-0.5 text-xs' : 'px-3 py-1 text-sm'
+            } ${active ? 'border-blue-500 bg-blue-50 dark:bg-blue-900' : `${colors.border} ${colors.buttonSecondary}`}`}
+          >
+            <span>{emoji}</span>
+            {count > 0 && <span>{count}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Post Card Component
+const PostCard = ({ post, onEdit, onDelete, onView, onChange }) => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+
+  const canEdit = can(user, 'post:edit', post);
+  const canDelete = can(user, 'post:delete', post);
+
+  const handleDelete = async () => {
+    if (window.confirm('Are you sure you want to delete this post?')) {
+      try {
+        await api.delete(`/posts/${post._id}`);
+        onDelete(post._id);
+        showNotification('Post deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Failed to delete post', 'error');
+      }
+    }
+  };
+
+  return (
+    <article className={`${colors.secondary} rounded-lg shadow-lg p-6 hover:shadow-xl transition-all duration-300 border ${colors.border} fade-in`}>
+      {post.coverImage && (
+        <img
+          src={post.coverImage}
+          alt=""
+          className="w-full h-40 object-cover rounded-lg mb-4 cursor-pointer"
+          onClick={() => onView(post)}
+        />
+      )}
+      <div className="flex justify-between items-start mb-4">
+        <div className="flex-1">
+          <h2 
+            className="text-2xl font-bold mb-2 hover:underline cursor-pointer line-clamp-2" 
+            onClick={() => onView(post)}
+          >
+            {post.title}
+          </h2>
+          <div className="flex items-center space-x-4 text-sm mb-3">
+            <Link
+              to={`/authors/${encodeURIComponent(post.author.username)}`}
+              className={`${colors.textSecondary} flex items-center hover:underline`}
+            >
+              <User size={16} className="mr-1" />
+              {post.author.username}
+            </Link>
+            <span className={`${colors.textSecondary} flex items-center`}>
+              <Calendar size={16} className="mr-1" />
+              {new Date(post.createdAt).toLocaleDateString()}
+            </span>
+            {post.category && <CategoryBadge name={post.category} className="px-2 py-1 text-xs" />}
+            <PostStatusBadge post={post} />
+            {post.views > 0 && (
+              <span className={`${colors.textSecondary} flex items-center text-xs`}>
+                <Eye size={12} className="mr-1" />
+                {post.views}
+              </span>
+            )}
+          </div>
+        </div>
+        
+        {(canEdit || canDelete) && (
+          <div className="flex space-x-2 ml-4">
+            {canEdit && (
+              <button
+                onClick={() => onEdit(post)}
+                className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+                title="Edit Post"
+              >
+                <Edit size={16} />
+              </button>
             )}
             {canDelete && (
               <button
@@ -549,19 +1393,20 @@ const PostCard = ({ post, onEdit, onDelete, onView }) => {
       </div>
 
       <div className={`${colors.textSecondary} mb-4 line-clamp-3`}>
-        {post.body.length > 150 ? `${post.body.substring(0, 150)}...` : post.body}
+        {getExcerpt(post)}
       </div>
 
       {post.tags && post.tags.length > 0 && (
         <div className="flex flex-wrap gap-2 mb-4">
           {post.tags.slice(0, 3).map((tag, index) => (
-            <span
+            <Link
               key={index}
-              className={`inline-flex items-center px-2 py-1 text-xs rounded-full ${colors.accent} ${colors.textSecondary}`}
+              to={`/tags/${encodeURIComponent(tag)}`}
+              className={`inline-flex items-center px-2 py-1 text-xs rounded-full ${colors.accent} ${colors.textSecondary} hover:underline`}
             >
               <Tag size={12} className="mr-1" />
               {tag}
-            </span>
+            </Link>
           ))}
           {post.tags.length > 3 && (
             <span className={`text-xs ${colors.textSecondary}`}>
@@ -571,6 +1416,15 @@ const PostCard = ({ post, onEdit, onDelete, onView }) => {
         </div>
       )}
 
+      <div className="mb-4">
+        <ReactionBar
+          targetType="post"
+          target={post}
+          size="sm"
+          onChange={(changes) => onChange(post._id, changes)}
+        />
+      </div>
+
       <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
         <div className="flex items-center space-x-4 text-sm">
           <span className={`${colors.textSecondary} flex items-center`}>
@@ -591,62 +1445,488 @@ const PostCard = ({ post, onEdit, onDelete, onView }) => {
   );
 };
 
-// Post Editor Component
-const PostEditor = ({ post, onSave, onCancel }) => {
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Media Picker Component
+const MediaPicker = ({ onInsert, onSetCover, onClose }) => {
   const { colors } = useTheme();
   const { showNotification } = useNotification();
-  const [formData, setFormData] = useState({
-    title: post?.title || '',
-    body: post?.body || '',
-    category: post?.category || 'General',
-    tags: post?.tags?.join(', ') || ''
-  });
-  const [loading, setLoading] = useState(false);
+  const [media, setMedia] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  useEffect(() => {
     setLoading(true);
-    
+    Promise.all([
+      api.get('/media', { params: { limit: 48 } }),
+      api.get('/media/usage')
+    ])
+      .then(([mediaResponse, usageResponse]) => {
+        setMedia(mediaResponse.data.media);
+        setUsage(usageResponse.data.usage);
+      })
+      .catch(() => showNotification('Failed to load media library', 'error'))
+      .finally(() => setLoading(false));
+  }, [refreshKey, showNotification]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const data = new FormData();
+    data.append('file', file);
+
+    setUploading(true);
     try {
-      const postData = {
-        ...formData,
-        tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
-      };
-      
-      let savedPost;
-      if (post) {
-        const response = await api.put(`/posts/${post._id}`, postData);
-        savedPost = response.data.post;
-        showNotification('Post updated successfully!', 'success');
-      } else {
-        const response = await api.post('/posts', postData);
-        savedPost = response.data.post;
-        showNotification('Post created successfully!', 'success');
-      }
-      
-      onSave(savedPost);
+      await api.post('/media', data, { timeout: 60000 });
+      showNotification('File uploaded!', 'success');
+      setRefreshKey(key => key + 1);
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to save post';
+      const message = error.response?.data?.message || 'Upload failed';
       showNotification(message, 'error');
     } finally {
-      setLoading(false);
+      setUploading(false);
     }
   };
 
-  const handleChange = (e) => {
-    setFormData(prev => ({
-      ...prev,
-      [e.target.name]: e.target.value
-    }));
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete ${item.originalName}? Posts that use it will show a broken link.`)) return;
+
+    try {
+      await api.delete(`/media/${item._id}`);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      showNotification('Failed to delete file', 'error');
+    }
   };
 
   return (
-    <div className="min-h-[80vh] py-8">
-      <div className={`max-w-4xl mx-auto ${colors.secondary} rounded-lg shadow-lg p-6`}>
-        <div className="flex justify-between items-center mb-6">
-          <h2 className="text-3xl font-bold">
-            {post ? 'Edit Post' : 'Create New Post'}
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className={`${colors.secondary} rounded-lg shadow-2xl max-w-4xl max-h-[90vh] overflow-hidden w-full flex flex-col`}>
+        <div className={`flex justify-between items-center p-6 border-b ${colors.border}`}>
+          <div>
+            <h2 className="text-2xl font-bold">Media Library</h2>
+            {usage && (
+              <p className={`${colors.textSecondary} text-sm`}>
+                {formatBytes(usage.used)} of {formatBytes(usage.quota)} used
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-2">
+            <label className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium cursor-pointer transition-all duration-200 hover:scale-105`}>
+              {uploading ? <LoadingSpinner size="sm" /> : <Upload size={16} />}
+              <span>{uploading ? 'Uploading...' : 'Upload'}</span>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/gif,image/webp,application/pdf"
+                onChange={handleUpload}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={onClose}
+              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+              title="Close"
+            >
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : media.length === 0 ? (
+            <p className={`${colors.textSecondary} text-center py-8`}>
+              No files yet. Upload an image to get started.
+            </p>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+              {media.map(item => (
+                <div key={item._id} className={`${colors.accent} rounded-lg overflow-hidden`}>
+                  {item.thumbnailUrl ? (
+                    <img src={item.thumbnailUrl} alt={item.alt || item.originalName} className="w-full h-32 object-cover" />
+                  ) : (
+                    <div className="w-full h-32 flex items-center justify-center">
+                      <FileText size={32} className={colors.textSecondary} />
+                    </div>
+                  )}
+                  <div className="p-2 space-y-2">
+                    <p className="text-xs truncate" title={item.originalName}>{item.originalName}</p>
+                    <div className="flex flex-wrap gap-1">
+                      <button
+                        type="button"
+                        onClick={() => onInsert(item)}
+                        className={`text-xs px-2 py-1 rounded ${colors.button}`}
+                      >
+                        Insert
+                      </button>
+                      {item.isImage && (
+                        <button
+                          type="button"
+                          onClick={() => onSetCover(item)}
+                          className={`text-xs px-2 py-1 rounded ${colors.buttonSecondary}`}
+                        >
+                          Cover
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(item)}
+                        className="text-xs px-2 py-1 rounded text-red-500 hover:text-red-700"
+                        title="Delete File"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Tag Input Component
+// Tags as removable chips, with suggestions from tags already in use.
+// Enter or a comma adds what has been typed.
+const TagInput = ({ value, onChange }) => {
+  const { colors } = useTheme();
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    const prefix = normalizeTag(text);
+    if (!prefix) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      api.get('/tags', { params: { prefix, limit: 8 } })
+        .then(response => setSuggestions(response.data.tags.filter(tag => !value.includes(tag.name))))
+        .catch(() => setSuggestions([]));
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [text, value]);
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && value.length) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className={`flex flex-wrap items-center gap-2 p-2 rounded-lg ${colors.accent} ${colors.border} border`}>
+        {value.map(tag => (
+          <span key={tag} className={`inline-flex items-center px-3 py-1 text-sm rounded-full ${colors.secondary}`}>
+            <Tag size={12} className="mr-1" />
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter(other => other !== tag))}
+              className="ml-1 text-red-500 hover:text-red-700"
+              title={`Remove ${tag}`}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value.replace(',', ''))}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text && addTag(text)}
+          placeholder={value.length ? '' : 'Tags'}
+          className="flex-1 min-w-[6rem] p-1 bg-transparent focus:outline-none"
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <div className={`absolute z-10 mt-1 w-full rounded-lg shadow-lg ${colors.secondary} ${colors.border} border max-h-48 overflow-y-auto`}>
+          {suggestions.map(suggestion => (
+            <button
+              key={suggestion.name}
+              type="button"
+              // Keep the input from blurring and adding the half-typed text
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTag(suggestion.name)}
+              className="flex justify-between w-full text-left px-3 py-2 hover:bg-blue-500 hover:text-white"
+            >
+              <span>{suggestion.name}</span>
+              <span className="text-xs opacity-75">{suggestion.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Collaborator Picker Component
+// Chooses co-authors or reviewers for a post, searching users by name
+const CollaboratorPicker = ({ kind, label, value, onChange }) => {
+  const { colors } = useTheme();
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    if (!search.trim()) {
+      setMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      api.get('/posts/collaborators', { params: { kind, search: search.trim() } })
+        .then(response => setMatches(response.data.users))
+        .catch(() => setMatches([]));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [kind, search]);
+
+  const handleAdd = (added) => {
+    if (!value.some(user => user._id === added._id)) {
+      onChange([...value, added]);
+    }
+    setSearch('');
+  };
+
+  return (
+    <div className="relative">
+      <p className={`${colors.textSecondary} text-sm mb-2`}>{label}</p>
+      <div className={`flex flex-wrap items-center gap-2 p-2 rounded-lg ${colors.accent} ${colors.border} border`}>
+        {value.map(user => (
+          <span key={user._id} className={`inline-flex items-center px-3 py-1 text-sm rounded-full ${colors.secondary}`}>
+            {user.username}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter(other => other._id !== user._id))}
+              className="ml-1 text-red-500 hover:text-red-700"
+              title={`Remove ${user.username}`}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by username"
+          className="flex-1 min-w-[8rem] p-1 bg-transparent focus:outline-none"
+        />
+      </div>
+      {matches.length > 0 && (
+        <div className={`absolute z-10 mt-1 w-full rounded-lg shadow-lg ${colors.secondary} ${colors.border} border max-h-48 overflow-y-auto`}>
+          {matches.map(match => (
+            <button
+              key={match._id}
+              type="button"
+              onClick={() => handleAdd(match)}
+              className="block w-full text-left px-3 py-2 hover:bg-blue-500 hover:text-white"
+            >
+              {match.username}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Post Editor Component
+const PostEditor = ({ post, onSave, onCancel }) => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const [formData, setFormData] = useState({
+    title: post?.title || '',
+    slug: post?.slug || '',
+    body: post?.body || '',
+    category: post?.category || 'General',
+    tags: post?.tags || [],
+    coverImage: post?.coverImage || '',
+    publishAt: toDateTimeLocal(post?.publishAt)
+  });
+  const categories = useCategories();
+  const [coAuthors, setCoAuthors] = useState(post?.coAuthors || []);
+  const [reviewers, setReviewers] = useState(post?.reviewers || []);
+  const [loading, setLoading] = useState(false);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const bodyRef = useRef(null);
+  const [showSchedule, setShowSchedule] = useState(post?.status === 'scheduled');
+  // Until the slug is edited by hand it follows the title
+  const [slugTouched, setSlugTouched] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState(post?.bodyHtml || '');
+
+  // Render the preview on the server so it matches the published post,
+  // waiting for a pause in typing before each request
+  useEffect(() => {
+    if (!formData.body.trim()) {
+      setPreviewHtml('');
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      api.post('/posts/preview', { body: formData.body })
+        .then(response => setPreviewHtml(response.data.html))
+        .catch(() => {});
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [formData.body]);
+
+  const isPublished = post?.status === 'published' || (post && !post.status);
+  // Posts in review are published by a reviewer approving them
+  const canPublish = can(user, 'post:publish') && post?.reviewState !== 'in_review';
+  // Co-authors can edit the post, but only its author chooses them
+  const canChooseCoAuthors = !post || can(user, 'post:edit', { author: post.author });
+  const canSubmitForReview = !isPublished && post?.reviewState !== 'in_review';
+
+  // Submitting for review saves the post as a draft first
+  const savePost = async (status, { submitForReview = false } = {}) => {
+    if (status === 'scheduled' && !formData.publishAt) {
+      showNotification('Pick a date and time to schedule this post', 'error');
+      return;
+    }
+
+    setLoading(true);
+    
+    try {
+      const postData = {
+        ...formData,
+        slug: slugTouched ? formData.slug : undefined,
+        coAuthors: canChooseCoAuthors ? coAuthors.map(coAuthor => coAuthor._id) : undefined,
+        status,
+        publishAt: status === 'scheduled' ? new Date(formData.publishAt).toISOString() : undefined
+      };
+
+      const messages = {
+        draft: 'Draft saved!',
+        scheduled: 'Post scheduled!',
+        published: post ? 'Post updated successfully!' : 'Post created successfully!'
+      };
+      
+      let savedPost;
+      if (post) {
+        const response = await api.put(`/posts/${post._id}`, postData);
+        savedPost = response.data.post;
+      } else {
+        const response = await api.post('/posts', postData);
+        savedPost = response.data.post;
+      }
+
+      if (submitForReview) {
+        const response = await api.post(`/posts/${savedPost._id}/review/submit`, {
+          reviewers: reviewers.map(reviewer => reviewer._id)
+        });
+        savedPost = { ...savedPost, reviewState: response.data.review.state };
+        showNotification('Submitted for review!', 'success');
+      } else {
+        showNotification(messages[status], 'success');
+      }
+      
+      onSave(savedPost);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save post';
+      showNotification(message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Without permission to publish, saving keeps the post a draft
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    savePost(isPublished || canPublish ? 'published' : 'draft');
+  };
+
+  // Secondary actions are plain buttons, so run the form's own validation first
+  const handleAction = (e, status, options) => {
+    if (e.currentTarget.form.reportValidity()) {
+      savePost(status, options);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value
+    }));
+  };
+
+  // Insert a Markdown reference to an uploaded file at the cursor
+  const handleInsertMedia = (item) => {
+    const snippet = item.isImage
+      ? `![${item.alt || item.originalName}](${item.url})`
+      : `[${item.originalName}](${item.url})`;
+    const textarea = bodyRef.current;
+    const start = textarea ? textarea.selectionStart : formData.body.length;
+    const end = textarea ? textarea.selectionEnd : formData.body.length;
+
+    setFormData(prev => ({
+      ...prev,
+      body: `${prev.body.slice(0, start)}${snippet}${prev.body.slice(end)}`
+    }));
+    setShowMediaPicker(false);
+  };
+
+  const handleSetCover = (item) => {
+    setFormData(prev => ({ ...prev, coverImage: item.url }));
+    setShowMediaPicker(false);
+  };
+
+  const handleSlugChange = (e) => {
+    setSlugTouched(true);
+    setFormData(prev => ({ ...prev, slug: e.target.value }));
+  };
+
+  // The server may still append a number if the slug is already taken
+  const slugPreview = slugTouched
+    ? slugify(formData.slug)
+    : post?.slug && formData.title === post.title ? post.slug : slugify(formData.title);
+
+  return (
+    <div className="min-h-[80vh] py-8">
+      <div className={`max-w-4xl mx-auto ${colors.secondary} rounded-lg shadow-lg p-6`}>
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-bold">
+            {post ? 'Edit Post' : 'Create New Post'}
           </h2>
+          {post && (
+            <div className="flex items-center space-x-2">
+              <PostStatusBadge post={post} />
+              <ReviewStateBadge post={post} />
+            </div>
+          )}
           <button
             onClick={onCancel}
             className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
@@ -667,6 +1947,25 @@ const PostEditor = ({ post, onSave, onCancel }) => {
             required
           />
 
+          <div>
+            <div className="flex items-center space-x-2">
+              <LinkIcon size={16} className={colors.textSecondary} />
+              <input
+                type="text"
+                name="slug"
+                placeholder="url-slug (generated from the title)"
+                value={slugTouched ? formData.slug : slugPreview}
+                onChange={handleSlugChange}
+                className={`flex-1 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+              />
+            </div>
+            {slugPreview && (
+              <p className={`${colors.textSecondary} text-sm mt-1 ml-6`}>
+                /posts/{slugPreview}
+              </p>
+            )}
+          </div>
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <select
               name="category"
@@ -674,52 +1973,164 @@ const PostEditor = ({ post, onSave, onCancel }) => {
               onChange={handleChange}
               className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
             >
-              <option value="General">General</option>
-              <option value="Technology">Technology</option>
-              <option value="Development">Development</option>
-              <option value="Design">Design</option>
-              <option value="Business">Business</option>
-              <option value="Lifestyle">Lifestyle</option>
+              {/* Keep the current category selectable until the list loads */}
+              {!categories.some(category => category.name === formData.category) && (
+                <option value={formData.category}>{formData.category}</option>
+              )}
+              <CategoryOptions categories={categories} />
             </select>
 
-            <input
-              type="text"
-              name="tags"
-              placeholder="Tags (comma separated)"
+            <TagInput
               value={formData.tags}
-              onChange={handleChange}
-              className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
             />
           </div>
 
-          <textarea
-            name="body"
-            placeholder="Write your post content here..."
-            value={formData.body}
-            onChange={handleChange}
-            rows={15}
-            className={`w-full p-4 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
-            required
-          />
+          {(canChooseCoAuthors || canSubmitForReview) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {canChooseCoAuthors && (
+                <CollaboratorPicker
+                  kind="coAuthors"
+                  label="Co-authors"
+                  value={coAuthors}
+                  onChange={setCoAuthors}
+                />
+              )}
+              {canSubmitForReview && (
+                <CollaboratorPicker
+                  kind="reviewers"
+                  label="Reviewers (anyone who reviews if left empty)"
+                  value={reviewers}
+                  onChange={setReviewers}
+                />
+              )}
+            </div>
+          )}
 
-          <div className="flex space-x-4">
+          <div className="flex flex-wrap items-center gap-4">
             <button
-              type="submit"
-              disabled={loading}
-              className={`flex items-center space-x-2 ${colors.success} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+              type="button"
+              onClick={() => setShowMediaPicker(true)}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg ${colors.buttonSecondary} font-medium transition-colors`}
             >
-              {loading ? (
-                <>
-                  <LoadingSpinner size="sm" />
-                  <span>Saving...</span>
-                </>
-              ) : (
-                <>
-                  <Save size={16} />
-                  <span>{post ? 'Update Post' : 'Publish Post'}</span>
-                </>
-              )}
+              <Image size={16} />
+              <span>Media</span>
             </button>
+            {formData.coverImage && (
+              <div className="flex items-center space-x-2">
+                <img src={formData.coverImage} alt="Cover" className="h-12 w-20 object-cover rounded" />
+                <span className={`${colors.textSecondary} text-sm`}>Cover image</span>
+                <button
+                  type="button"
+                  onClick={() => setFormData(prev => ({ ...prev, coverImage: '' }))}
+                  className="text-red-500 hover:text-red-700 p-1"
+                  title="Remove Cover Image"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <p className={`${colors.textSecondary} text-sm mb-2`}>Markdown</p>
+              <textarea
+                ref={bodyRef}
+                name="body"
+                placeholder="Write your post content here... Markdown is supported."
+                value={formData.body}
+                onChange={handleChange}
+                rows={20}
+                className={`w-full p-4 rounded-lg font-mono text-sm ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+                required
+              />
+            </div>
+            <div>
+              <p className={`${colors.textSecondary} text-sm mb-2`}>Preview</p>
+              <div
+                className={`post-content h-[30rem] overflow-y-auto p-4 rounded-lg ${colors.primary} ${colors.border} border`}
+                dangerouslySetInnerHTML={{ __html: previewHtml }}
+              />
+            </div>
+          </div>
+
+          {showSchedule && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <label htmlFor="publishAt" className={`${colors.textSecondary} flex items-center`}>
+                <Clock size={16} className="mr-2" />
+                Publish on
+              </label>
+              <input
+                id="publishAt"
+                type="datetime-local"
+                name="publishAt"
+                value={formData.publishAt}
+                min={toDateTimeLocal(new Date())}
+                onChange={handleChange}
+                className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+              />
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-4">
+            {(isPublished || canPublish) && (
+              <button
+                type="submit"
+                disabled={loading}
+                className={`flex items-center space-x-2 ${colors.success} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+              >
+                {loading ? (
+                  <>
+                    <LoadingSpinner size="sm" />
+                    <span>Saving...</span>
+                  </>
+                ) : (
+                  <>
+                    <Save size={16} />
+                    <span>{isPublished ? 'Update Post' : 'Publish Post'}</span>
+                  </>
+                )}
+              </button>
+            )}
+
+            {!isPublished && (
+              <>
+                <button
+                  type="button"
+                  disabled={loading}
+                  onClick={(e) => handleAction(e, 'draft')}
+                  className={`flex items-center space-x-2 px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+                >
+                  <FileText size={16} />
+                  <span>Save draft</span>
+                </button>
+
+                {canSubmitForReview && (
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={(e) => handleAction(e, 'draft', { submitForReview: true })}
+                    className={`flex items-center space-x-2 px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+                  >
+                    <Send size={16} />
+                    <span>Submit for review</span>
+                  </button>
+                )}
+
+                {canPublish && (
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={(e) => showSchedule ? handleAction(e, 'scheduled') : setShowSchedule(true)}
+                    className={`flex items-center space-x-2 px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+                  >
+                    <Clock size={16} />
+                    <span>Schedule</span>
+                  </button>
+                )}
+              </>
+            )}
             
             <button
               type="button"
@@ -731,440 +2142,3747 @@ const PostEditor = ({ post, onSave, onCancel }) => {
           </div>
         </form>
       </div>
+
+      {showMediaPicker && (
+        <MediaPicker
+          onInsert={handleInsertMedia}
+          onSetCover={handleSetCover}
+          onClose={() => setShowMediaPicker(false)}
+        />
+      )}
     </div>
   );
 };
 
-// Post View Modal Component
-const PostView = ({ post, onClose }) => {
+// Post History Component (Editors and Admins)
+const PostHistory = ({ post, onRestore }) => {
   const { colors } = useTheme();
-  const { user, loading: authLoading } = useAuth();
+  const { user } = useAuth();
   const { showNotification } = useNotification();
-  const [comments, setComments] = useState([]);
-  const [newComment, setNewComment] = useState('');
+  const [revisions, setRevisions] = useState([]);
+  const [selection, setSelection] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [submittingComment, setSubmittingComment] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const canRestore = can(user, 'post:edit', post);
 
   useEffect(() => {
-    loadComments();
-  }, [post._id]);
+    setLoading(true);
+    api.get(`/posts/${post._id}/revisions`)
+      .then(response => {
+        const list = response.data.revisions;
+        setRevisions(list);
+        // Compare the latest revision with the one before it by default
+        if (list.length > 0) {
+          setSelection({
+            from: list[Math.min(1, list.length - 1)].revision,
+            to: list[0].revision
+          });
+        }
+      })
+      .catch(() => showNotification('Failed to load history', 'error'))
+      .finally(() => setLoading(false));
+  }, [post._id, post.updatedAt, showNotification]);
+
+  useEffect(() => {
+    if (selection.from === null || selection.to === null) {
+      setDiff(null);
+      return;
+    }
+
+    api.get(`/posts/${post._id}/revisions/diff`, { params: selection })
+      .then(response => setDiff(response.data.diff))
+      .catch(() => setDiff(null));
+  }, [post._id, selection]);
 
-  const loadComments = async () => {
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore this post to revision ${revision}?`)) return;
+
+    setRestoring(true);
     try {
-      const response = await api.get(`/comments/post/${post._id}`);
-      if (response.data.success) {
-        setComments(response.data.comments);
-      }
+      const response = await api.post(`/posts/${post._id}/revisions/${revision}/restore`);
+      showNotification(response.data.message, 'success');
+      onRestore?.(response.data.post);
     } catch (error) {
-      console.error('Error loading comments:', error);
+      const message = error.response?.data?.message || 'Failed to restore revision';
+      showNotification(message, 'error');
     } finally {
-      setLoading(false);
+      setRestoring(false);
     }
   };
 
-  const handleAddComment = async (e) => {
-    e.preventDefault();
-    if (!newComment.trim() || !user) return;
+  const rowStyles = {
+    equal: { left: '', right: '' },
+    removed: { left: 'bg-red-100 dark:bg-red-900', right: '' },
+    added: { left: '', right: 'bg-green-100 dark:bg-green-900' },
+    changed: { left: 'bg-red-100 dark:bg-red-900', right: 'bg-green-100 dark:bg-green-900' }
+  };
 
-    setSubmittingComment(true);
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className={`${colors.textSecondary} text-center py-8`}>
+        No revisions recorded for this post yet.
+      </p>
+    );
+  }
+
+  const renderRevisionSelect = (key) => (
+    <select
+      value={selection[key] ?? ''}
+      onChange={(e) => setSelection(prev => ({ ...prev, [key]: parseInt(e.target.value) }))}
+      className={`p-2 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+    >
+      {revisions.map(revision => (
+        <option key={revision._id} value={revision.revision}>
+          #{revision.revision} · {revision.editedBy?.username || 'Unknown'} · {new Date(revision.createdAt).toLocaleString()}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className={colors.textSecondary}>Compare</span>
+        {renderRevisionSelect('from')}
+        <span className={colors.textSecondary}>with</span>
+        {renderRevisionSelect('to')}
+        {canRestore && (
+          <button
+            onClick={() => handleRestore(selection.from)}
+            disabled={restoring || selection.from === revisions[0].revision}
+            className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+          >
+            <RotateCcw size={14} />
+            <span>Restore #{selection.from}</span>
+          </button>
+        )}
+      </div>
+
+      {diff && (
+        <div className={`border ${colors.border} rounded-lg overflow-hidden text-sm`}>
+          {['title', 'category', 'tags'].filter(field => diff[field].changed).map(field => (
+            <div key={field} className={`grid grid-cols-2 border-b ${colors.border}`}>
+              <div className="p-2 bg-red-100 dark:bg-red-900">
+                <span className="font-medium capitalize">{field}:</span>{' '}
+                {Array.isArray(diff[field].from) ? diff[field].from.join(', ') : diff[field].from}
+              </div>
+              <div className="p-2 bg-green-100 dark:bg-green-900">
+                <span className="font-medium capitalize">{field}:</span>{' '}
+                {Array.isArray(diff[field].to) ? diff[field].to.join(', ') : diff[field].to}
+              </div>
+            </div>
+          ))}
+          <div className="font-mono max-h-96 overflow-y-auto">
+            {diff.body.map((row, index) => (
+              <div key={index} className="grid grid-cols-2">
+                <div className={`px-2 whitespace-pre-wrap break-words border-r ${colors.border} ${rowStyles[row.type].left}`}>
+                  {row.left ?? ''}
+                </div>
+                <div className={`px-2 whitespace-pre-wrap break-words ${rowStyles[row.type].right}`}>
+                  {row.right ?? ''}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const REVIEW_ACTION_LABELS = {
+  submitted: 'submitted the post for review',
+  withdrawn: 'withdrew the post from review',
+  changes_requested: 'requested changes',
+  approved: 'approved and published the post'
+};
+
+// Line of the Markdown body a quoted passage starts on, when it can be found
+const findLine = (body, excerpt) => {
+  const firstLine = excerpt.split('\n')[0].trim();
+  const index = firstLine ? body.indexOf(firstLine) : -1;
+  return index === -1 ? undefined : body.slice(0, index).split('\n').length;
+};
+
+// Review Panel Component (authors and reviewers of a post in review)
+const ReviewPanel = ({ post, onPostUpdated }) => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const [review, setReview] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [access, setAccess] = useState({ canReview: false, canSubmit: false });
+  const [noteText, setNoteText] = useState('');
+  const [excerpt, setExcerpt] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/posts/${post._id}/review`)
+      .then(response => {
+        setReview(response.data.review);
+        setNotes(response.data.notes);
+        setAccess({ canReview: response.data.canReview, canSubmit: response.data.canSubmit });
+      })
+      .catch(() => showNotification('Failed to load review', 'error'))
+      .finally(() => setLoading(false));
+  }, [post._id, showNotification]);
+
+  // Quote whatever the reader has selected in the post
+  const handleQuoteSelection = () => {
+    const selected = window.getSelection().toString().trim();
+    if (!selected) {
+      showNotification('Select a passage of the post to quote it', 'info');
+      return;
+    }
+    setExcerpt(selected.slice(0, 500));
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+
+    setBusy(true);
     try {
-      const response = await api.post('/comments', {
-        postID: post._id,
-        comment: newComment.trim()
+      const response = await api.post(`/posts/${post._id}/review/notes`, {
+        body: noteText.trim(),
+        excerpt: excerpt || undefined,
+        line: excerpt ? findLine(post.body, excerpt) : undefined
       });
-      
-      if (response.data.success) {
-        setComments(prev => [response.data.comment, ...prev]);
-        setNewComment('');
-        showNotification('Comment added successfully!', 'success');
-      }
+      setNotes(prev => [...prev, response.data.note]);
+      setNoteText('');
+      setExcerpt('');
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to add comment';
+      const message = error.response?.data?.message || 'Failed to add note';
       showNotification(message, 'error');
     } finally {
-      setSubmittingComment(false);
+      setBusy(false);
+    }
+  };
+
+  const handleResolveNote = async (note) => {
+    try {
+      const response = await api.put(`/posts/${post._id}/review/notes/${note._id}`, {
+        resolved: !note.resolvedAt
+      });
+      setNotes(prev => prev.map(other => other._id === note._id ? response.data.note : other));
+    } catch (error) {
+      showNotification('Failed to update note', 'error');
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
-    if (!window.confirm('Are you sure you want to delete this comment?')) return;
+  const handleDeleteNote = async (note) => {
+    if (!window.confirm('Delete this note?')) return;
 
     try {
-      await api.delete(`/comments/${commentId}`);
-      setComments(prev => prev.filter(c => c._id !== commentId));
-      showNotification('Comment deleted successfully', 'success');
+      await api.delete(`/posts/${post._id}/review/notes/${note._id}`);
+      setNotes(prev => prev.filter(other => other._id !== note._id));
     } catch (error) {
-      showNotification('Failed to delete comment', 'error');
+      showNotification('Failed to delete note', 'error');
+    }
+  };
+
+  // Move the review along: submit, withdraw, request-changes or approve
+  const handleStep = async (step, successMessage) => {
+    setBusy(true);
+    try {
+      const body = { message: message.trim() || undefined };
+      // Resubmitting goes back to the same reviewers
+      if (step === 'submit') {
+        body.reviewers = review.reviewers.map(reviewer => reviewer._id);
+      }
+
+      const response = await api.post(`/posts/${post._id}/review/${step}`, body);
+      const updated = response.data.review;
+      setReview(updated);
+      setMessage('');
+      onPostUpdated({ ...post, reviewState: updated.state, status: updated.status });
+      showNotification(successMessage, 'success');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update review';
+      showNotification(message, 'error');
+    } finally {
+      setBusy(false);
     }
   };
 
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!review) return null;
+
+  const inReview = review.state === 'in_review';
+  const canDecide = access.canReview && inReview;
+  const canWithdraw = access.canSubmit && inReview;
+  const canResubmit = access.canSubmit && review.state === 'changes_requested' && review.status === 'draft';
+
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className={`${colors.secondary} rounded-lg shadow-2xl max-w-4xl max-h-[90vh] overflow-hidden w-full`}>
-        {/* Header */}
-        <div className={`flex justify-between items-center p-6 border-b ${colors.border}`}>
-          <h1 className="text-3xl font-bold line-clamp-2 flex-1 mr-4">{post.title}</h1>
-          <button
-            onClick={onClose}
-            className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors flex-shrink-0`}
-            title="Close"
-          >
-            <X size={24} />
-          </button>
-        </div>
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <ReviewStateBadge post={{ reviewState: review.state }} />
+        <span className={colors.textSecondary}>
+          {review.reviewers.length > 0
+            ? `Reviewers: ${formatNames(review.reviewers)}`
+            : 'Open to anyone who reviews'}
+        </span>
+      </div>
 
-        {/* Content */}
-        <div className="overflow-y-auto max-h-[calc(90vh-200px)]">
-          <div className="p-6">
-            {/* Post Meta */}
-            <div className="flex flex-wrap items-center gap-4 text-sm mb-6">
-              <span className={`${colors.textSecondary} flex items-center`}>
-                <User size={16} className="mr-1" />
-                {post.author.username}
-              </span>
-              <span className={`${colors.textSecondary} flex items-center`}>
-                <Calendar size={16} className="mr-1" />
-                {new Date(post.createdAt).toLocaleDateString()}
-              </span>
-              {post.category && (
-                <span className={`px-3 py-1 text-sm rounded-full ${colors.accent}`}>
-                  {post.category}
-                </span>
+      {review.history.length > 0 && (
+        <ul className={`text-sm space-y-1 ${colors.textSecondary}`}>
+          {review.history.map((step, index) => (
+            <li key={index}>
+              <span className="font-medium">{step.by?.username || 'Unknown'}</span>{' '}
+              {REVIEW_ACTION_LABELS[step.action]} · {new Date(step.at).toLocaleString()}
+              {step.message && <span className="block ml-4 italic">"{step.message}"</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-3">
+        {notes.map(note => (
+          <div key={note._id} className={`p-3 rounded-lg ${colors.accent} ${note.resolvedAt ? 'opacity-60' : ''}`}>
+            {note.excerpt && (
+              <blockquote className={`border-l-4 border-blue-500 pl-3 mb-2 text-sm italic ${colors.textSecondary}`}>
+                {note.line && <span className="not-italic font-medium mr-2">Line {note.line}</span>}
+                {note.excerpt}
+              </blockquote>
+            )}
+            <p className="whitespace-pre-wrap">{note.body}</p>
+            <div className={`flex flex-wrap items-center gap-3 mt-2 text-xs ${colors.textSecondary}`}>
+              <span>{note.author?.username || 'Unknown'} · {new Date(note.createdAt).toLocaleString()}</span>
+              {note.resolvedAt && <span>Resolved by {note.resolvedBy?.username || 'Unknown'}</span>}
+              {(note.author?._id === user.id || access.canReview) && (
+                <button onClick={() => handleResolveNote(note)} className="hover:underline">
+                  {note.resolvedAt ? 'Reopen' : 'Resolve'}
+                </button>
               )}
-              {post.views > 0 && (
-                <span className={`${colors.textSecondary} flex items-center`}>
-                  <Eye size={16} className="mr-1" />
-                  {post.views} views
-                </span>
+              {note.author?._id === user.id && (
+                <button onClick={() => handleDeleteNote(note)} className="text-red-500 hover:underline">
+                  Delete
+                </button>
               )}
             </div>
+          </div>
+        ))}
+      </div>
 
-            {/* Tags */}
-            {post.tags && post.tags.length > 0 && (
-              <div className="flex flex-wrap gap-2 mb-6">
-                {post.tags.map((tag, index) => (
-                  <span
-                    key={index}
-                    className={`inline-flex items-center px-3 py-1 text-sm rounded-full ${colors.accent} ${colors.textSecondary}`}
-                  >
-                    <Tag size={14} className="mr-1" />
-                    {tag}
-                  </span>
-                ))}
-              </div>
+      {review.state !== 'none' && review.state !== 'approved' && (
+        <form onSubmit={handleAddNote} className="space-y-2">
+          {excerpt && (
+            <div className={`flex items-start justify-between border-l-4 border-blue-500 pl-3 text-sm italic ${colors.textSecondary}`}>
+              <span>{excerpt}</span>
+              <button type="button" onClick={() => setExcerpt('')} className="text-red-500 p-1" title="Remove quote">
+                <X size={14} />
+              </button>
+            </div>
+          )}
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            placeholder="Leave a note..."
+            rows={2}
+            className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+          />
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={handleQuoteSelection}
+              className={`flex items-center space-x-2 ${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors`}
+            >
+              <Quote size={14} />
+              <span>Quote selection</span>
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !noteText.trim()}
+              className={`${colors.button} px-4 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50`}
+            >
+              Add note
+            </button>
+          </div>
+        </form>
+      )}
+
+      {(canDecide || canWithdraw || canResubmit) && (
+        <div className={`border-t ${colors.border} pt-4 space-y-2`}>
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder={canDecide ? 'Message to the authors' : 'Message to the reviewers'}
+            rows={2}
+            className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+          />
+          <div className="flex flex-wrap gap-2">
+            {canDecide && (
+              <>
+                <button
+                  onClick={() => handleStep('approve', 'Post approved and published')}
+                  disabled={busy}
+                  className={`flex items-center space-x-2 ${colors.success} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+                >
+                  <Check size={14} />
+                  <span>Approve and publish</span>
+                </button>
+                <button
+                  onClick={() => handleStep('request-changes', 'Changes requested')}
+                  disabled={busy || !message.trim()}
+                  className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+                >
+                  <RotateCcw size={14} />
+                  <span>Request changes</span>
+                </button>
+              </>
+            )}
+            {canWithdraw && (
+              <button
+                onClick={() => handleStep('withdraw', 'Post withdrawn from review')}
+                disabled={busy}
+                className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors disabled:opacity-50`}
+              >
+                Withdraw
+              </button>
+            )}
+            {canResubmit && (
+              <button
+                onClick={() => handleStep('submit', 'Post resubmitted for review')}
+                disabled={busy}
+                className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+              >
+                <Send size={14} />
+                <span>Resubmit for review</span>
+              </button>
             )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
 
-            {/* Post Content */}
-            <div className={`${colors.textSecondary} mb-8 leading-relaxed whitespace-pre-wrap`}>
-              {post.body}
-            </div>
+const REPLY_PAGE_SIZE = 10;
 
-            {/* Comments Section */}
-            <div className={`border-t ${colors.border} pt-6`}>
-              <h3 className="text-xl font-bold mb-4">Comments ({comments.length})</h3>
-              
-              {/* Add Comment Form */}
-              {user && (
-                <form onSubmit={handleAddComment} className="mb-6">
-                  <div className="space-y-3">
-                    <textarea
-                      value={newComment}
-                      onChange={(e) => setNewComment(e.target.value)}
-                      placeholder="Share your thoughts..."
-                      rows={3}
-                      className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
-                    />
-                    <button
-                      type="submit"
-                      disabled={submittingComment || !newComment.trim()}
-                      className={`${colors.button} px-6 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50 flex items-center space-x-2`}
-                    >
-                      {submittingComment ? (
-                        <>
-                          <LoadingSpinner size="sm" />
-                          <span>Adding...</span>
-                        </>
-                      ) : (
-                        <span>Add Comment</span>
-                      )}
-                    </button>
-                  </div>
-                </form>
-              )}
-              
-              {/* Comments List */}
-              {loading ? (
-                <div className="flex justify-center py-8">
-                  <LoadingSpinner />
-                </div>
-              ) : (
-                <div className="space-y-4">
-                  {comments.map((comment) => (
-                    <div key={comment._id} className={`${colors.accent} rounded-lg p-4`}>
-                      <div className="flex justify-between items-start mb-3">
-                        <span className="font-medium">{comment.userID.username}</span>
-                        <div className="flex items-center space-x-2">
-                          <span className={`${colors.textSecondary} text-sm`}>
-                            {new Date(comment.createdAt).toLocaleDateString()}
+// Apply `update` to the comment with the given id, wherever it sits in the thread
+const updateCommentTree = (comments, id, update) => comments.map(comment => {
+  if (comment._id === id) return update(comment);
+  if (!comment.replies || comment.replies.length === 0) return comment;
+  return { ...comment, replies: updateCommentTree(comment.replies, id, update) };
+});
+
+// Remove a comment (and so its replies) from the thread, keeping the
+// parent's reply count in step
+const removeFromCommentTree = (comments, id) => comments
+  .filter(comment => comment._id !== id)
+  .map(comment => {
+    if (!comment.replies || comment.replies.length === 0) return comment;
+    const removed = comment.replies.find(reply => reply._id === id);
+    const replies = removeFromCommentTree(comment.replies, id);
+    if (!removed || removed.status === 'pending') {
+      return { ...comment, replies };
+    }
+    return { ...comment, replies, replyCount: Math.max((comment.replyCount || 1) - 1, 0) };
+  });
+
+// Comment Thread Component
+const CommentThread = ({ comment, onReply, onDelete, onLoadReplies, onChange }) => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const [replying, setReplying] = useState(false);
+  const [replyText, setReplyText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  const replies = comment.replies || [];
+  // The reader's own pending replies are listed but not counted
+  const approvedReplies = replies.filter(reply => reply.status !== 'pending').length;
+  const hiddenReplies = Math.max((comment.replyCount || 0) - approvedReplies, 0);
+
+  const handleSubmitReply = async (e) => {
+    e.preventDefault();
+    if (!replyText.trim()) return;
+
+    setSubmitting(true);
+    const added = await onReply(comment, replyText.trim());
+    setSubmitting(false);
+    if (added) {
+      setReplyText('');
+      setReplying(false);
+    }
+  };
+
+  const handleLoadReplies = async () => {
+    setLoadingReplies(true);
+    await onLoadReplies(comment);
+    setLoadingReplies(false);
+  };
+
+  return (
+    <div>
+      <div className={`${colors.accent} rounded-lg p-4`}>
+        <div className="flex justify-between items-start mb-3">
+          <div className="flex items-center space-x-2">
+            <span className="font-medium">{comment.userID?.username || 'Deleted user'}</span>
+            {comment.status === 'pending' && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+                Awaiting moderation
+              </span>
+            )}
+          </div>
+          <div className="flex items-center space-x-2">
+            <span className={`${colors.textSecondary} text-sm`}>
+              {new Date(comment.createdAt).toLocaleDateString()}
+            </span>
+            {can(user, 'comment:delete', comment) && (
+              <button
+                onClick={() => onDelete(comment)}
+                className="text-red-500 hover:text-red-700 p-1"
+                title="Delete Comment"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        </div>
+        <p className={`${colors.textSecondary} whitespace-pre-wrap`}>{comment.comment}</p>
+        {comment.status !== 'pending' && (
+          <div className="flex flex-wrap items-center gap-3 mt-2">
+            <ReactionBar
+              targetType="comment"
+              target={comment}
+              size="sm"
+              onChange={(changes) => onChange(comment._id, changes)}
+            />
+            {user && (
+              <button
+                onClick={() => setReplying(prev => !prev)}
+                className={`text-sm ${colors.textSecondary} hover:underline flex items-center`}
+              >
+                <MessageCircle size={14} className="mr-1" />
+                Reply
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {replying && (
+        <form onSubmit={handleSubmitReply} className="mt-2 ml-6 space-y-2">
+          <textarea
+            value={replyText}
+            onChange={(e) => setReplyText(e.target.value)}
+            placeholder={`Reply to ${comment.userID?.username || 'this comment'}...`}
+            rows={2}
+            autoFocus
+            className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+          />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={submitting || !replyText.trim()}
+              className={`${colors.button} px-4 py-1 rounded-lg text-sm font-medium disabled:opacity-50`}
+            >
+              {submitting ? 'Replying...' : 'Reply'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setReplying(false)}
+              className={`${colors.buttonSecondary} px-4 py-1 rounded-lg text-sm`}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {(replies.length > 0 || hiddenReplies > 0) && (
+        <div className={`mt-3 ml-4 pl-4 border-l-2 ${colors.border} space-y-3`}>
+          {replies.map(reply => (
+            <CommentThread
+              key={reply._id}
+              comment={reply}
+              onReply={onReply}
+              onDelete={onDelete}
+              onLoadReplies={onLoadReplies}
+              onChange={onChange}
+            />
+          ))}
+          {hiddenReplies > 0 && (
+            <button
+              onClick={handleLoadReplies}
+              disabled={loadingReplies}
+              className={`text-sm ${colors.textSecondary} hover:underline disabled:opacity-50`}
+            >
+              {loadingReplies
+                ? 'Loading...'
+                : `Show ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Series Navigation Component
+// "Part N of M" with links to the neighbouring parts
+const SeriesNav = ({ series }) => {
+  const { colors } = useTheme();
+
+  return (
+    <nav className={`${colors.accent} rounded-lg p-4 mb-6`}>
+      <p className="text-sm mb-2">
+        <Layers size={14} className="inline mr-1" />
+        Part {series.part} of {series.total} in{' '}
+        <Link to={`/series/${series.slug}`} className="font-medium hover:underline">{series.title}</Link>
+      </p>
+      <div className="flex justify-between gap-4 text-sm">
+        {series.previous ? (
+          <Link to={`/posts/${series.previous.slug}`} className="flex items-center hover:underline">
+            <ArrowLeft size={14} className="mr-1 flex-shrink-0" />
+            {series.previous.title}
+          </Link>
+        ) : <span />}
+        {series.next && (
+          <Link to={`/posts/${series.next.slug}`} className="flex items-center text-right hover:underline">
+            {series.next.title}
+            <ArrowRight size={14} className="ml-1 flex-shrink-0" />
+          </Link>
+        )}
+      </div>
+    </nav>
+  );
+};
+
+// Series Editor Component
+// Title, description and the ordered parts of a series. Posts are found
+// by searching published posts and the editor's own.
+const SeriesEditor = ({ series, onSaved, onCancel }) => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const [form, setForm] = useState({
+    title: series?.title || '',
+    description: series?.description || ''
+  });
+  const [parts, setParts] = useState(series?.posts || []);
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!search.trim()) {
+      setMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      const params = { search: search.trim(), limit: 10 };
+      Promise.all([
+        api.get('/posts', { params }),
+        api.get('/posts', { params: { ...params, mine: 'true', status: 'all' } })
+      ])
+        .then(([published, mine]) => {
+          const seen = new Set();
+          setMatches([...published.data.posts, ...mine.data.posts].filter(post => {
+            if (seen.has(post._id)) return false;
+            seen.add(post._id);
+            return true;
+          }));
+        })
+        .catch(() => setMatches([]));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const handleAdd = (post) => {
+    if (!parts.some(part => part._id === post._id)) {
+      setParts(prev => [...prev, post]);
+    }
+    setSearch('');
+  };
+
+  const handleMove = (index, offset) => {
+    setParts(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = { ...form, posts: parts.map(part => part._id) };
+      const response = series
+        ? await api.put(`/series/${series._id}`, data)
+        : await api.post('/series', data);
+      showNotification(response.data.message, 'success');
+      onSaved(response.data.series);
+    } catch (error) {
+      const message = error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save series';
+      showNotification(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} space-y-4`}>
+      <input
+        value={form.title}
+        onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+        placeholder="Series title"
+        required
+        className={`w-full p-3 text-lg rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+      />
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+        placeholder="What the series covers"
+        rows={3}
+        className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+      />
+
+      <div>
+        <p className={`${colors.textSecondary} text-sm mb-2`}>Parts, in reading order</p>
+        <ol className="space-y-2">
+          {parts.map((part, index) => (
+            <li key={part._id} className={`flex items-center justify-between p-2 rounded-lg ${colors.accent}`}>
+              <span>
+                {index + 1}. {part.title}
+                {part.status && part.status !== 'published' && (
+                  <span className="ml-2"><PostStatusBadge post={part} /></span>
+                )}
+              </span>
+              <span className="flex space-x-1">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className={`px-2 rounded ${colors.buttonSecondary} disabled:opacity-30`}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === parts.length - 1}
+                  className={`px-2 rounded ${colors.buttonSecondary} disabled:opacity-30`}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setParts(prev => prev.filter(other => other._id !== part._id))}
+                  className="px-2 text-red-500 hover:text-red-700"
+                  title="Remove from series"
+                >
+                  <X size={14} />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ol>
+        <div className="relative mt-2">
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search for a post to add"
+            className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          />
+          {matches.length > 0 && (
+            <div className={`absolute z-10 mt-1 w-full rounded-lg shadow-lg ${colors.secondary} ${colors.border} border max-h-48 overflow-y-auto`}>
+              {matches.map(match => (
+                <button
+                  key={match._id}
+                  type="button"
+                  onClick={() => handleAdd(match)}
+                  className="block w-full text-left px-3 py-2 hover:bg-blue-500 hover:text-white"
+                >
+                  {match.title}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`flex items-center space-x-2 ${colors.success} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+        >
+          <Save size={16} />
+          <span>{saving ? 'Saving...' : 'Save series'}</span>
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors`}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Series Index Component
+const SeriesIndex = () => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [seriesList, setSeriesList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    api.get('/series')
+      .then(response => setSeriesList(response.data.series))
+      .catch(() => showNotification('Failed to load series', 'error'))
+      .finally(() => setLoading(false));
+  }, [showNotification]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-4xl font-bold mb-2">Series</h1>
+          <p className={`${colors.textSecondary} text-lg`}>
+            Multi-part posts, best read in order
+          </p>
+        </div>
+        {can(user, 'series:manage') && !creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium`}
+          >
+            <Plus size={16} />
+            <span>New series</span>
+          </button>
+        )}
+      </div>
+
+      {creating && (
+        <div className="mb-6">
+          <SeriesEditor
+            series={null}
+            onSaved={(saved) => navigate(`/series/${saved.slug}`)}
+            onCancel={() => setCreating(false)}
+          />
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : seriesList.length === 0 ? (
+        <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+          No series yet.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {seriesList.map(series => (
+            <Link
+              key={series._id}
+              to={`/series/${series.slug}`}
+              className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} hover:shadow-xl transition-shadow`}
+            >
+              <h2 className="text-xl font-bold mb-2">{series.title}</h2>
+              {series.description && (
+                <p className={`${colors.textSecondary} mb-2 line-clamp-3`}>{series.description}</p>
+              )}
+              <p className={`${colors.textSecondary} text-sm flex items-center`}>
+                <Layers size={14} className="mr-1" />
+                {series.posts.length} part{series.posts.length === 1 ? '' : 's'}
+              </p>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Series Page Component
+const SeriesPage = () => {
+  const { slug } = useParams();
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/series/${encodeURIComponent(slug)}`)
+      .then(response => setSeries(response.data.series))
+      .catch(() => setSeries(null))
+      .finally(() => setLoading(false));
+  }, [slug]);
+
+  const handleSaved = (saved) => {
+    setSeries(saved);
+    setEditing(false);
+    if (saved.slug !== slug) {
+      navigate(`/series/${saved.slug}`, { replace: true });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the series "${series.title}"? Its posts will not be deleted.`)) return;
+
+    try {
+      await api.delete(`/series/${series._id}`);
+      showNotification('Series deleted successfully', 'success');
+      navigate('/series');
+    } catch (error) {
+      showNotification('Failed to delete series', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!series) {
+    return (
+      <div className="text-center py-20">
+        <p className={`${colors.textSecondary} text-xl mb-4`}>Series not found.</p>
+        <Link to="/series" className={`${colors.button} px-6 py-3 rounded-lg font-medium`}>
+          All series
+        </Link>
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <SeriesEditor series={series} onSaved={handleSaved} onCancel={() => setEditing(false)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <div className="flex justify-between items-start mb-8 gap-4">
+        <div>
+          <p className={`${colors.textSecondary} text-sm mb-1`}>
+            <Link to="/series" className="hover:underline">Series</Link>
+          </p>
+          <h1 className="text-4xl font-bold mb-2">{series.title}</h1>
+          {series.description && (
+            <p className={`${colors.textSecondary} text-lg whitespace-pre-wrap`}>{series.description}</p>
+          )}
+        </div>
+        {can(user, 'series:manage') && (
+          <div className="flex space-x-2 flex-shrink-0">
+            <button
+              onClick={() => setEditing(true)}
+              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+              title="Edit Series"
+            >
+              <Edit size={20} />
+            </button>
+            <button
+              onClick={handleDelete}
+              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+              title="Delete Series"
+            >
+              <Trash2 size={20} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {series.posts.length === 0 ? (
+        <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+          Nothing has been published in this series yet.
+        </p>
+      ) : (
+        <ol className="space-y-4">
+          {series.posts.map(post => (
+            <li key={post._id} className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border}`}>
+              <p className={`${colors.textSecondary} text-sm mb-1`}>Part {post.part}</p>
+              <Link to={`/posts/${post.slug}`} className="text-xl font-bold hover:underline">
+                {post.title}
+              </Link>
+              <div className={`${colors.textSecondary} flex flex-wrap items-center gap-4 text-sm mt-2`}>
+                {post.author && (
+                  <span className="flex items-center">
+                    <User size={14} className="mr-1" />
+                    {post.author.username}
+                  </span>
+                )}
+                {post.publishedAt && (
+                  <span className="flex items-center">
+                    <Calendar size={14} className="mr-1" />
+                    {new Date(post.publishedAt).toLocaleDateString()}
+                  </span>
+                )}
+                <PostStatusBadge post={post} />
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Post View Component
+const PostView = ({ post, onClose, onPostUpdated }) => {
+  const { colors } = useTheme();
+  const { user, loading: authLoading } = useAuth();
+  const { showNotification } = useNotification();
+  const [showHistory, setShowHistory] = useState(false);
+  const showReview = Boolean(REVIEW_STATE_LABELS[post.reviewState]) &&
+    (can(user, 'post:edit', post) || can(user, 'post:review'));
+  const [comments, setComments] = useState([]);
+  const [commentPagination, setCommentPagination] = useState(null);
+  const [newComment, setNewComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
+  const [submittingComment, setSubmittingComment] = useState(false);
+
+  useEffect(() => {
+    loadComments();
+  }, [post._id]);
+
+  // Without a cursor this loads the newest comments; with one, the page
+  // after it is added to those already shown
+  const loadComments = async (after) => {
+    try {
+      const response = await api.get(`/comments/post/${post._id}`, { params: { after } });
+      if (response.data.success) {
+        setComments(prev => {
+          if (!after) return response.data.comments;
+          const seen = new Set(prev.map(c => c._id));
+          return [...prev, ...response.data.comments.filter(c => !seen.has(c._id))];
+        });
+        setCommentPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoadMoreComments = async () => {
+    setLoadingMoreComments(true);
+    await loadComments(commentPagination.nextCursor);
+    setLoadingMoreComments(false);
+  };
+
+  const adjustCommentTotal = (change) => {
+    setCommentPagination(prev => prev && { ...prev, totalComments: Math.max(prev.totalComments + change, 0) });
+  };
+
+  const handleAddComment = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim() || !user) return;
+
+    setSubmittingComment(true);
+    try {
+      const response = await api.post('/comments', {
+        postID: post._id,
+        comment: newComment.trim()
+      });
+      
+      if (response.data.success) {
+        const added = response.data.comment;
+        if (added) {
+          setComments(prev => [added, ...prev]);
+        }
+        if (added && added.status === 'approved') {
+          adjustCommentTotal(1);
+        }
+        setNewComment('');
+        showNotification(response.data.message, added && added.status === 'approved' ? 'success' : 'info');
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to add comment';
+      showNotification(message, 'error');
+    } finally {
+      setSubmittingComment(false);
+    }
+  };
+
+  // Replies past the maximum depth come back attached higher up the thread
+  const handleReply = async (parent, text) => {
+    try {
+      const response = await api.post('/comments', {
+        postID: post._id,
+        parentID: parent._id,
+        comment: text
+      });
+
+      if (response.data.success) {
+        const reply = response.data.comment;
+        const approved = reply && reply.status === 'approved';
+        if (reply) {
+          setComments(prev => updateCommentTree(prev, reply.parentID, target => ({
+            ...target,
+            replies: [...(target.replies || []), reply],
+            replyCount: (target.replyCount || 0) + (approved ? 1 : 0)
+          })));
+        }
+        if (approved) {
+          adjustCommentTotal(1);
+        }
+        showNotification(response.data.message, approved ? 'success' : 'info');
+        return true;
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to add reply';
+      showNotification(message, 'error');
+    }
+    return false;
+  };
+
+  const handleLoadReplies = async (parent) => {
+    const loaded = (parent.replies || []).length;
+    try {
+      const response = await api.get(`/comments/${parent._id}/replies`, {
+        params: { page: Math.floor(loaded / REPLY_PAGE_SIZE) + 1, limit: REPLY_PAGE_SIZE }
+      });
+
+      if (response.data.success) {
+        setComments(prev => updateCommentTree(prev, parent._id, target => {
+          const existing = target.replies || [];
+          const seen = new Set(existing.map(reply => reply._id));
+          return {
+            ...target,
+            replies: [...existing, ...response.data.replies.filter(reply => !seen.has(reply._id))],
+            replyCount: response.data.pagination.totalReplies
+          };
+        }));
+      }
+    } catch (error) {
+      showNotification('Failed to load replies', 'error');
+    }
+  };
+
+  const handleCommentChange = (commentId, changes) => {
+    setComments(prev => updateCommentTree(prev, commentId, target => ({ ...target, ...changes })));
+  };
+
+  const handleDeleteComment = async (comment) => {
+    const message = comment.replyCount > 0
+      ? 'Are you sure you want to delete this comment and its replies?'
+      : 'Are you sure you want to delete this comment?';
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await api.delete(`/comments/${comment._id}`);
+      setComments(prev => removeFromCommentTree(prev, comment._id));
+      if (comment.status !== 'pending') {
+        adjustCommentTotal(-(response.data.deletedCount || 1));
+      }
+      showNotification('Comment deleted successfully', 'success');
+    } catch (error) {
+      showNotification('Failed to delete comment', 'error');
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <article className={`${colors.secondary} rounded-lg shadow-lg max-w-4xl mx-auto overflow-hidden`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${colors.border}`}>
+          <button
+            onClick={onClose}
+            className={`p-2 mr-4 rounded-full ${colors.buttonSecondary} transition-colors flex-shrink-0`}
+            title="Back"
+          >
+            <ArrowLeft size={24} />
+          </button>
+          <h1 className="text-3xl font-bold line-clamp-2 flex-1 mr-4">{post.title}</h1>
+          {can(user, 'post:edit') && (
+            <button
+              onClick={() => setShowHistory(prev => !prev)}
+              className={`p-2 mr-2 rounded-full ${showHistory ? colors.button : colors.buttonSecondary} transition-colors flex-shrink-0`}
+              title="History"
+            >
+              <History size={24} />
+            </button>
+          )}
+          {can(user, 'post:edit', post) && (
+            <Link
+              to={`/posts/${post._id}/edit`}
+              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors flex-shrink-0`}
+              title="Edit Post"
+            >
+              <Edit size={24} />
+            </Link>
+          )}
+        </div>
+
+        {post.coverImage && (
+          <img src={post.coverImage} alt="" className="w-full max-h-96 object-cover" />
+        )}
+
+        {/* Content */}
+        <div>
+          <div className="p-6">
+            {/* Post Meta */}
+            <div className="flex flex-wrap items-center gap-4 text-sm mb-6">
+              <Link
+                to={`/authors/${encodeURIComponent(post.author.username)}`}
+                className={`${colors.textSecondary} flex items-center hover:underline`}
+              >
+                <User size={16} className="mr-1" />
+                {post.author.username}
+              </Link>
+              {post.coAuthors?.length > 0 && (
+                <span className={colors.textSecondary}>
+                  with{' '}
+                  {post.coAuthors.map((coAuthor, index) => (
+                    <React.Fragment key={coAuthor._id}>
+                      {index > 0 && ', '}
+                      <Link to={`/authors/${encodeURIComponent(coAuthor.username)}`} className="hover:underline">
+                        {coAuthor.username}
+                      </Link>
+                    </React.Fragment>
+                  ))}
+                </span>
+              )}
+              <span className={`${colors.textSecondary} flex items-center`}>
+                <Calendar size={16} className="mr-1" />
+                {new Date(post.createdAt).toLocaleDateString()}
+              </span>
+              {post.category && <CategoryBadge name={post.category} className="px-3 py-1 text-sm" />}
+              {post.views > 0 && (
+                <span className={`${colors.textSecondary} flex items-center`}>
+                  <Eye size={16} className="mr-1" />
+                  {post.views} views
+                </span>
+              )}
+            </div>
+
+            {/* Tags */}
+            {post.tags && post.tags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-6">
+                {post.tags.map((tag, index) => (
+                  <Link
+                    key={index}
+                    to={`/tags/${encodeURIComponent(tag)}`}
+                    className={`inline-flex items-center px-3 py-1 text-sm rounded-full ${colors.accent} ${colors.textSecondary} hover:underline`}
+                  >
+                    <Tag size={14} className="mr-1" />
+                    {tag}
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            {/* Review Panel */}
+            {showReview && (
+              <div className={`border ${colors.border} rounded-lg p-4 mb-6`}>
+                <h3 className="text-xl font-bold mb-4">Review</h3>
+                <ReviewPanel post={post} onPostUpdated={onPostUpdated} />
+              </div>
+            )}
+
+            {/* History Panel */}
+            {showHistory && (
+              <div className={`border ${colors.border} rounded-lg p-4 mb-6`}>
+                <h3 className="text-xl font-bold mb-4">History</h3>
+                <PostHistory post={post} onRestore={onPostUpdated} />
+              </div>
+            )}
+
+            {post.series && <SeriesNav series={post.series} />}
+
+            {/* Post Content */}
+            {post.bodyHtml ? (
+              <div
+                className={`post-content ${colors.textSecondary} mb-8 leading-relaxed`}
+                dangerouslySetInnerHTML={{ __html: post.bodyHtml }}
+              />
+            ) : (
+              <div className={`${colors.textSecondary} mb-8 leading-relaxed whitespace-pre-wrap`}>
+                {post.body}
+              </div>
+            )}
+
+            {post.series && <SeriesNav series={post.series} />}
+
+            {/* Reactions */}
+            <div className="mb-8">
+              <ReactionBar
+                targetType="post"
+                target={post}
+                onChange={(changes) => onPostUpdated({ ...post, ...changes })}
+              />
+            </div>
+
+            {/* Comments Section */}
+            <div className={`border-t ${colors.border} pt-6`}>
+              <h3 className="text-xl font-bold mb-4">
+                Comments ({commentPagination ? commentPagination.totalComments : comments.length})
+              </h3>
+              
+              {/* Add Comment Form */}
+              {user && (
+                <form onSubmit={handleAddComment} className="mb-6">
+                  <div className="space-y-3">
+                    <textarea
+                      value={newComment}
+                      onChange={(e) => setNewComment(e.target.value)}
+                      placeholder="Share your thoughts..."
+                      rows={3}
+                      className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+                    />
+                    <button
+                      type="submit"
+                      disabled={submittingComment || !newComment.trim()}
+                      className={`${colors.button} px-6 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50 flex items-center space-x-2`}
+                    >
+                      {submittingComment ? (
+                        <>
+                          <LoadingSpinner size="sm" />
+                          <span>Adding...</span>
+                        </>
+                      ) : (
+                        <span>Add Comment</span>
+                      )}
+                    </button>
+                  </div>
+                </form>
+              )}
+              
+              {/* Comments List */}
+              {loading ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : (
+                <div className="space-y-4">
+                  {comments.map((comment) => (
+                    <CommentThread
+                      key={comment._id}
+                      comment={comment}
+                      onReply={handleReply}
+                      onDelete={handleDeleteComment}
+                      onLoadReplies={handleLoadReplies}
+                      onChange={handleCommentChange}
+                    />
+                  ))}
+
+                  {commentPagination && commentPagination.nextCursor && (
+                    <div className="flex justify-center">
+                      <button
+                        onClick={handleLoadMoreComments}
+                        disabled={loadingMoreComments}
+                        className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors disabled:opacity-50`}
+                      >
+                        {loadingMoreComments ? 'Loading...' : 'Load more comments'}
+                      </button>
+                    </div>
+                  )}
+                  
+                  {comments.length === 0 && (
+                    <p className={`${colors.textSecondary} text-center py-8`}>
+                      No comments yet. {user ? 'Be the first to share your thoughts!' : 'Sign in to add a comment.'}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </article>
+    </div>
+  );
+};
+
+// Post Page Component
+const PostPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const goBack = useGoBack();
+  const { colors } = useTheme();
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/posts/slug/${encodeURIComponent(slug)}`)
+      .then(response => {
+        const loaded = response.data.post;
+        setPost(loaded);
+        // Old slugs redirect on the server; keep the address bar canonical
+        if (loaded.slug && loaded.slug !== slug) {
+          navigate(`/posts/${loaded.slug}`, { replace: true });
+        }
+      })
+      .catch(() => setPost(null))
+      .finally(() => setLoading(false));
+  }, [slug, navigate]);
+
+  const handlePostUpdated = (updatedPost) => {
+    setPost(updatedPost);
+    if (updatedPost.slug !== slug) {
+      navigate(`/posts/${updatedPost.slug}`, { replace: true });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!post) {
+    return (
+      <div className="text-center py-20">
+        <p className={`${colors.textSecondary} text-xl mb-4`}>Post not found.</p>
+        <Link to="/" className={`${colors.button} px-6 py-3 rounded-lg font-medium`}>
+          Back to posts
+        </Link>
+      </div>
+    );
+  }
+
+  return <PostView post={post} onClose={goBack} onPostUpdated={handlePostUpdated} />;
+};
+
+// Search and Filter Component
+const SearchAndFilter = ({ onSearch, onFilter, onSort, loading, category = '', sortBy = 'createdAt' }) => {
+  const { colors } = useTheme();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState(category);
+  const categories = useCategories();
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    onSearch(searchTerm.trim());
+  };
+
+  const handleCategoryChange = (e) => {
+    const category = e.target.value;
+    setSelectedCategory(category);
+    onFilter(category);
+  };
+
+  return (
+    <div className={`${colors.secondary} rounded-lg shadow-lg p-6 mb-6`}>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {/* Search Form */}
+        <form onSubmit={handleSearch} className="md:col-span-2">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search posts by title, content, or tags..."
+              className={`flex-1 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className={`px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50 flex items-center space-x-2`}
+            >
+              {loading ? <LoadingSpinner size="sm" /> : <Search size={16} />}
+              <span className="hidden sm:inline">Search</span>
+            </button>
+          </div>
+        </form>
+        
+        {/* Category Filter */}
+        <select
+          value={selectedCategory}
+          onChange={handleCategoryChange}
+          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        >
+          <option value="">All Categories</option>
+          <CategoryOptions categories={categories} />
+        </select>
+
+        {/* Sort */}
+        <select
+          value={sortBy}
+          onChange={(e) => onSort(e.target.value)}
+          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        >
+          <option value="createdAt">Newest</option>
+          <option value="reactions">Most reactions</option>
+          <option value="views">Most viewed</option>
+        </select>
+      </div>
+    </div>
+  );
+};
+
+// Posts List Component
+const PostsList = ({
+  filters = {},
+  heading = 'Latest Posts',
+  subheading = 'Discover amazing content from our community',
+  feedPath = ''
+}) => {
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [query, setQuery] = useState({});
+  const endRef = useRef(null);
+  // Bumped whenever the list starts over, so a page still loading for the
+  // previous sort is dropped
+  const listVersion = useRef(0);
+
+  useEffect(() => {
+    loadPosts();
+  }, []);
+
+  const loadPosts = async (params = {}) => {
+    const version = ++listVersion.current;
+    setLoading(true);
+    try {
+      const response = await api.get('/posts', { params: { ...filters, ...params } });
+      if (response.data.success && version === listVersion.current) {
+        setPosts(response.data.posts);
+        setNextCursor(response.data.pagination.nextCursor);
+      }
+    } catch (error) {
+      showNotification('Failed to load posts', 'error');
+    } finally {
+      if (version === listVersion.current) setLoading(false);
+    }
+  };
+
+  // Add the page after the last post shown
+  const loadMorePosts = useCallback(async () => {
+    const version = listVersion.current;
+    setLoadingMore(true);
+    try {
+      const response = await api.get('/posts', { params: { ...filters, ...query, after: nextCursor } });
+      if (response.data.success && version === listVersion.current) {
+        setPosts(prev => {
+          const seen = new Set(prev.map(p => p._id));
+          return [...prev, ...response.data.posts.filter(p => !seen.has(p._id))];
+        });
+        setNextCursor(response.data.pagination.nextCursor);
+      }
+    } catch (error) {
+      showNotification('Failed to load more posts', 'error');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [filters, query, nextCursor, showNotification]);
+
+  // Load the next page as the end of the list scrolls into view. The
+  // observer reports straight away when it is already in view, so pages
+  // keep loading until the screen is filled.
+  useEffect(() => {
+    const end = endRef.current;
+    if (loading || loadingMore || !nextCursor || !end) return undefined;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        loadMorePosts();
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [loading, loadingMore, nextCursor, loadMorePosts]);
+
+  // Searches open the search page, keeping this list's category, tag or
+  // author as a filter
+  const handleSearch = (searchTerm) => {
+    if (!searchTerm) return;
+    navigate(`/search?${new URLSearchParams({ ...filters, q: searchTerm })}`);
+  };
+
+  const handleSort = (sortBy) => {
+    const nextQuery = { ...query, sortBy };
+    setQuery(nextQuery);
+    loadPosts(nextQuery);
+  };
+
+  const handlePostChange = (postId, changes) => {
+    setPosts(prev => prev.map(p => (p._id === postId ? { ...p, ...changes } : p)));
+  };
+
+  // Categories have their own pages, so filtering navigates to one
+  const handleFilter = (category) => {
+    navigate(category ? `/category/${encodeURIComponent(category)}` : '/');
+  };
+
+  const handleDeletePost = (postId) => {
+    setPosts(prev => prev.filter(p => p._id !== postId));
+  };
+
+  const canCreatePost = can(user, 'post:create');
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-4xl font-bold mb-2">{heading}</h1>
+          <p className={`${colors.textSecondary} text-lg`}>
+            {subheading}
+          </p>
+        </div>
+        
+        <div className="flex items-center gap-4">
+          <a
+            href={`${API_BASE_URL}${feedPath}/feed.xml`}
+            className={`${colors.buttonSecondary} p-3 rounded-lg transition-colors`}
+            title="Subscribe via RSS"
+          >
+            <Rss size={16} />
+          </a>
+
+          <Link
+            to="/series"
+            className={`flex items-center space-x-2 ${colors.buttonSecondary} px-4 py-3 rounded-lg font-medium transition-colors whitespace-nowrap`}
+          >
+            <Layers size={16} />
+            <span>Series</span>
+          </Link>
+
+          <Link
+            to="/tags"
+            className={`flex items-center space-x-2 ${colors.buttonSecondary} px-4 py-3 rounded-lg font-medium transition-colors whitespace-nowrap`}
+          >
+            <Tag size={16} />
+            <span>All tags</span>
+          </Link>
+
+          {canCreatePost && (
+            <button
+              onClick={() => navigate('/new')}
+              className={`flex items-center space-x-2 ${colors.success} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105 whitespace-nowrap`}
+            >
+              <Plus size={16} />
+              <span>New Post</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Search and Filter */}
+      <SearchAndFilter
+        onSearch={handleSearch}
+        onFilter={handleFilter}
+        onSort={handleSort}
+        category={filters.category}
+        sortBy={query.sortBy}
+      />
+
+      {/* Posts Grid */}
+      {loading ? (
+        <div className="flex justify-center items-center py-20">
+          <div className="text-center">
+            <LoadingSpinner size="lg" />
+            <p className={`${colors.textSecondary} mt-4`}>Loading posts...</p>
+          </div>
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="text-center py-20">
+          <p className={`${colors.textSecondary} text-xl mb-4`}>
+            No posts found.
+          </p>
+          {canCreatePost && (
+            <button
+              onClick={() => navigate('/new')}
+              className={`${colors.button} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105`}
+            >
+              Create Your First Post
+            </button>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+            {posts.map((post) => (
+              <PostCard
+                key={post._id}
+                post={post}
+                onEdit={(target) => navigate(`/posts/${target._id}/edit`)}
+                onDelete={handleDeletePost}
+                onView={(target) => navigate(`/posts/${target.slug}`)}
+                onChange={handlePostChange}
+              />
+            ))}
+          </div>
+
+          {nextCursor && (
+            <div ref={endRef} className="flex justify-center py-8">
+              {loadingMore ? (
+                <LoadingSpinner />
+              ) : (
+                <button
+                  onClick={loadMorePosts}
+                  className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors`}
+                >
+                  Load more posts
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const TAG_CLOUD_SIZES = ['text-sm', 'text-base', 'text-lg', 'text-xl', 'text-2xl', 'text-3xl'];
+
+// Tags Page Component
+// A cloud of the tags on published posts, sized by how often they are
+// used, and tools for merging, renaming and deleting tags for those who
+// manage them
+const TagsPage = () => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const [cloud, setCloud] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const canManage = can(user, 'tag:manage');
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([
+      api.get('/tags', { params: { limit: 100 } }),
+      canManage ? api.get('/tags', { params: { all: 'true', sort: 'name', limit: 200 } }) : null
+    ])
+      .then(([cloudResponse, allResponse]) => {
+        setCloud([...cloudResponse.data.tags].sort((a, b) => a.name.localeCompare(b.name)));
+        setAllTags(allResponse ? allResponse.data.tags : []);
+        setSelected([]);
+      })
+      .catch(() => showNotification('Failed to load tags', 'error'))
+      .finally(() => setLoading(false));
+  }, [canManage, refreshKey, showNotification]);
+
+  // Size tags on a log scale so one very popular tag doesn't shrink the rest
+  const counts = cloud.map(tag => Math.log(tag.count));
+  const [minCount, maxCount] = [Math.min(...counts), Math.max(...counts)];
+  const sizeOf = (tag) => {
+    if (maxCount === minCount) return TAG_CLOUD_SIZES[2];
+    const scale = (Math.log(tag.count) - minCount) / (maxCount - minCount);
+    return TAG_CLOUD_SIZES[Math.round(scale * (TAG_CLOUD_SIZES.length - 1))];
+  };
+
+  const runAction = async (request) => {
+    try {
+      const response = await request();
+      showNotification(`${response.data.message} (${response.data.postsUpdated} post(s) updated)`, 'success');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Action failed';
+      showNotification(message, 'error');
+    }
+  };
+
+  const handleRename = (tag) => {
+    const name = window.prompt(`Rename "${tag.name}" to:`, tag.name);
+    if (!name || normalizeTag(name) === tag.name) return;
+    runAction(() => api.put(`/tags/${encodeURIComponent(tag.name)}`, { name }));
+  };
+
+  const handleDelete = (tag) => {
+    if (!window.confirm(`Remove "${tag.name}" from all ${tag.count} post(s)?`)) return;
+    runAction(() => api.delete(`/tags/${encodeURIComponent(tag.name)}`));
+  };
+
+  const handleMerge = () => {
+    const into = window.prompt(`Merge ${selected.join(', ')} into which tag?`, selected[0]);
+    if (!into) return;
+    runAction(() => api.post('/tags/merge', { tags: selected, into }));
+  };
+
+  const toggleSelected = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(other => other !== name) : [...prev, name]));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-10">
+      <div>
+        <h1 className="text-4xl font-bold mb-2">Tags</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Browse posts by topic
+        </p>
+      </div>
+
+      {cloud.length === 0 ? (
+        <p className={`${colors.textSecondary} text-center text-xl py-20`}>No tags yet.</p>
+      ) : (
+        <div className={`${colors.secondary} rounded-lg shadow-lg p-6 flex flex-wrap items-baseline gap-x-4 gap-y-2`}>
+          {cloud.map(tag => (
+            <Link
+              key={tag.name}
+              to={`/tags/${encodeURIComponent(tag.name)}`}
+              className={`${sizeOf(tag)} hover:underline`}
+              title={`${tag.count} post(s)`}
+            >
+              {tag.name}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {canManage && allTags.length > 0 && (
+        <section>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-bold">Manage tags</h2>
+            <button
+              onClick={handleMerge}
+              disabled={selected.length < 1}
+              className={`${colors.button} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+            >
+              Merge selected
+            </button>
+          </div>
+          <p className={`${colors.textSecondary} text-sm mb-4`}>
+            Counts include drafts. Changes apply to every post using the tag.
+          </p>
+          <div className={`${colors.secondary} rounded-lg shadow-lg divide-y ${colors.border}`}>
+            {allTags.map(tag => (
+              <div key={tag.name} className="flex items-center justify-between p-3">
+                <label className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(tag.name)}
+                    onChange={() => toggleSelected(tag.name)}
+                  />
+                  <span>{tag.name}</span>
+                  <span className={`${colors.textSecondary} text-sm`}>{tag.count}</span>
+                </label>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleRename(tag)}
+                    className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+                    title="Rename Tag"
+                  >
+                    <Edit size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(tag)}
+                    className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+                    title="Delete Tag"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+// Filtered post list pages. Keyed on the route param so that moving
+// between, say, two tags reloads the list from scratch.
+const TagPosts = () => {
+  const { tag } = useParams();
+  return (
+    <PostsList
+      key={tag}
+      filters={{ tag }}
+      heading={`#${tag}`}
+      subheading={`Posts tagged ${tag}`}
+      feedPath={`/tags/${encodeURIComponent(tag)}`}
+    />
+  );
+};
+
+// The server accepts a category's name or slug
+const CategoryPosts = () => {
+  const { name } = useParams();
+  const category = useCategories().find(other => other.name === name || other.slug === name);
+  const title = category ? category.name : name;
+  return (
+    <PostsList
+      key={name}
+      filters={{ category: name }}
+      heading={title}
+      subheading={category?.description || `Posts in ${title}`}
+      feedPath={`/category/${encodeURIComponent(name)}`}
+    />
+  );
+};
+
+const AuthorPosts = () => {
+  const { username } = useParams();
+  return (
+    <PostsList
+      key={username}
+      filters={{ author: username }}
+      heading={username}
+      subheading={`Posts by ${username}`}
+      feedPath={`/authors/${encodeURIComponent(username)}`}
+    />
+  );
+};
+
+// Search filters, by the facet they come from and the query parameter
+// that applies them
+const SEARCH_FACETS = [
+  { key: 'categories', param: 'category', label: 'Category' },
+  { key: 'tags', param: 'tag', label: 'Tag' },
+  { key: 'authors', param: 'author', label: 'Author' },
+  { key: 'years', param: 'year', label: 'Year' }
+];
+
+// Search Results Component
+// Matches for ?q=, most relevant first, narrowed by any combination of
+// category, tag, author and year. Everything lives in the URL so a search
+// can be shared or bookmarked.
+const SearchResults = () => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const [searchTerm, setSearchTerm] = useState(q);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setSearchTerm(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q) {
+      setData(null);
+      return;
+    }
+
+    setLoading(true);
+    api.get('/search', { params: Object.fromEntries(searchParams) })
+      .then(response => setData(response.data))
+      .catch(error => showNotification(error.response?.data?.message || 'Search failed', 'error'))
+      .finally(() => setLoading(false));
+  }, [q, searchParams, showNotification]);
+
+  // Change some parameters, going back to the first page unless the page
+  // is what changed
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    if (!('page' in changes)) next.delete('page');
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: searchTerm.trim() });
+  };
+
+  const activeFilters = SEARCH_FACETS.filter(facet => searchParams.get(facet.param));
+  const pagination = data?.pagination;
+  const page = pagination?.currentPage || 1;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <form onSubmit={handleSubmit} className="flex space-x-2 mb-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search posts by title, content, or tags..."
+          className={`flex-1 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          autoFocus={!q}
+        />
+        <button
+          type="submit"
+          disabled={loading || !searchTerm.trim()}
+          className={`px-6 py-3 rounded-lg ${colors.button} font-medium disabled:opacity-50 flex items-center space-x-2`}
+        >
+          {loading ? <LoadingSpinner size="sm" /> : <Search size={16} />}
+          <span className="hidden sm:inline">Search</span>
+        </button>
+      </form>
+
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {activeFilters.map(facet => (
+            <button
+              key={facet.param}
+              onClick={() => updateParams({ [facet.param]: null })}
+              className={`flex items-center space-x-1 px-3 py-1 rounded-full text-sm ${colors.accent}`}
+              title="Remove filter"
+            >
+              <span>{facet.label}: {searchParams.get(facet.param)}</span>
+              <X size={12} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!q ? (
+        <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+          Search titles, tags and post content.
+        </p>
+      ) : !data ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Facets */}
+          <aside className="space-y-6">
+            <p className={colors.textSecondary}>
+              {pagination.totalResults} result{pagination.totalResults === 1 ? '' : 's'}
+            </p>
+            {SEARCH_FACETS.filter(facet => data.facets[facet.key].length > 0).map(facet => (
+              <div key={facet.key}>
+                <h3 className="font-semibold mb-2">{facet.label}</h3>
+                <ul className="space-y-1 text-sm">
+                  {data.facets[facet.key].map(bucket => {
+                    const value = String(bucket.value);
+                    const active = searchParams.get(facet.param) === value;
+                    return (
+                      <li key={value}>
+                        <button
+                          onClick={() => updateParams({ [facet.param]: active ? null : value })}
+                          className={`flex justify-between w-full text-left hover:underline ${active ? 'font-bold' : ''}`}
+                        >
+                          <span>{value}</span>
+                          <span className={colors.textSecondary}>{bucket.count}</span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </aside>
+
+          {/* Results */}
+          <div className="lg:col-span-3 space-y-4">
+            {data.results.length === 0 ? (
+              <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+                No posts match your search.
+              </p>
+            ) : data.results.map(result => (
+              <article
+                key={result._id}
+                className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} [&_mark]:bg-yellow-200 [&_mark]:text-gray-900 [&_mark]:rounded-sm`}
+              >
+                <Link
+                  to={`/posts/${result.slug}`}
+                  className="text-xl font-bold hover:underline"
+                  dangerouslySetInnerHTML={{ __html: result.highlights.title }}
+                />
+                <div className={`${colors.textSecondary} flex flex-wrap items-center gap-4 text-sm mt-2`}>
+                  {result.author && (
+                    <span className="flex items-center">
+                      <User size={14} className="mr-1" />
+                      {formatNames([result.author, ...(result.coAuthors || [])])}
+                    </span>
+                  )}
+                  {result.publishedAt && (
+                    <span className="flex items-center">
+                      <Calendar size={14} className="mr-1" />
+                      {new Date(result.publishedAt).toLocaleDateString()}
+                    </span>
+                  )}
+                  <CategoryBadge name={result.category} className="px-2 py-0.5 text-xs" />
+                </div>
+                <p
+                  className={`${colors.textSecondary} mt-3`}
+                  dangerouslySetInnerHTML={{ __html: result.highlights.excerpt }}
+                />
+                {result.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-3 text-sm">
+                    {result.tags.map(tag => (
+                      <Link key={tag} to={`/tags/${encodeURIComponent(tag)}`} className="hover:underline">
+                        #{tag}
+                      </Link>
+                    ))}
+                  </div>
+                )}
+              </article>
+            ))}
+
+            {pagination.totalPages > 1 && (
+              <div className="flex justify-center items-center space-x-4 mt-4">
+                <button
+                  onClick={() => updateParams({ page: String(page - 1) })}
+                  disabled={page <= 1}
+                  className={`px-4 py-2 rounded-lg ${colors.buttonSecondary} disabled:opacity-50`}
+                >
+                  Previous
+                </button>
+                <span className={colors.textSecondary}>
+                  Page {page} of {pagination.totalPages}
+                </span>
+                <button
+                  onClick={() => updateParams({ page: String(page + 1) })}
+                  disabled={page >= pagination.totalPages}
+                  className={`px-4 py-2 rounded-lg ${colors.buttonSecondary} disabled:opacity-50`}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// After saving, published posts open on their own page; everything else
+// goes back to the author's drafts
+const useAfterSave = () => {
+  const navigate = useNavigate();
+  return (savedPost) => navigate(
+    savedPost.status === 'published' ? `/posts/${savedPost.slug}` : '/drafts'
+  );
+};
+
+// Create Post Component
+const CreatePost = () => {
+  const goBack = useGoBack();
+  const handleSave = useAfterSave();
+
+  return (
+    <div className="container mx-auto px-4">
+      <PostEditor
+        post={null}
+        onSave={handleSave}
+        onCancel={goBack}
+      />
+    </div>
+  );
+};
+
+// Edit Post Component
+const EditPost = () => {
+  const { id } = useParams();
+  const goBack = useGoBack();
+  const handleSave = useAfterSave();
+  const { colors } = useTheme();
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/posts/${id}`)
+      .then(response => setPost(response.data.post))
+      .catch(() => setPost(null))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!post) {
+    return (
+      <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+        Post not found.
+      </p>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4">
+      <PostEditor
+        key={post._id}
+        post={post}
+        onSave={handleSave}
+        onCancel={goBack}
+      />
+    </div>
+  );
+};
+
+// My Drafts Component
+const MyDrafts = () => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState('draft');
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get('/posts', { params: { mine: 'true', status, limit: 50, sortBy: 'updatedAt' } })
+      .then(response => setPosts(response.data.posts))
+      .catch(() => showNotification('Failed to load your posts', 'error'))
+      .finally(() => setLoading(false));
+  }, [status, showNotification]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold mb-2">My Drafts</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Posts you are still working on
+        </p>
+      </div>
+
+      <div className="flex space-x-2 mb-6">
+        {['draft', 'scheduled', 'archived'].map(tab => (
+          <button
+            key={tab}
+            onClick={() => setStatus(tab)}
+            className={`px-4 py-2 rounded-lg transition-colors ${
+              status === tab ? colors.button : colors.buttonSecondary
+            }`}
+          >
+            {POST_STATUS_LABELS[tab]}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : posts.length === 0 ? (
+        <p className={`${colors.textSecondary} text-center text-xl py-20`}>
+          Nothing here yet.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {posts.map(post => (
+            <div
+              key={post._id}
+              className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} flex justify-between items-center`}
+            >
+              <div>
+                <h2 className="text-xl font-bold mb-2">{post.title}</h2>
+                <div className="flex items-center space-x-4 text-sm">
+                  <PostStatusBadge post={post} />
+                  <ReviewStateBadge post={post} />
+                  <span className={`${colors.textSecondary} flex items-center`}>
+                    <Calendar size={16} className="mr-1" />
+                    Last edited {new Date(post.updatedAt).toLocaleString()}
+                  </span>
+                </div>
+              </div>
+              <button
+                onClick={() => navigate(`/posts/${post._id}/edit`)}
+                className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+                title="Edit Post"
+              >
+                <Edit size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Review Inbox Component
+const ReviewInbox = () => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+  const [inbox, setInbox] = useState({ toReview: [], submitted: [] });
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([api.get('/posts/review-inbox'), api.get('/notifications')])
+      .then(([inboxResponse, notificationsResponse]) => {
+        setInbox({ toReview: inboxResponse.data.toReview, submitted: inboxResponse.data.submitted });
+        setNotifications(notificationsResponse.data.notifications);
+      })
+      .catch(() => showNotification('Failed to load your reviews', 'error'))
+      .finally(() => setLoading(false));
+  }, [showNotification]);
+
+  const handleOpenNotification = (notification) => {
+    if (!notification.readAt) {
+      api.put(`/notifications/${notification._id}/read`).catch(() => {});
+    }
+    if (notification.post) {
+      navigate(`/posts/${notification.post.slug}`);
+    } else {
+      setNotifications(prev => prev.map(other => (
+        other._id === notification._id ? { ...other, readAt: new Date().toISOString() } : other
+      )));
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await api.put('/notifications/read-all');
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(notification => ({ ...notification, readAt: notification.readAt || now })));
+    } catch (error) {
+      showNotification('Failed to update notifications', 'error');
+    }
+  };
+
+  const renderPost = (post) => (
+    <div
+      key={post._id}
+      className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} flex justify-between items-center`}
+    >
+      <div>
+        <Link to={`/posts/${post.slug}`} className="text-xl font-bold mb-2 hover:underline block">
+          {post.title}
+        </Link>
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <ReviewStateBadge post={post} />
+          <span className={`${colors.textSecondary} flex items-center`}>
+            <User size={16} className="mr-1" />
+            {formatNames([post.author, ...(post.coAuthors || [])].filter(Boolean))}
+          </span>
+          <span className={`${colors.textSecondary} flex items-center`}>
+            <Calendar size={16} className="mr-1" />
+            Updated {new Date(post.updatedAt).toLocaleString()}
+          </span>
+        </div>
+      </div>
+      {can(user, 'post:edit', post) && (
+        <button
+          onClick={() => navigate(`/posts/${post._id}/edit`)}
+          className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+          title="Edit Post"
+        >
+          <Edit size={16} />
+        </button>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-10">
+      <div>
+        <h1 className="text-4xl font-bold mb-2">Reviews</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Posts waiting on a review, and what has happened to yours
+        </p>
+      </div>
+
+      <section>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Notifications</h2>
+          {notifications.some(notification => !notification.readAt) && (
+            <button
+              onClick={handleReadAll}
+              className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors`}
+            >
+              Mark all as read
+            </button>
+          )}
+        </div>
+        {notifications.length === 0 ? (
+          <p className={colors.textSecondary}>No notifications.</p>
+        ) : (
+          <div className="space-y-2">
+            {notifications.map(notification => (
+              <button
+                key={notification._id}
+                onClick={() => handleOpenNotification(notification)}
+                className={`w-full text-left p-3 rounded-lg ${colors.accent} ${notification.readAt ? 'opacity-60' : 'font-medium'}`}
+              >
+                {notification.message}
+                <span className={`block text-xs font-normal ${colors.textSecondary}`}>
+                  {new Date(notification.createdAt).toLocaleString()}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {can(user, 'post:review') && (
+        <section>
+          <h2 className="text-2xl font-bold mb-4">Waiting for your review</h2>
+          {inbox.toReview.length === 0 ? (
+            <p className={colors.textSecondary}>Nothing to review.</p>
+          ) : (
+            <div className="space-y-4">{inbox.toReview.map(renderPost)}</div>
+          )}
+        </section>
+      )}
+
+      <section>
+        <h2 className="text-2xl font-bold mb-4">Your posts in review</h2>
+        {inbox.submitted.length === 0 ? (
+          <p className={colors.textSecondary}>None of your posts are in review.</p>
+        ) : (
+          <div className="space-y-4">{inbox.submitted.map(renderPost)}</div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+const MODERATION_TABS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'spam', label: 'Spam' },
+  { status: 'rejected', label: 'Rejected' },
+  { status: 'approved', label: 'Approved' }
+];
+
+const MODERATION_ACTIONS = [
+  { action: 'approve', label: 'Approve', icon: Check, hover: 'hover:bg-green-500', skip: 'approved' },
+  { action: 'reject', label: 'Reject', icon: XCircle, hover: 'hover:bg-red-500', skip: 'rejected' },
+  { action: 'spam', label: 'Spam', icon: AlertOctagon, hover: 'hover:bg-yellow-500', skip: 'spam' }
+];
+
+// Moderation Policy Component
+const ModerationPolicyForm = ({ editable }) => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const [policy, setPolicy] = useState(null);
+  const [bannedWordsText, setBannedWordsText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/moderation/policy')
+      .then(response => {
+        setPolicy(response.data.policy);
+        setBannedWordsText(response.data.policy.bannedWords.join('\n'));
+      })
+      .catch(() => showNotification('Failed to load moderation policy', 'error'));
+  }, [showNotification]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.put('/moderation/policy', {
+        ...policy,
+        bannedWords: bannedWordsText.split(/[\n,]/).map(word => word.trim()).filter(Boolean)
+      });
+      setPolicy(response.data.policy);
+      setBannedWordsText(response.data.policy.bannedWords.join('\n'));
+      showNotification('Moderation policy saved', 'success');
+    } catch (error) {
+      const message = error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save policy';
+      showNotification(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!policy) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const toggles = [
+    { name: 'requireApproval', label: 'Hold every comment for review' },
+    { name: 'firstCommentNeedsApproval', label: "Hold a user's first comment" },
+    { name: 'linksNeedApproval', label: 'Hold comments containing links' }
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {toggles.map(({ name, label }) => (
+        <label key={name} className="flex items-center space-x-2 text-sm">
+          <input
+            type="checkbox"
+            checked={policy[name]}
+            disabled={!editable}
+            onChange={(e) => setPolicy(prev => ({ ...prev, [name]: e.target.checked }))}
+          />
+          <span>{label}</span>
+        </label>
+      ))}
+
+      <label className="block text-sm">
+        <span className="block mb-1">Links allowed before a comment counts as spam</span>
+        <input
+          type="number"
+          min={0}
+          value={policy.maxLinks}
+          disabled={!editable}
+          onChange={(e) => setPolicy(prev => ({ ...prev, maxLinks: parseInt(e.target.value) || 0 }))}
+          className={`w-full p-2 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50`}
+        />
+      </label>
+
+      <label className="block text-sm">
+        <span className="block mb-1">Banned words (one per line)</span>
+        <textarea
+          value={bannedWordsText}
+          disabled={!editable}
+          onChange={(e) => setBannedWordsText(e.target.value)}
+          rows={5}
+          className={`w-full p-2 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none disabled:opacity-50`}
+        />
+      </label>
+
+      <label className="block text-sm">
+        <span className="block mb-1">Comments with banned words are</span>
+        <select
+          value={policy.bannedWordAction}
+          disabled={!editable}
+          onChange={(e) => setPolicy(prev => ({ ...prev, bannedWordAction: e.target.value }))}
+          className={`w-full p-2 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50`}
+        >
+          <option value="pending">Held for review</option>
+          <option value="spam">Marked as spam</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </label>
+
+      {editable ? (
+        <button
+          type="submit"
+          disabled={saving}
+          className={`${colors.button} px-6 py-2 rounded-lg font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50 flex items-center space-x-2`}
+        >
+          <Save size={16} />
+          <span>{saving ? 'Saving...' : 'Save Policy'}</span>
+        </button>
+      ) : (
+        <p className={`${colors.textSecondary} text-xs`}>Only Admins can change the policy.</p>
+      )}
+    </form>
+  );
+};
+
+// Moderation Queue Component (Editors and Admins)
+const ModerationQueue = () => {
+  const { colors } = useTheme();
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [comments, setComments] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [pagination, setPagination] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get('/moderation/comments', { params: { status, page } })
+      .then(response => {
+        setComments(response.data.comments);
+        setCounts(response.data.counts);
+        setPagination(response.data.pagination);
+        setSelected([]);
+      })
+      .catch(() => showNotification('Failed to load moderation queue', 'error'))
+      .finally(() => setLoading(false));
+  }, [status, page, refreshKey, showNotification]);
+
+  const moderate = async (ids, action) => {
+    try {
+      const response = await api.post('/moderation/comments/bulk', { ids, action });
+      showNotification(response.data.message, 'success');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Moderation failed';
+      showNotification(message, 'error');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]);
+  };
+
+  const allSelected = comments.length > 0 && selected.length === comments.length;
+  const actions = MODERATION_ACTIONS.filter(({ skip }) => skip !== status);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold mb-2">Moderation</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Review held comments and decide what gets published
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <div className="xl:col-span-2">
+          <div className="flex flex-wrap gap-2 mb-4">
+            {MODERATION_TABS.map(tab => (
+              <button
+                key={tab.status}
+                onClick={() => {
+                  setStatus(tab.status);
+                  setPage(1);
+                }}
+                className={`px-4 py-2 rounded-lg transition-colors ${
+                  status === tab.status ? colors.button : colors.buttonSecondary
+                }`}
+              >
+                {tab.label} ({counts[tab.status] || 0})
+              </button>
+            ))}
+          </div>
+
+          <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border}`}>
+            <div className={`flex flex-wrap items-center justify-between gap-2 p-4 border-b ${colors.border}`}>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelected(allSelected ? [] : comments.map(comment => comment._id))}
+                />
+                <span>{selected.length > 0 ? `${selected.length} selected` : 'Select all'}</span>
+              </label>
+              <div className="flex space-x-2">
+                {actions.map(({ action, label, icon: Icon, hover }) => (
+                  <button
+                    key={action}
+                    onClick={() => moderate(selected, action)}
+                    disabled={selected.length === 0}
+                    className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-sm ${colors.buttonSecondary} ${hover} hover:text-white transition-colors disabled:opacity-50`}
+                  >
+                    <Icon size={14} />
+                    <span>{label}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : (
+              <div>
+                {comments.map(comment => (
+                  <div key={comment._id} className={`flex items-start space-x-3 p-4 border-b ${colors.border} last:border-b-0`}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(comment._id)}
+                      onChange={() => toggleSelected(comment._id)}
+                      className="mt-1"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-2 text-sm mb-1">
+                        <span className="font-medium">{comment.userID?.username || 'Deleted user'}</span>
+                        <span className={colors.textSecondary}>on</span>
+                        {comment.postID ? (
+                          <Link
+                            to={`/posts/${comment.postID.slug || comment.postID._id}`}
+                            className="text-blue-500 hover:underline truncate"
+                          >
+                            {comment.postID.title}
+                          </Link>
+                        ) : (
+                          <span className={colors.textSecondary}>a deleted post</span>
+                        )}
+                        <span className={`${colors.textSecondary} text-xs`}>
+                          {new Date(comment.createdAt).toLocaleString()}
+                        </span>
+                      </div>
+                      <p className={`${colors.textSecondary} whitespace-pre-wrap break-words`}>{comment.comment}</p>
+                      {comment.moderationReasons && comment.moderationReasons.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {comment.moderationReasons.map(reason => (
+                            <span
+                              key={reason}
+                              className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200"
+                            >
+                              {reason}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {comment.moderatedBy && (
+                        <p className={`${colors.textSecondary} text-xs mt-2`}>
+                          Moderated by {comment.moderatedBy.username}
+                          {comment.moderatedAt && ` on ${new Date(comment.moderatedAt).toLocaleString()}`}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex space-x-1">
+                      {actions.map(({ action, label, icon: Icon, hover }) => (
+                        <button
+                          key={action}
+                          onClick={() => moderate([comment._id], action)}
+                          className={`p-2 rounded-full ${colors.buttonSecondary} ${hover} hover:text-white transition-colors`}
+                          title={label}
+                        >
+                          <Icon size={14} />
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                {comments.length === 0 && (
+                  <p className={`${colors.textSecondary} text-center py-12`}>
+                    Nothing to review here.
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex justify-center items-center space-x-4 mt-4">
+              <button
+                onClick={() => setPage(prev => prev - 1)}
+                disabled={page <= 1}
+                className={`px-4 py-2 rounded-lg ${colors.buttonSecondary} disabled:opacity-50`}
+              >
+                Previous
+              </button>
+              <span className={colors.textSecondary}>
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(prev => prev + 1)}
+                disabled={page >= pagination.totalPages}
+                className={`px-4 py-2 rounded-lg ${colors.buttonSecondary} disabled:opacity-50`}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 h-fit`}>
+          <h3 className="text-xl font-bold mb-4">Policy</h3>
+          <ModerationPolicyForm editable={can(user, 'moderation:configure')} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_CATEGORY = { name: '', slug: '', description: '', color: '#6b7280', parent: '', sortOrder: 0 };
+
+// Category Management Component (Admin only)
+const CategoryManager = () => {
+  const { colors } = useTheme();
+  const { showNotification } = useNotification();
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // The category being edited, or 'new'
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_CATEGORY);
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setLoading(true);
+    loadCategories(refreshKey > 0)
+      .then(setCategories)
+      .catch(() => showNotification('Failed to load categories', 'error'))
+      .finally(() => setLoading(false));
+  }, [refreshKey, showNotification]);
+
+  const handleEdit = (category) => {
+    setEditing(category ? category._id : 'new');
+    setForm(category
+      ? {
+        name: category.name,
+        slug: category.slug,
+        description: category.description || '',
+        color: category.color,
+        parent: category.parent || '',
+        sortOrder: category.sortOrder
+      }
+      : EMPTY_CATEGORY);
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = { ...form, parent: form.parent || null, sortOrder: parseInt(form.sortOrder) || 0 };
+      const response = editing === 'new'
+        ? await api.post('/categories', data)
+        : await api.put(`/categories/${editing}`, data);
+      showNotification(response.data.message, 'success');
+      setEditing(null);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      const message = error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save category';
+      showNotification(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteCategory = async (category, reassignTo) => {
+    const response = await api.delete(`/categories/${category._id}`, { params: { reassignTo } });
+    showNotification(response.data.message, 'success');
+    setRefreshKey(key => key + 1);
+  };
+
+  // A category with posts in it can only go once they are moved elsewhere
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category?`)) return;
+
+    try {
+      await deleteCategory(category);
+      return;
+    } catch (error) {
+      if (!error.response?.data?.postCount) {
+        showNotification(error.response?.data?.message || 'Failed to delete category', 'error');
+        return;
+      }
+    }
+
+    const others = categories.filter(other => other._id !== category._id);
+    const targetName = window.prompt(
+      `Posts in ${category.name} will move to another category. Which one?\n${others.map(other => other.name).join(', ')}`
+    );
+    if (targetName === null) return;
+
+    const target = others.find(other => other.name.toLowerCase() === targetName.trim().toLowerCase());
+    if (!target) {
+      showNotification(`There is no category called ${targetName}`, 'error');
+      return;
+    }
+
+    try {
+      await deleteCategory(category, target._id);
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to delete category', 'error');
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className={`${colors.secondary} rounded-lg shadow-lg p-6 border ${colors.border} space-y-4`}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input
+          name="name"
+          value={form.name}
+          onChange={handleChange}
+          placeholder="Name"
+          required
+          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        />
+        <input
+          name="slug"
+          value={form.slug}
+          onChange={handleChange}
+          placeholder="slug (generated from the name)"
+          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        />
+      </div>
+      <textarea
+        name="description"
+        value={form.description}
+        onChange={handleChange}
+        placeholder="Description"
+        rows={2}
+        className={`w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none`}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <select
+          name="parent"
+          value={form.parent}
+          onChange={handleChange}
+          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        >
+          <option value="">No parent</option>
+          {orderCategories(categories).filter(category => category._id !== editing).map(category => (
+            <option key={category._id} value={category._id}>
+              {'\u2014 '.repeat(category.depth)}{category.name}
+            </option>
+          ))}
+        </select>
+        <label className={`flex items-center space-x-2 ${colors.textSecondary}`}>
+          <span>Colour</span>
+          <input type="color" name="color" value={form.color} onChange={handleChange} className="h-10 w-16" />
+        </label>
+        <label className={`flex items-center space-x-2 ${colors.textSecondary}`}>
+          <span>Order</span>
+          <input
+            type="number"
+            name="sortOrder"
+            value={form.sortOrder}
+            onChange={handleChange}
+            className={`w-24 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          />
+        </label>
+      </div>
+      {editing !== 'new' && (
+        <p className={`${colors.textSecondary} text-sm`}>
+          Renaming a category moves its posts to the new name.
+        </p>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`flex items-center space-x-2 ${colors.success} px-4 py-2 rounded-lg font-medium disabled:opacity-50`}
+        >
+          <Save size={16} />
+          <span>{saving ? 'Saving...' : 'Save'}</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => setEditing(null)}
+          className={`${colors.buttonSecondary} px-4 py-2 rounded-lg transition-colors`}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-4xl font-bold mb-2">Categories</h1>
+          <p className={`${colors.textSecondary} text-lg`}>
+            The categories writers can file posts under
+          </p>
+        </div>
+        <button
+          onClick={() => handleEdit(null)}
+          className={`flex items-center space-x-2 ${colors.button} px-4 py-2 rounded-lg font-medium`}
+        >
+          <Plus size={16} />
+          <span>New category</span>
+        </button>
+      </div>
+
+      {editing === 'new' && <div className="mb-6">{renderForm()}</div>}
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {orderCategories(categories).map(category => (
+            editing === category._id ? (
+              <div key={category._id}>{renderForm()}</div>
+            ) : (
+              <div
+                key={category._id}
+                className={`${colors.secondary} rounded-lg shadow p-4 border ${colors.border} flex justify-between items-center`}
+                style={{ marginLeft: `${category.depth * 2}rem` }}
+              >
+                <div className="flex items-center space-x-3">
+                  <span className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: category.color }} />
+                  <div>
+                    <p className="font-bold">
+                      {category.name}
+                      <span className={`${colors.textSecondary} font-normal text-sm ml-2`}>/{category.slug}</span>
+                    </p>
+                    {category.description && (
+                      <p className={`${colors.textSecondary} text-sm`}>{category.description}</p>
+                    )}
+                    <p className={`${colors.textSecondary} text-xs`}>
+                      {category.postCount} published post{category.postCount === 1 ? '' : 's'} · order {category.sortOrder}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleEdit(category)}
+                    className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-blue-500 hover:text-white transition-colors`}
+                    title="Edit Category"
+                  >
+                    <Edit size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(category)}
+                    className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+                    title="Delete Category"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// User Management Component (Admin only)
+const UserManagement = () => {
+  const { colors } = useTheme();
+  const { user: currentUser } = useAuth();
+  const { showNotification } = useNotification();
+  const [users, setUsers] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [securityPolicy, setSecurityPolicy] = useState(null);
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+  const [auditType, setAuditType] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value)
+    );
+
+    setLoading(true);
+    Promise.all([
+      api.get('/users', { params }),
+      api.get('/users/security-policy')
+    ])
+      .then(([usersResponse, policyResponse]) => {
+        setUsers(usersResponse.data.users);
+        setSecurityPolicy(policyResponse.data.policy);
+      })
+      .catch(() => showNotification('Failed to load users', 'error'))
+      .finally(() => setLoading(false));
+  }, [filters, refreshKey, showNotification]);
+
+  useEffect(() => {
+    api.get('/users/audit', { params: auditType ? { targetType: auditType } : {} })
+      .then(response => setAuditEntries(response.data.entries))
+      .catch(() => showNotification('Failed to load audit trail', 'error'));
+  }, [auditType, refreshKey, showNotification]);
+
+  const runAction = async (request, successMessage) => {
+    try {
+      await request();
+      showNotification(successMessage, 'success');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Action failed';
+      showNotification(message, 'error');
+    }
+  };
+
+  const handleRoleChange = (target, role) => runAction(
+    () => api.put(`/users/${target.id}/role`, { role }),
+    `${target.username} is now ${role}`
+  );
+
+  const handleToggleSuspend = (target) => {
+    if (target.isSuspended) {
+      return runAction(
+        () => api.put(`/users/${target.id}/suspend`, { suspended: false }),
+        `${target.username} has been reinstated`
+      );
+    }
+
+    const reason = window.prompt(`Reason for suspending ${target.username} (optional):`);
+    if (reason === null) return;
+
+    return runAction(
+      () => api.put(`/users/${target.id}/suspend`, { suspended: true, reason }),
+      `${target.username} has been suspended`
+    );
+  };
+
+  const handleDelete = (target) => {
+    if (!window.confirm(`Delete ${target.username}? Their posts and comments will also be deleted.`)) return;
+
+    return runAction(
+      () => api.delete(`/users/${target.id}`),
+      `${target.username} has been deleted`
+    );
+  };
+
+  const handleResetTwoFactor = (target) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${target.username}? They will be signed out everywhere.`)) return;
+
+    return runAction(
+      () => api.put(`/users/${target.id}/2fa/reset`),
+      `Two-factor authentication reset for ${target.username}`
+    );
+  };
+
+  const handleRequireTwoFactor = (required) => runAction(
+    () => api.put('/users/security-policy', { requireTwoFactorForStaff: required }),
+    required ? 'Admins and Editors must now use two-factor authentication' : 'Two-factor authentication is now optional'
+  );
+
+  const describeAudit = (entry) => {
+    if (entry.targetType === 'Comment') {
+      return `changed a comment by ${entry.targetLabel || 'a deleted user'} from ${entry.details.from} to ${entry.details.to}`;
+    }
+
+    switch (entry.action) {
+      case 'user.role.change':
+        return `changed ${entry.targetLabel}'s role from ${entry.details.from} to ${entry.details.to}`;
+      case 'user.suspend':
+        return `suspended ${entry.targetLabel}${entry.details.reason ? ` (${entry.details.reason})` : ''}`;
+      case 'user.reinstate':
+        return `reinstated ${entry.targetLabel}`;
+      case 'user.delete':
+        return `deleted ${entry.targetLabel}`;
+      case 'user.2fa.reset':
+        return `reset two-factor authentication for ${entry.targetLabel}`;
+      case 'category.create':
+        return `created category ${entry.targetLabel}`;
+      case 'category.update':
+        return entry.details.renamedFrom
+          ? `renamed category ${entry.details.renamedFrom} to ${entry.targetLabel}`
+          : `updated category ${entry.targetLabel}`;
+      case 'category.delete':
+        return `deleted category ${entry.targetLabel}${entry.details.movedTo ? `, moving its posts to ${entry.details.movedTo}` : ''}`;
+      case 'tag.merge':
+        return `merged ${entry.details.tags.join(', ')} into #${entry.targetLabel}`;
+      case 'tag.rename':
+        return `renamed #${entry.details.from} to #${entry.details.to}`;
+      case 'tag.delete':
+        return `deleted #${entry.targetLabel} from ${entry.details.postsUpdated} posts`;
+      case 'security.policy.update':
+      case 'moderation.policy.update':
+        return `updated the ${entry.targetLabel.toLowerCase()}`;
+      default:
+        return `${entry.action} on ${entry.targetLabel}`;
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold mb-2">Users</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Manage roles and account access
+        </p>
+      </div>
+
+      <div className={`${colors.secondary} rounded-lg shadow-lg p-6 mb-6`}>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setFilters(prev => ({ ...prev, search: searchTerm.trim() }));
+            }}
+            className="md:col-span-2 flex space-x-2"
+          >
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search by username or email..."
+              className={`flex-1 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            />
+            <button
+              type="submit"
+              className={`px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 flex items-center`}
+            >
+              <Search size={16} />
+            </button>
+          </form>
+
+          <select
+            value={filters.role}
+            onChange={(e) => setFilters(prev => ({ ...prev, role: e.target.value }))}
+            className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          >
+            <option value="">All Roles</option>
+            <option value="Admin">Admin</option>
+            <option value="Editor">Editor</option>
+            <option value="User">User</option>
+          </select>
+
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+            className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          >
+            <option value="">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="suspended">Suspended</option>
+          </select>
+        </div>
+
+        {securityPolicy && (
+          <label className="flex items-center space-x-2 mt-4 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={securityPolicy.requireTwoFactorForStaff}
+              onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+            />
+            <span>Require two-factor authentication for Admins and Editors</span>
+          </label>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          <div className={`xl:col-span-2 ${colors.secondary} rounded-lg shadow-lg border ${colors.border} overflow-x-auto`}>
+            <table className="w-full text-left">
+              <thead>
+                <tr className={`border-b ${colors.border} text-sm ${colors.textSecondary}`}>
+                  <th className="p-4">User</th>
+                  <th className="p-4">Role</th>
+                  <th className="p-4">Status</th>
+                  <th className="p-4 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((target) => {
+                  const isSelf = target.id === currentUser.id;
+
+                  return (
+                    <tr key={target.id} className={`border-b ${colors.border} last:border-b-0`}>
+                      <td className="p-4">
+                        <p className="font-medium">{target.username}</p>
+                        <p className={`text-sm ${colors.textSecondary}`}>{target.email}</p>
+                      </td>
+                      <td className="p-4">
+                        <select
+                          value={target.role}
+                          disabled={isSelf}
+                          onChange={(e) => handleRoleChange(target, e.target.value)}
+                          className={`p-2 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50`}
+                        >
+                          <option value="User">User</option>
+                          <option value="Editor">Editor</option>
+                          <option value="Admin">Admin</option>
+                        </select>
+                      </td>
+                      <td className="p-4">
+                        {target.isSuspended ? (
+                          <span
+                            className="px-2 py-1 text-xs rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200"
+                            title={target.suspendedReason || ''}
+                          >
+                            Suspended
+                          </span>
+                        ) : (
+                          <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                            Active
                           </span>
-                          {user && (user.role === 'Admin' || comment.userID.username === user.username) && (
+                        )}
+                        {target.twoFactorEnabled && (
+                          <span className="ml-2 px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                            2FA
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-4">
+                        {!isSelf && (
+                          <div className="flex justify-end space-x-2">
+                            {target.twoFactorEnabled && (
+                              <button
+                                onClick={() => handleResetTwoFactor(target)}
+                                className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-yellow-500 hover:text-white transition-colors`}
+                                title="Reset Two-Factor Authentication"
+                              >
+                                <KeyRound size={16} />
+                              </button>
+                            )}
                             <button
-                              onClick={() => handleDeleteComment(comment._id)}
-                              className="text-red-500 hover:text-red-700 p-1"
-                              title="Delete Comment"
+                              onClick={() => handleToggleSuspend(target)}
+                              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-yellow-500 hover:text-white transition-colors`}
+                              title={target.isSuspended ? 'Reinstate User' : 'Suspend User'}
                             >
-                              <Trash2 size={14} />
+                              {target.isSuspended ? <UserCheck size={16} /> : <Ban size={16} />}
                             </button>
-                          )}
-                        </div>
-                      </div>
-                      <p className={`${colors.textSecondary}`}>{comment.comment}</p>
-                    </div>
-                  ))}
-                  
-                  {comments.length === 0 && (
-                    <p className={`${colors.textSecondary} text-center py-8`}>
-                      No comments yet. {user ? 'Be the first to share your thoughts!' : 'Sign in to add a comment.'}
-                    </p>
-                  )}
+                            <button
+                              onClick={() => handleDelete(target)}
+                              className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+                              title="Delete User"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+
+                {users.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className={`${colors.textSecondary} text-center py-8`}>
+                      No users found.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6`}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold">Audit Trail</h3>
+              <select
+                value={auditType}
+                onChange={(e) => setAuditType(e.target.value)}
+                className={`p-2 rounded-lg text-sm ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+              >
+                <option value="">All Changes</option>
+                <option value="User">Users</option>
+                <option value="SecurityPolicy">Security Policy</option>
+                <option value="Category">Categories</option>
+                <option value="Tag">Tags</option>
+                <option value="Comment">Comments</option>
+                <option value="ModerationPolicy">Moderation Policy</option>
+              </select>
+            </div>
+            <div className="space-y-3">
+              {auditEntries.map((entry) => (
+                <div key={entry._id} className={`${colors.accent} rounded-lg p-3 text-sm`}>
+                  <p>
+                    <span className="font-medium">{entry.actor?.username || 'Deleted user'}</span>{' '}
+                    {describeAudit(entry)}
+                  </p>
+                  <p className={`${colors.textSecondary} text-xs mt-1`}>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </p>
                 </div>
+              ))}
+
+              {auditEntries.length === 0 && (
+                <p className={`${colors.textSecondary} text-center py-4`}>
+                  No changes recorded yet.
+                </p>
               )}
             </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-// Search and Filter Component
-const SearchAndFilter = ({ onSearch, onFilter, loading }) => {
+// Sessions Component
+const SessionList = () => {
   const { colors } = useTheme();
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('');
+  const { logout } = useAuth();
+  const { showNotification } = useNotification();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    onSearch(searchTerm.trim());
+  useEffect(() => {
+    setLoading(true);
+    api.get('/auth/sessions')
+      .then(response => setSessions(response.data.sessions))
+      .catch(() => showNotification('Failed to load sessions', 'error'))
+      .finally(() => setLoading(false));
+  }, [refreshKey, showNotification]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (window.confirm('Sign out of this device?')) {
+        await logout();
+      }
+      return;
+    }
+
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      showNotification(`Signed out of ${session.device}`, 'success');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to revoke session';
+      showNotification(message, 'error');
+    }
   };
 
-  const handleCategoryChange = (e) => {
-    const category = e.target.value;
-    setSelectedCategory(category);
-    onFilter(category);
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+
+    try {
+      const response = await api.delete('/auth/sessions');
+      showNotification(response.data.message, 'success');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      showNotification('Failed to revoke sessions', 'error');
+    }
   };
 
   return (
-    <div className={`${colors.secondary} rounded-lg shadow-lg p-6 mb-6`}>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        {/* Search Form */}
-        <form onSubmit={handleSearch} className="md:col-span-2">
-          <div className="flex space-x-2">
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Search posts by title, content, or tags..."
-              className={`flex-1 p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
-            />
-            <button
-              type="submit"
-              disabled={loading}
-              className={`px-6 py-3 rounded-lg ${colors.button} font-medium transition-all duration-200 hover:scale-105 disabled:opacity-50 flex items-center space-x-2`}
-            >
-              {loading ? <LoadingSpinner size="sm" /> : <Search size={16} />}
-              <span className="hidden sm:inline">Search</span>
-            </button>
-          </div>
-        </form>
-        
-        {/* Category Filter */}
-        <select
-          value={selectedCategory}
-          onChange={handleCategoryChange}
-          className={`p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
-        >
-          <option value="">All Categories</option>
-          <option value="Technology">Technology</option>
-          <option value="Development">Development</option>
-          <option value="Design">Design</option>
-          <option value="Business">Business</option>
-          <option value="General">General</option>
-          <option value="Lifestyle">Lifestyle</option>
-        </select>
+    <div className="container mx-auto px-4 py-8 max-w-3xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-4xl font-bold mb-2">Your Sessions</h1>
+          <p className={`${colors.textSecondary} text-lg`}>
+            Devices that are signed in to your account
+          </p>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            className={`${colors.buttonSecondary} px-4 py-2 rounded-lg hover:bg-red-500 hover:text-white transition-colors`}
+          >
+            Sign out other devices
+          </button>
+        )}
       </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {sessions.map(session => (
+            <div
+              key={session.id}
+              className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-4 flex items-center justify-between`}
+            >
+              <div className="flex items-center space-x-4">
+                <Monitor size={24} className={colors.textSecondary} />
+                <div>
+                  <p className="font-medium">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className={`${colors.textSecondary} text-sm`}>
+                    {session.ip && `${session.ip} · `}
+                    Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                  <p className={`${colors.textSecondary} text-xs`}>
+                    Signed in {new Date(session.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className={`p-2 rounded-full ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors`}
+                title={session.current ? 'Sign out' : 'Revoke session'}
+              >
+                <LogOut size={16} />
+              </button>
+            </div>
+          ))}
+
+          {sessions.length === 0 && (
+            <p className={`${colors.textSecondary} text-center py-8`}>No active sessions.</p>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-// Posts List Component
-const PostsList = () => {
-  const { user } = useAuth();
+// Two-Factor Settings Component
+const TwoFactorSettings = () => {
   const { colors } = useTheme();
+  const { user, refreshUser } = useAuth();
   const { showNotification } = useNotification();
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [editingPost, setEditingPost] = useState(null);
-  const [viewingPost, setViewingPost] = useState(null);
-  const [searchLoading, setSearchLoading] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
 
   useEffect(() => {
-    loadPosts();
-  }, []);
+    api.get('/auth/2fa')
+      .then(response => setStatus(response.data.twoFactor))
+      .catch(() => showNotification('Failed to load two-factor settings', 'error'));
+  }, [refreshKey, showNotification]);
 
-  const loadPosts = async (params = {}) => {
-    setLoading(true);
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  // Run a request with the form values, then reload the status
+  const submit = async (request, onDone) => {
+    setSubmitting(true);
     try {
-      const response = await api.get('/posts', { params });
-      if (response.data.success) {
-        setPosts(response.data.posts);
-      }
+      const response = await request();
+      showNotification(response.data.message, 'success');
+      onDone?.(response.data);
+      setForm({ code: '', password: '' });
+      setRefreshKey(key => key + 1);
     } catch (error) {
-      showNotification('Failed to load posts', 'error');
+      const message = error.response?.data?.message || 'Action failed';
+      showNotification(message, 'error');
     } finally {
-      setLoading(false);
+      setSubmitting(false);
     }
   };
 
-  const handleSearch = async (searchTerm) => {
-    setSearchLoading(true);
+  const handleStartSetup = async () => {
+    setSubmitting(true);
     try {
-      await loadPosts(searchTerm ? { search: searchTerm } : {});
+      const response = await api.post('/auth/2fa/setup');
+      setSetup(response.data);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to start setup';
+      showNotification(message, 'error');
     } finally {
-      setSearchLoading(false);
+      setSubmitting(false);
     }
   };
 
-  const handleFilter = async (category) => {
-    setSearchLoading(true);
-    try {
-      await loadPosts(category ? { category } : {});
-    } finally {
-      setSearchLoading(false);
-    }
+  // The signed-in user is only refreshed once the recovery codes have been
+  // saved, since it may lift the setup requirement and leave this page
+  const handleCodesSaved = async () => {
+    setRecoveryCodes(null);
+    await refreshUser();
   };
 
-  const handleSavePost = (savedPost) => {
-    if (editingPost) {
-      setPosts(prev => prev.map(p => p._id === savedPost._id ? savedPost : p));
-    } else {
-      setPosts(prev => [savedPost, ...prev]);
-    }
-    setEditingPost(null);
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/auth/2fa/enable', { code: form.code.trim() }),
+      (data) => {
+        setSetup(null);
+        setRecoveryCodes(data.recoveryCodes);
+      }
+    );
   };
 
-  const handleDeletePost = (postId) => {
-    setPosts(prev => prev.filter(p => p._id !== postId));
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/auth/2fa/recovery-codes', { code: form.code.trim() }),
+      (data) => setRecoveryCodes(data.recoveryCodes)
+    );
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    submit(
+      () => api.post('/auth/2fa/disable', { password: form.password, code: form.code.trim() }),
+      refreshUser
+    );
   };
 
-  const canCreatePost = user && (user.role === 'Admin' || user.role === 'Editor');
+  const inputClass = `w-full p-3 rounded-lg ${colors.accent} ${colors.border} border focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all`;
+
+  const codeInput = (
+    <input
+      type="text"
+      name="code"
+      placeholder="6-digit code from your app"
+      value={form.code}
+      onChange={handleChange}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className={inputClass}
+      required
+    />
+  );
 
   return (
-    <div className="container mx-auto px-4 py-8">
-      {/* Header */}
-      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
-        <div>
-          <h1 className="text-4xl font-bold mb-2">Latest Posts</h1>
-          <p className={`${colors.textSecondary} text-lg`}>
-            Discover amazing content from our community
-          </p>
+    <div className="container mx-auto px-4 py-8 max-w-3xl">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold mb-2">Two-Factor Authentication</h1>
+        <p className={`${colors.textSecondary} text-lg`}>
+          Require a code from an authenticator app when you sign in
+        </p>
+      </div>
+
+      {user.twoFactorSetupRequired && (
+        <div className="bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200 rounded-lg p-4 mb-6 flex items-center space-x-2">
+          <AlertCircle size={16} />
+          <span>Your role requires two-factor authentication. Set it up to continue using the site.</span>
         </div>
-        
-        {canCreatePost && (
+      )}
+
+      {recoveryCodes && (
+        <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 mb-6`}>
+          <h3 className="text-xl font-bold mb-2">Your Recovery Codes</h3>
+          <p className={`${colors.textSecondary} text-sm mb-4`}>
+            Each code signs you in once if you lose your authenticator. Store them somewhere
+            safe; they will not be shown again.
+          </p>
+          <div className={`${colors.accent} rounded-lg p-4 grid grid-cols-2 gap-2 font-mono text-center`}>
+            {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+          </div>
           <button
-            onClick={() => setEditingPost({})}
-            className={`flex items-center space-x-2 ${colors.success} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105 whitespace-nowrap`}
+            onClick={handleCodesSaved}
+            className={`mt-4 px-4 py-2 rounded-lg ${colors.button} font-medium`}
           >
-            <Plus size={16} />
-            <span>New Post</span>
+            I've saved these codes
           </button>
-        )}
-      </div>
-
-      {/* Search and Filter */}
-      <SearchAndFilter
-        onSearch={handleSearch}
-        onFilter={handleFilter}
-        loading={searchLoading}
-      />
+        </div>
+      )}
 
-      {/* Posts Grid */}
-      {loading ? (
-        <div className="flex justify-center items-center py-20">
-          <div className="text-center">
-            <LoadingSpinner size="lg" />
-            <p className={`${colors.textSecondary} mt-4`}>Loading posts...</p>
-          </div>
+      {!status ? (
+        <div className="flex justify-center py-20">
+          <LoadingSpinner size="lg" />
         </div>
-      ) : posts.length === 0 ? (
-        <div className="text-center py-20">
-          <p className={`${colors.textSecondary} text-xl mb-4`}>
-            No posts found.
-          </p>
-          {canCreatePost && (
+      ) : status.enabled ? (
+        <div className="space-y-6">
+          <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 flex items-center space-x-4`}>
+            <ShieldCheck size={32} className="text-green-500" />
+            <div>
+              <p className="font-medium">Two-factor authentication is on</p>
+              <p className={`${colors.textSecondary} text-sm`}>
+                Enabled {new Date(status.enabledAt).toLocaleString()} · {status.recoveryCodesRemaining} recovery
+                codes left
+              </p>
+            </div>
+          </div>
+
+          <form
+            onSubmit={handleRegenerate}
+            className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 space-y-4`}
+          >
+            <h3 className="text-xl font-bold">New Recovery Codes</h3>
+            <p className={`${colors.textSecondary} text-sm`}>
+              Generating new codes replaces all of your current ones.
+            </p>
+            {codeInput}
             <button
-              onClick={() => setEditingPost({})}
-              className={`${colors.button} px-6 py-3 rounded-lg font-medium transition-all duration-200 hover:scale-105`}
+              type="submit"
+              disabled={submitting}
+              className={`px-4 py-2 rounded-lg ${colors.button} font-medium disabled:opacity-50`}
             >
-              Create Your First Post
+              Generate New Codes
             </button>
+          </form>
+
+          {!status.required && (
+            <form
+              onSubmit={handleDisable}
+              className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 space-y-4`}
+            >
+              <h3 className="text-xl font-bold">Turn Off</h3>
+              <input
+                type="password"
+                name="password"
+                placeholder="Current password"
+                value={form.password}
+                onChange={handleChange}
+                className={inputClass}
+                required
+              />
+              {codeInput}
+              <button
+                type="submit"
+                disabled={submitting}
+                className={`px-4 py-2 rounded-lg ${colors.buttonSecondary} hover:bg-red-500 hover:text-white transition-colors disabled:opacity-50`}
+              >
+                Turn Off Two-Factor Authentication
+              </button>
+            </form>
           )}
         </div>
+      ) : setup ? (
+        <form
+          onSubmit={handleEnable}
+          className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 space-y-4`}
+        >
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="mx-auto bg-white p-2 rounded-lg" />
+          <p className={`${colors.textSecondary} text-sm text-center`}>
+            Can't scan it? Enter this key instead:
+            <span className="block font-mono mt-1 break-all">{setup.secret}</span>
+          </p>
+          {codeInput}
+          <button
+            type="submit"
+            disabled={submitting}
+            className={`w-full py-3 rounded-lg ${colors.button} font-medium disabled:opacity-50`}
+          >
+            {submitting ? 'Verifying...' : 'Turn On'}
+          </button>
+        </form>
       ) : (
-        <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-          {posts.map((post) => (
-            <PostCard
-              key={post._id}
-              post={post}
-              onEdit={setEditingPost}
-              onDelete={handleDeletePost}
-              onView={setViewingPost}
-            />
-          ))}
+        <div className={`${colors.secondary} rounded-lg shadow-lg border ${colors.border} p-6 text-center space-y-4`}>
+          <KeyRound size={48} className="mx-auto text-blue-500" />
+          <p className={colors.textSecondary}>
+            Two-factor authentication is off. You'll need an authenticator app such as
+            Google Authenticator, 1Password or Authy.
+          </p>
+          <button
+            onClick={handleStartSetup}
+            disabled={submitting}
+            className={`px-6 py-3 rounded-lg ${colors.button} font-medium disabled:opacity-50`}
+          >
+            Set Up Two-Factor Authentication
+          </button>
         </div>
       )}
-
-      {/* Modals */}
-      {editingPost && (
-        <PostEditor
-          post={editingPost._id ? editingPost : null}
-          onSave={handleSavePost}
-          onCancel={() => setEditingPost(null)}
-        />
-      )}
-
-      {viewingPost && (
-        <PostView
-          post={viewingPost}
-          onClose={() => setViewingPost(null)}
-        />
-      )}
     </div>
   );
 };
 
-// Create Post Component
-const CreatePost = () => {
-  const [post, setPost] = useState(null);
+// Not Found Component
+const NotFound = () => {
   const { colors } = useTheme();
-  const { showNotification } = useNotification();
-
-  const handleSave = (savedPost) => {
-    setPost(null);
-    showNotification('Post created successfully!', 'success');
-  };
-
-  const handleCancel = () => {
-    setPost(null);
-  };
 
   return (
-    <div className="container mx-auto px-4">
-      <PostEditor
-        post={post}
-        onSave={handleSave}
-        onCancel={handleCancel}
-      />
+    <div className="text-center py-20">
+      <p className={`${colors.textSecondary} text-xl mb-4`}>Page not found.</p>
+      <Link to="/" className={`${colors.button} px-6 py-3 rounded-lg font-medium`}>
+        Back to posts
+      </Link>
     </div>
   );
 };
@@ -1172,7 +5890,8 @@ const CreatePost = () => {
 // Main App Component
 const BlogApp = () => {
   const { user, loading } = useAuth();
-  const [activeView, setActiveView] = useState('posts');
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
 
   if (loading) {
     return (
@@ -1185,29 +5904,81 @@ const BlogApp = () => {
     );
   }
 
+  // Signing in keeps the requested URL, so deep links work after login.
+  // Links from emails work whether or not the reader is signed in.
   if (!user) {
     return (
       <div>
-        <Header activeView={activeView} setActiveView={setActiveView} />
-        <AuthForm onSuccess={() => setActiveView('posts')} />
+        <Header />
+        <Routes>
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route
+            path="*"
+            element={<AuthForm onSuccess={() => pathname === '/login' && navigate('/', { replace: true })} />}
+          />
+        </Routes>
       </div>
     );
   }
 
-  const renderContent = () => {
-    switch (activeView) {
-      case 'create':
-        return <CreatePost />;
-      case 'posts':
-      default:
-        return <PostsList />;
-    }
-  };
+  // Accounts that must use two-factor sign-in are held on the security
+  // page until they have set it up
+  if (user.twoFactorSetupRequired) {
+    return (
+      <div>
+        <Header />
+        <Routes>
+          <Route path="/security" element={<TwoFactorSettings />} />
+          <Route path="/sessions" element={<SessionList />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="*" element={<Navigate to="/security" replace />} />
+        </Routes>
+      </div>
+    );
+  }
+
+  const home = <Navigate to="/" replace />;
 
   return (
     <div>
-      <Header activeView={activeView} setActiveView={setActiveView} />
-      {renderContent()}
+      <Header />
+      {!user.emailVerified && pathname !== '/verify-email' && (
+        <div className="bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+          <div className="container mx-auto px-4 py-2 text-sm flex items-center justify-center space-x-2">
+            <Mail size={16} />
+            <span>Please verify your email address.</span>
+            <Link to="/verify-email" className="font-medium underline">Verify your email</Link>
+          </div>
+        </div>
+      )}
+      <Routes>
+        <Route path="/" element={<PostsList />} />
+        <Route path="/login" element={home} />
+        <Route path="/posts/:slug" element={<PostPage />} />
+        <Route path="/search" element={<SearchResults />} />
+        <Route path="/series" element={<SeriesIndex />} />
+        <Route path="/series/:slug" element={<SeriesPage />} />
+        <Route path="/tags" element={<TagsPage />} />
+        <Route path="/tags/:tag" element={<TagPosts />} />
+        <Route path="/category/:name" element={<CategoryPosts />} />
+        <Route path="/authors/:username" element={<AuthorPosts />} />
+        <Route path="/new" element={can(user, 'post:create') ? <CreatePost /> : home} />
+        <Route path="/posts/:id/edit" element={can(user, 'post:edit') ? <EditPost /> : home} />
+        <Route path="/drafts" element={can(user, 'post:create') ? <MyDrafts /> : home} />
+        <Route path="/moderation" element={can(user, 'comment:moderate') ? <ModerationQueue /> : home} />
+        <Route
+          path="/reviews"
+          element={can(user, 'post:create') || can(user, 'post:review') ? <ReviewInbox /> : home}
+        />
+        <Route path="/sessions" element={<SessionList />} />
+        <Route path="/security" element={<TwoFactorSettings />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/categories" element={can(user, 'category:manage') ? <CategoryManager /> : home} />
+        <Route path="/users" element={can(user, 'user:manage') ? <UserManagement /> : home} />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
     </div>
   );
 };
@@ -1215,12 +5986,14 @@ const BlogApp = () => {
 // Main App with Providers
 export default function App() {
   return (
-    <ThemeProvider>
-      <NotificationProvider>
-        <AuthProvider>
-          <BlogApp />
-        </AuthProvider>
-      </NotificationProvider>
-    </ThemeProvider>
+    <BrowserRouter>
+      <ThemeProvider>
+        <NotificationProvider>
+          <AuthProvider>
+            <BlogApp />
+          </AuthProvider>
+        </NotificationProvider>
+      </ThemeProvider>
+    </BrowserRouter>
   );
 }
@@ -0,0 +1,58 @@
+// Named permissions and the roles that hold them. Permissions ending in
+// ":own" apply only to things the user created; ":any" to everyone's.
+// Set PERMISSIONS_FILE to a JSON file of { "<role>": [permissions] } to
+// replace the list for any role.
+const PERMISSIONS = [
+  'post:create',
+  'post:publish',
+  'post:read:own',
+  'post:read:any',
+  'post:edit:own',
+  'post:edit:any',
+  'post:delete:own',
+  'post:delete:any',
+  'post:review',
+  'series:manage',
+  'comment:create',
+  'comment:edit:own',
+  'comment:edit:any',
+  'comment:delete:own',
+  'comment:delete:any',
+  'comment:moderate',
+  'moderation:configure',
+  'category:manage',
+  'tag:manage',
+  'search:reindex',
+  'media:upload',
+  'media:manage:own',
+  'media:manage:any',
+  'user:manage'
+];
+
+const USER_PERMISSIONS = [
+  'comment:create',
+  'comment:edit:own',
+  'comment:delete:own'
+];
+
+const EDITOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'post:create',
+  'post:publish',
+  'post:read:own',
+  'post:edit:own',
+  'post:delete:own',
+  'post:review',
+  'series:manage',
+  'comment:moderate',
+  'media:upload',
+  'media:manage:own'
+];
+
+const ROLE_PERMISSIONS = {
+  User: USER_PERMISSIONS,
+  Editor: EDITOR_PERMISSIONS,
+  Admin: PERMISSIONS
+};
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS };
@@ -1,7 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { can } = require('../utils/permissions');
 
-const auth = async (req, res, next) => {
+// Staff who are required to use two-factor sign-in but have not set it up
+const needsTwoFactorSetup = async (user) =>
+  !(user.twoFactor && user.twoFactor.enabled) && await isTwoFactorRequired(user);
+
+// Until they set up two-factor sign-in, such accounts can only reach the
+// routes created with allowTwoFactorSetup
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -13,6 +22,16 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens belong to a session, which may have been revoked since
+    const session = decoded.sid && await findActiveSession(decoded.id, decoded.sid);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Session has expired, please sign in again' 
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -22,9 +41,33 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (user.isSuspended) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'This account has been suspended' 
+      });
+    }
+
+    if (!allowTwoFactorSetup && await needsTwoFactorSetup(user)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Set up two-factor authentication to continue',
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
+    // Expired access tokens are routine; the client refreshes and retries
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Token has expired' 
+      });
+    }
+
     console.error('Auth middleware error:', error);
     res.status(401).json({ 
       success: false,
@@ -33,24 +76,40 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = (req, res, next) => {
-  if (req.user.role !== 'Admin') {
-    return res.status(403).json({ 
-      success: false,
-      message: 'Admin access required' 
-    });
+// Attach the user when a valid token is present, but let anonymous
+// requests through. Used by public routes that show more to signed-in users.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) return next();
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid && await findActiveSession(decoded.id, decoded.sid);
+    const user = session && await User.findById(decoded.id).select('-password');
+
+    if (user && !user.isSuspended && !await needsTwoFactorSetup(user)) {
+      req.user = user;
+      req.sessionId = session._id;
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as an anonymous request
   }
   next();
 };
 
-const editorAuth = (req, res, next) => {
-  if (req.user.role !== 'Admin' && req.user.role !== 'Editor') {
+// Only let through users holding a permission, see utils/permissions.
+// Checks against a particular post or comment happen in the route.
+const requirePermission = (action) => (req, res, next) => {
+  if (!can(req.user, action)) {
     return res.status(403).json({ 
       success: false,
-      message: 'Editor or Admin access required' 
+      message: 'You do not have permission to do this' 
     });
   }
   next();
 };
 
-module.exports = { auth, adminAuth, editorAuth };
+const auth = authenticate();
+const twoFactorSetupAuth = authenticate({ allowTwoFactorSetup: true });
+
+module.exports = { auth, twoFactorSetupAuth, optionalAuth, requirePermission };
@@ -0,0 +1,54 @@
+const { getRateLimitStore, secondsUntil } = require('../utils/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Limits for each kind of request. `by: 'user'` counts per signed-in
+// account, falling back to the IP address for anonymous requests.
+const POLICIES = {
+  login: { windowMs: 15 * MINUTE, max: 20, by: 'ip' },
+  register: { windowMs: 60 * MINUTE, max: 5, by: 'ip' },
+  passwordReset: { windowMs: 60 * MINUTE, max: 5, by: 'ip' },
+  twoFactor: { windowMs: 15 * MINUTE, max: 10, by: 'user' },
+  comment: { windowMs: MINUTE, max: 10, by: 'user' },
+  search: { windowMs: MINUTE, max: 30, by: 'ip', skip: (req) => !req.query.search && !req.query.q }
+};
+
+// Reject requests over a policy's limit with a 429. Every counted response
+// carries the RateLimit-* headers, and rejected ones Retry-After.
+const rateLimit = (name) => {
+  const policy = POLICIES[name];
+
+  return async (req, res, next) => {
+    if (policy.skip && policy.skip(req)) return next();
+
+    const subject = policy.by === 'user' && req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await getRateLimitStore().increment(`${name}:${subject}`, policy.windowMs);
+    } catch (error) {
+      // A broken store should not take the site down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const reset = secondsUntil(counter.resetAt);
+    res.set({
+      'RateLimit-Limit': String(policy.max),
+      'RateLimit-Remaining': String(Math.max(0, policy.max - counter.count)),
+      'RateLimit-Reset': String(reset)
+    });
+
+    if (counter.count > policy.max) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
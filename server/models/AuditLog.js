@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+    enum: ['User', 'SecurityPolicy', 'Category', 'Tag', 'Comment', 'ModerationPolicy'],
+    trim: true
+  },
+  // Missing for targets that are not documents of their own, such as tags
+  targetID: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Human-readable label for the target, kept so the trail still makes
+  // sense after the target itself has been deleted
+  targetLabel: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { 
+  timestamps: true 
+});
+
+auditLogSchema.index({ targetType: 1, targetID: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slugify');
+
+// Posts refer to their category by name, so renaming a category also
+// updates its posts (see routes/categories.js)
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Shown on the category's badge
+  color: {
+    type: String,
+    trim: true,
+    default: '#6b7280',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value such as #3b82f6']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Lower numbers are listed first among categories with the same parent
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { 
+  timestamps: true 
+});
+
+// Generate a slug from the name when none was given. It stays the same
+// when the category is renamed, so links to it keep working.
+categorySchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = await generateUniqueSlug(this.constructor, this.name, this._id);
+  }
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Reaction = require('./Reaction');
+const { reactionCountsDefinition } = require('./reactionCounts');
 
 const commentSchema = new mongoose.Schema({
   postID: {
@@ -17,9 +19,84 @@ const commentSchema = new mongoose.Schema({
     trim: true,
     minlength: [1, 'Comment cannot be empty'],
     maxlength: [1000, 'Comment cannot exceed 1000 characters']
-  }
+  },
+  // Comment this one replies to; null for top-level comments
+  parentID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Every comment above this one in the thread, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  reactions: reactionCountsDefinition,
+  reactionCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of approved direct replies
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Only approved comments are shown to readers
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'spam', 'rejected'],
+    default: 'approved'
+  },
+  // Why the moderation policy held or flagged the comment
+  moderationReasons: [{
+    type: String
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date
 }, { 
   timestamps: true 
 });
 
+commentSchema.index({ postID: 1, parentID: 1, createdAt: -1 });
+commentSchema.index({ ancestors: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+
+// Recalculate the approved reply counts of the given comments
+commentSchema.statics.recountReplies = async function(parentIds) {
+  const ids = [...new Set(parentIds.filter(Boolean).map(id => id.toString()))];
+
+  for (const parentId of ids) {
+    const replyCount = await this.countDocuments({ parentID: parentId, status: 'approved' });
+    await this.updateOne({ _id: parentId }, { replyCount });
+  }
+};
+
+// Delete the matching comments along with every reply beneath them, and
+// keep the reply counts of the comments they answered accurate
+commentSchema.statics.deleteThreads = async function(filter) {
+  const roots = await this.find(filter).select('_id parentID');
+  if (roots.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  const rootIds = roots.map(comment => comment._id);
+  const ids = await this.find({
+    $or: [{ _id: { $in: rootIds } }, { ancestors: { $in: rootIds } }]
+  }).distinct('_id');
+
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  await Reaction.deleteMany({ targetType: 'Comment', targetID: { $in: ids } });
+
+  await this.recountReplies(roots.map(comment => comment.parentID));
+
+  return result;
+};
+
 module.exports = mongoose.model('Comment', commentSchema);
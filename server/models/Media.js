@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Storage backend the file lives in, and its key there
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Size in bytes, counted against the owner's quota
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alt text cannot exceed 300 characters'],
+    default: ''
+  }
+}, { 
+  timestamps: true 
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+mediaSchema.virtual('isImage').get(function() {
+  return this.mimeType.startsWith('image/');
+});
+
+mediaSchema.set('toJSON', { virtuals: true });
+
+// Total bytes stored by a user
+mediaSchema.statics.usageFor = async function(ownerId) {
+  const [result] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId) } },
+    { $group: { _id: null, total: { $sum: '$size' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { sitePolicy } = require('./sitePolicy');
+
+// Site-wide comment moderation settings. There is a single document,
+// created with the defaults below when the server starts.
+const moderationPolicySchema = new mongoose.Schema({
+  // Hold every comment for review
+  requireApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Hold a user's comments until one of them has been approved
+  firstCommentNeedsApproval: {
+    type: Boolean,
+    default: true
+  },
+  // Hold comments that contain links
+  linksNeedApproval: {
+    type: Boolean,
+    default: true
+  },
+  // Comments with more links than this are treated as spam
+  maxLinks: {
+    type: Number,
+    default: 3,
+    min: [0, 'Maximum links cannot be negative']
+  },
+  bannedWords: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Banned words cannot exceed 50 characters']
+  }],
+  // What happens to a comment containing a banned word
+  bannedWordAction: {
+    type: String,
+    enum: ['pending', 'spam', 'rejected'],
+    default: 'spam'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+moderationPolicySchema.plugin(sitePolicy);
+
+module.exports = mongoose.model('ModerationPolicy', moderationPolicySchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Something a user should know about, shown in the client until read.
+// Old notifications expire on their own.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'review.requested',
+      'review.changes_requested',
+      'review.approved',
+      'review.note',
+      'post.coauthor_added'
+    ],
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  // The user whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notification message cannot exceed 300 characters']
+  },
+  readAt: {
+    type: Date
+  }
+}, { 
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+module.exports = mongoose.model('Notification', notificationSchema);
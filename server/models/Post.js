@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slugify');
+const { renderMarkdown } = require('../utils/markdown');
+const { MAX_TAG_LENGTH } = require('../utils/tags');
+const { reactionCountsDefinition } = require('./reactionCounts');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -7,35 +11,228 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  // Slugs this post used to have, kept so old links redirect to the new one
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   body: {
     type: String,
     required: [true, 'Body content is required'],
     minlength: [10, 'Body must be at least 10 characters long']
   },
+  // Sanitized HTML rendered from the Markdown body, refreshed whenever the
+  // body changes
+  bodyHtml: {
+    type: String
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Writers who share the post with its author and can edit it too
+  coAuthors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Stored normalized, see utils/tags
   tags: [{
     type: String,
     trim: true,
-    maxlength: [50, 'Tag cannot exceed 50 characters']
+    lowercase: true,
+    maxlength: [MAX_TAG_LENGTH, `Tag cannot exceed ${MAX_TAG_LENGTH} characters`]
   }],
+  // URL of the image shown above the post and in link previews
+  coverImage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cover image URL cannot exceed 500 characters']
+  },
+  // Name of one of the categories in the Category collection
   category: {
     type: String,
     default: 'General',
-    enum: ['General', 'Technology', 'Development', 'Design', 'Business', 'Lifestyle']
+    trim: true
   },
   views: {
     type: Number,
     default: 0
-  }
+  },
+  reactions: reactionCountsDefinition,
+  // Total across every reaction type, used for sorting
+  reactionCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published'
+  },
+  // When a scheduled post should go live
+  publishAt: {
+    type: Date
+  },
+  // When the post actually went live
+  publishedAt: {
+    type: Date
+  },
+  // Editorial review. A submitted post waits for a reviewer to either
+  // request changes or approve it, which publishes it.
+  reviewState: {
+    type: String,
+    enum: ['none', 'in_review', 'changes_requested', 'approved'],
+    default: 'none'
+  },
+  // Reviewers the post was submitted to. Empty means anyone who reviews.
+  reviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  reviewHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['submitted', 'changes_requested', 'approved', 'withdrawn'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review message cannot exceed 1000 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { 
   timestamps: true 
 });
 
-// Add text index for search functionality
-postSchema.index({ title: 'text', body: 'text', tags: 'text' });
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'A publish date is required for scheduled posts');
+  }
+  next();
+});
+
+// Generate a slug from the title when none was given
+postSchema.pre('validate', async function() {
+  if (!this.slug && this.title) {
+    this.slug = await generateUniqueSlug(this.constructor, this.title, this._id);
+  }
+});
+
+postSchema.pre('save', function(next) {
+  if (this.isModified('body')) {
+    this.bodyHtml = renderMarkdown(this.body);
+  }
+  next();
+});
+
+postSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const body = update.body !== undefined ? update.body : update.$set?.body;
+  if (body !== undefined) {
+    this.set('bodyHtml', renderMarkdown(body));
+  }
+  next();
+});
+
+postSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Text index for search. Matches in the title count most, then tags,
+// then the body.
+postSchema.index(
+  { title: 'text', tags: 'text', body: 'text' },
+  { name: 'post_search', weights: { title: 10, tags: 5, body: 1 } }
+);
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ author: 1, status: 1 });
+postSchema.index({ coAuthors: 1 });
+postSchema.index({ reviewState: 1, reviewers: 1 });
+postSchema.index({ previousSlugs: 1 });
+postSchema.index({ reactionCount: -1 });
+// The orders the posts list pages through published posts in
+postSchema.index({ status: 1, createdAt: -1, _id: -1 });
+postSchema.index({ status: 1, views: -1, _id: -1 });
+postSchema.index({ status: 1, reactionCount: -1, createdAt: -1, _id: -1 });
+postSchema.index({ category: 1, status: 1 });
+
+// Keep search providers that have an index of their own (see utils/search)
+// in step with posts. Loaded lazily, since the providers load this model.
+const searchProvider = () => require('../utils/search').getSearchProvider();
+
+// The fields search providers index or filter on
+const SEARCHED_FIELDS = ['title', 'body', 'bodyHtml', 'tags', 'category', 'status', 'author', 'coAuthors', 'publishedAt'];
+
+// Whether an update could change what a post is found by. Views and
+// reactions change far more often than anything searched.
+const touchesSearchedFields = (update) => {
+  if (!update || Array.isArray(update)) return true;
+
+  return Object.entries(update)
+    .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]))
+    .some(path => SEARCHED_FIELDS.includes(path.split('.')[0]));
+};
+
+// Indexing happens in the background; a failure is logged and put right
+// by the next reindex
+const syncSearch = (postIds) => {
+  const provider = searchProvider();
+  if (!provider.sync || !postIds.length) return;
+
+  provider.sync(postIds).catch(error => console.error('Search index sync error:', error));
+};
+
+postSchema.post('save', function(doc) {
+  syncSearch([doc._id]);
+});
+
+postSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  syncSearch([doc._id]);
+});
+
+postSchema.post(['findOneAndUpdate', 'findOneAndDelete'], function(doc) {
+  if (doc && (this.op === 'findOneAndDelete' || touchesSearchedFields(this.getUpdate()))) {
+    syncSearch([doc._id]);
+  }
+});
+
+// Bulk writes don't say which posts they changed, so those are looked up
+// beforehand, while the filter still matches them
+postSchema.pre(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  if (!searchProvider().sync) return;
+  if (this.op.startsWith('update') && !touchesSearchedFields(this.getUpdate())) return;
+
+  this._searchPostIds = await this.model.find(this.getFilter()).distinct('_id');
+});
+
+postSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, function() {
+  if (this._searchPostIds) {
+    syncSearch(this._searchPostIds);
+  }
+});
 
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const postRevisionSchema = new mongoose.Schema({
+  postID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String
+  }],
+  category: {
+    type: String
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number
+  }
+}, { 
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ postID: 1, revision: -1 }, { unique: true });
+
+// Times to take the next revision number again when another edit took
+// it first
+const RECORD_ATTEMPTS = 5;
+
+// Snapshot the current content of a post as its next revision
+postRevisionSchema.statics.record = async function(post, editedBy, extra = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ postID: post._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      return await this.create({
+        postID: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        title: post.title,
+        body: post.body,
+        tags: post.tags,
+        category: post.category,
+        editedBy,
+        ...extra
+      });
+    } catch (error) {
+      // A concurrent edit recorded this revision number first
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
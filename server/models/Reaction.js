@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('./reactionCounts');
+
+// One reaction of one type by one user on a post or comment. This is the
+// source of truth for the counts kept on posts and comments.
+const reactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  targetID: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: [true, 'Reaction type is required']
+  }
+}, { 
+  timestamps: { createdAt: true, updatedAt: false } 
+});
+
+reactionSchema.index({ user: 1, targetType: 1, targetID: 1, type: 1 }, { unique: true });
+reactionSchema.index({ targetType: 1, targetID: 1 });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
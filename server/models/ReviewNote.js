@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A note left on a post during editorial review. Notes can point at a
+// passage of the post by quoting it and giving the line of the body it
+// starts on.
+const reviewNoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  // The quoted passage and the line of the Markdown body it starts on
+  excerpt: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Quoted passage cannot exceed 500 characters']
+  },
+  line: {
+    type: Number,
+    min: [1, 'Line must be a positive number']
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+reviewNoteSchema.index({ post: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ReviewNote', reviewNoteSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { sitePolicy } = require('./sitePolicy');
+
+// Site-wide sign-in settings. There is a single document, created with
+// the defaults below when the server starts.
+const securityPolicySchema = new mongoose.Schema({
+  // Admins and Editors must set up two-factor authentication
+  requireTwoFactorForStaff: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+securityPolicySchema.plugin(sitePolicy);
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slugify');
+
+// An ordered collection of posts, such as a multi-part tutorial. A post
+// belongs to at most one series.
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // In reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { 
+  timestamps: true 
+});
+
+// Generate a slug from the title when none was given
+seriesSchema.pre('validate', async function() {
+  if (!this.slug && this.title) {
+    this.slug = await generateUniqueSlug(this.constructor, this.title, this._id);
+  }
+});
+
+seriesSchema.index({ posts: 1 });
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -18,23 +18,89 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Accounts created through single sign-on have no password until the
+  // user sets one with a password reset
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !(this.identities && this.identities.length); }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
   role: {
     type: String,
     enum: ['Admin', 'Editor', 'User'],
     default: 'User'
-  }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  // TOTP two-factor authentication. Secrets and recovery codes are never
+  // selected unless asked for explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, until the user confirms it with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code works only once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Accounts at external OpenID Connect providers linked to this user
+  identities: [{
+    _id: false,
+    provider: String,
+    subject: String,
+    email: String,
+    linkedAt: Date,
+    lastLoginAt: Date
+  }]
 }, { 
   timestamps: true 
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  // Passwords can also be cleared, when single sign-on takes over an account
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const saltRounds = 12;
@@ -47,6 +113,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,10 @@
+// Reactions readers can leave on posts and comments
+const REACTION_TYPES = ['like', 'love', 'insightful', 'funny', 'celebrate'];
+
+// Per-type reaction counts kept on posts and comments so lists can show
+// and sort by them without reading the Reaction collection
+const reactionCountsDefinition = Object.fromEntries(
+  REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])
+);
+
+module.exports = { REACTION_TYPES, reactionCountsDefinition };
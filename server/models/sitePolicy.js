@@ -0,0 +1,35 @@
+// How long a policy read for everyday checks is reused before it is read
+// again. Changes saved in this process apply straight away; other server
+// processes pick them up within this time.
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+
+// Statics for a site-wide settings model that has a single document
+const sitePolicy = (schema) => {
+  let cached = null;
+
+  // The policy, or its defaults if it has never been saved
+  schema.statics.getPolicy = async function() {
+    return (await this.findOne()) || new this();
+  };
+
+  // The policy for checks made on every request or comment, without a
+  // database read each time. Treat it as read-only.
+  schema.statics.getCachedPolicy = async function() {
+    if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+    const policy = await this.getPolicy();
+    cached = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS };
+    return policy;
+  };
+
+  // Create the policy with its defaults if there is none yet
+  schema.statics.ensurePolicy = function() {
+    return this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+  };
+
+  schema.post('save', () => {
+    cached = null;
+  });
+};
+
+module.exports = { sitePolicy };
@@ -1,21 +1,67 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { consumeAuthToken, releaseAuthToken } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const {
+  verifySecondFactor,
+  isTwoFactorRequired,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../utils/twoFactor');
+const twoFactorRoutes = require('./twoFactor');
+const oidcRoutes = require('./oidc');
+const { twoFactorSetupAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../utils/loginLockout');
+const { permissionsFor } = require('../utils/permissions');
+const {
+  generateAccessToken,
+  startSession,
+  rotateSession,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  revokeByRefreshToken
+} = require('../utils/sessions');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
-  });
-};
+router.use('/2fa', twoFactorRoutes);
+router.use('/oidc', oidcRoutes);
+
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: Boolean(user.emailVerified),
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  permissions: permissionsFor(user)
+});
+
+// The user as returned to the client, including whether they still have
+// to set up two-factor sign-in before using the rest of the site
+const toSignedInUser = async (user) => ({
+  ...toAuthUser(user),
+  twoFactorSetupRequired: !(user.twoFactor && user.twoFactor.enabled) && await isTwoFactorRequired(user)
+});
+
+const toSessionResponse = (session, currentId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: currentId ? session._id.toString() === currentId.toString() : false
+});
 
 // Register User
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ 
@@ -29,29 +75,32 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user. Roles are never taken from the request body;
+    // every account starts as a User and is promoted by an Admin.
     const user = new User({ 
       username, 
       email, 
       password, 
-      role: role || 'User' 
+      role: 'User' 
     });
     
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail problem should not stop the account being created; the user
+    // can ask for another verification email later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    const token = await startSession(user, req, res);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -73,21 +122,36 @@ router.post('/register', async (req, res) => {
 });
 
 // Login User
-router.post('/login', async (req, res) => {
+// Reject sign-in attempts while the account is locked after repeated failures
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ 
+    success: false,
+    message: `Too many failed sign-in attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).` 
+  });
+};
+
+router.post('/login', rateLimit('login'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Validate input
-    if (!email || !password) {
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ 
         success: false,
         message: 'Please provide email and password' 
       });
     }
 
+    const retryAfter = await getLockout(email);
+    if (retryAfter) {
+      return sendLockedOut(res, retryAfter);
+    }
+
     // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
     if (!user) {
+      await recordLoginFailure(email);
       return res.status(400).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -97,25 +161,40 @@ router.post('/login', async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email);
       return res.status(400).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.isSuspended) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'This account has been suspended' 
+      });
+    }
+
+    // With two-factor sign-in the password only earns a challenge, which
+    // is exchanged for a session at /login/2fa. Failures are only cleared
+    // once both steps succeed.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      });
+    }
+
+    await clearLoginFailures(email);
+    const token = await startSession(user, req, res);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      user: await toSignedInUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -126,17 +205,377 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second step of a two-factor login: an authenticator or recovery code
+router.post('/login/2fa', rateLimit('login'), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = readLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Your sign-in attempt has expired, please start again' 
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    if (!user || user.isSuspended || !user.twoFactor.enabled) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Your sign-in attempt has expired, please start again' 
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = await getLockout(user.email);
+    if (retryAfter) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({ 
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' 
+      });
+    }
+    await user.save();
+
+    await clearLoginFailures(user.email);
+    const token = await startSession(user, req, res);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user: await toSignedInUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during login' 
+    });
+  }
+});
+
+// Exchange the refresh cookie for a new access token, rotating the cookie
+router.post('/refresh', async (req, res) => {
+  try {
+    const rotated = await rotateSession(readRefreshCookie(req), req);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Session has expired, please sign in again' 
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.user).select('-password');
+    if (!user || user.isSuspended) {
+      session.revokedAt = new Date();
+      await session.save();
+      clearRefreshCookie(res);
+      return res.status(401).json({ 
+        success: false,
+        message: user ? 'This account has been suspended' : 'Session has expired, please sign in again' 
+      });
+    }
+
+    if (refreshToken) {
+      setRefreshCookie(res, refreshToken, session);
+    }
+
+    res.json({
+      success: true,
+      token: generateAccessToken(user, session),
+      user: await toSignedInUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during token refresh' 
+    });
+  }
+});
+
+// Log out of this device by revoking its session
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeByRefreshToken(readRefreshCookie(req));
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => toSessionResponse(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching sessions' 
+    });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/sessions', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `Signed out of ${result.modifiedCount} other session(s)`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error revoking sessions' 
+    });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Session not found' 
+      });
+    }
+
+    if (session._id.toString() === req.sessionId.toString()) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid session ID' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Error revoking session' 
+    });
+  }
+});
+
+// Send a password reset link. The response is the same whether or not the
+// email belongs to an account, so it cannot be used to discover accounts.
+router.post('/forgot-password', rateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Please provide your email address' 
+      });
+    }
+
+    // Sent in the background, so that neither how long the response takes
+    // nor a failure to send gives away whether the account exists
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user && !user.isSuspended) {
+      sendPasswordResetEmail(user).catch(error => {
+        console.error('Password reset email error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error sending password reset email' 
+    });
+  }
+});
+
+// Choose a new password using a reset link. Every existing session is
+// signed out, in case the old password was compromised.
+router.post('/reset-password', rateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    const authToken = await consumeAuthToken(token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This reset link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This reset link is invalid or has expired' 
+      });
+    }
+
+    user.password = password;
+    // Receiving the link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    // The link keeps working if the new password is refused
+    try {
+      await user.save();
+    } catch (error) {
+      await releaseAuthToken(authToken);
+      throw error;
+    }
+
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation error',
+        errors 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Error resetting password' 
+    });
+  }
+});
+
+// Confirm an email address using the link sent after registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This verification link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      authToken.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This verification link is invalid or has expired' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error verifying email' 
+    });
+  }
+});
+
+// Send another verification email to the current user
+router.post('/resend-verification', twoFactorSetupAuth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Your email address is already verified' 
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error sending verification email' 
+    });
+  }
+});
+
 // Get Current User
-router.get('/me', auth, async (req, res) => {
+router.get('/me', twoFactorSetupAuth, async (req, res) => {
   try {
     res.json({
       success: true,
-      user: {
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email,
-        role: req.user.role
-      }
+      user: await toSignedInUser(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
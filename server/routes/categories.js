@@ -0,0 +1,259 @@
+const express = require('express');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { slugify } = require('../utils/slugify');
+
+const router = express.Router();
+
+// Validate a requested parent. A category cannot end up nested under
+// itself or one of its own descendants.
+const resolveParent = async (parentId, categoryId) => {
+  if (!parentId) return { parent: null };
+
+  const parent = await Category.findById(parentId).select('parent');
+  if (!parent) {
+    return { error: 'Parent category not found' };
+  }
+
+  let ancestor = parent;
+  while (categoryId && ancestor) {
+    if (ancestor._id.equals(categoryId)) {
+      return { error: 'A category cannot be nested under itself' };
+    }
+    ancestor = ancestor.parent && await Category.findById(ancestor.parent).select('parent');
+  }
+
+  return { parent: parent._id };
+};
+
+// Point every post, and every revision that could be restored, at another
+// category name
+const moveCategoryPosts = async (from, to) => {
+  const result = await Post.updateMany({ category: from }, { $set: { category: to } });
+  await PostRevision.updateMany({ category: from }, { $set: { category: to } });
+  return result.modifiedCount;
+};
+
+const sendError = (res, error, action, message) => {
+  console.error(`${action} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category ID'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A category with that name or slug already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Get all categories, in display order, with how many published posts each has
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find()
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    const counts = await Post.aggregate([
+      { $match: { status: 'published' } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        ...category,
+        postCount: countByName.get(category.name) || 0
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get categories', 'Error fetching categories');
+  }
+});
+
+router.use(auth, requirePermission('category:manage'));
+
+// Create a category
+router.post('/', async (req, res) => {
+  try {
+    const { name, slug, description, color, parent, sortOrder } = req.body;
+
+    const resolved = await resolveParent(parent);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      slug: slug ? slugify(slug) : undefined,
+      description,
+      color,
+      parent: resolved.parent,
+      sortOrder
+    });
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'category.create',
+      targetType: 'Category',
+      targetID: category._id,
+      targetLabel: category.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    sendError(res, error, 'Create category', 'Error creating category');
+  }
+});
+
+// Update a category. Renaming it moves its posts to the new name.
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, slug, description, color, parent, sortOrder } = req.body;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (parent !== undefined) {
+      const resolved = await resolveParent(parent, category._id);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      category.parent = resolved.parent;
+    }
+
+    const previousName = category.name;
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slugify(slug) || undefined;
+    if (description !== undefined) category.description = description;
+    if (color !== undefined) category.color = color;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+    await category.save();
+
+    // The unique index has accepted the new name by now. Should moving the
+    // posts fail, the old name is put back so no post is left pointing at
+    // a category that no longer exists.
+    let movedPosts = 0;
+    if (category.name !== previousName) {
+      try {
+        movedPosts = await moveCategoryPosts(previousName, category.name);
+      } catch (error) {
+        await moveCategoryPosts(category.name, previousName);
+        category.name = previousName;
+        await category.save();
+        throw error;
+      }
+    }
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'category.update',
+      targetType: 'Category',
+      targetID: category._id,
+      targetLabel: category.name,
+      details: category.name !== previousName ? { renamedFrom: previousName, movedPosts } : {}
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    sendError(res, error, 'Update category', 'Error updating category');
+  }
+});
+
+// Delete a category. Posts in it have to be moved to another category,
+// given as ?reassignTo=<id>, and subcategories move up a level.
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const postCount = await Post.countDocuments({ category: category.name });
+
+    let target;
+    if (req.query.reassignTo) {
+      target = await Category.findById(req.query.reassignTo);
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose another existing category to move the posts to'
+        });
+      }
+    } else if (postCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${postCount} post(s) use this category; choose a category to move them to`,
+        postCount
+      });
+    }
+
+    const movedPosts = target ? await moveCategoryPosts(category.name, target.name) : 0;
+    await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+    await category.deleteOne();
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'category.delete',
+      targetType: 'Category',
+      targetID: category._id,
+      targetLabel: category.name,
+      details: target ? { movedPosts, movedTo: target.name } : {}
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete category', 'Error deleting category');
+  }
+});
+
+module.exports = router;
@@ -1,40 +1,122 @@
 const express = require('express');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { can, canViewPost } = require('../utils/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
+const { moderateComment } = require('../utils/moderation');
+const { attachUserReactions } = require('../utils/reactions');
+const { parseLimit, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get comments for a post
-router.get('/post/:postId', async (req, res) => {
+// Replies nest up to this depth; replies to the deepest comments are
+// attached to their parent instead
+const MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 5;
+const DEFAULT_REPLY_LIMIT = 3;
+const MAX_REPLY_LIMIT = 20;
+
+const parseReplyLimit = (value) => {
+  const limit = parseInt(value);
+  if (isNaN(limit)) return DEFAULT_REPLY_LIMIT;
+  return Math.min(Math.max(limit, 0), MAX_REPLY_LIMIT);
+};
+
+// Moderation details are only shown in the moderation queue
+const MODERATION_FIELDS = ['moderationReasons', 'moderatedBy', 'moderatedAt'];
+const PUBLIC_FIELDS = MODERATION_FIELDS.map(field => `-${field}`).join(' ');
+
+// Readers see approved comments, plus their own comments awaiting moderation
+const visibleTo = (user) => (user
+  ? { $or: [{ status: 'approved' }, { userID: user._id, status: 'pending' }] }
+  : { status: 'approved' });
+
+// Attach the oldest `replyLimit` replies to each comment, one level at a
+// time down to the maximum depth. Comments keep their replyCount so the
+// client can tell when there are more replies to load.
+const attachReplies = async (comments, replyLimit, visibility) => {
+  let level = comments;
+
+  while (level.length > 0) {
+    level.forEach(comment => { comment.replies = []; });
+
+    // Replies still awaiting moderation are not counted, so a comment with
+    // none approved may still have the reader's own pending replies
+    const parents = level.filter(comment => (comment.depth || 0) < MAX_DEPTH);
+    if (parents.length === 0 || replyLimit === 0) break;
+
+    const groups = await Comment.aggregate([
+      { $match: { parentID: { $in: parents.map(comment => comment._id) }, ...visibility } },
+      { $sort: { createdAt: 1 } },
+      { $unset: MODERATION_FIELDS },
+      { $group: { _id: '$parentID', replies: { $push: '$$ROOT' } } },
+      { $project: { replies: { $slice: ['$replies', replyLimit] } } }
+    ]);
+    const repliesByParent = new Map(groups.map(group => [group._id.toString(), group.replies]));
+
+    const next = [];
+    for (const parent of parents) {
+      parent.replies = repliesByParent.get(parent._id.toString()) || [];
+      next.push(...parent.replies);
+    }
+
+    await Comment.populate(next, { path: 'userID', select: 'username' });
+    level = next;
+  }
+
+  return comments;
+};
+
+// Get the comment threads for a post. Top-level comments are paginated
+// newest first, with cursors as for posts; each carries its first
+// replies, oldest first.
+router.get('/post/:postId', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const replyLimit = parseReplyLimit(req.query.replyLimit);
 
-    // Check if post exists
+    // Comments on posts the reader cannot see are hidden with them
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !canViewPost(req.user, post)) {
       return res.status(404).json({ 
         success: false,
         message: 'Post not found' 
       });
     }
 
-    const comments = await Comment.find({ postID: postId })
-      .populate('userID', 'username')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
+    const visibility = visibleTo(req.user);
+    const query = { postID: postId, parentID: null, ...visibility };
+
+    const page = await paginate(req, res, {
+      model: Comment,
+      query,
+      sort: [['createdAt', -1]],
+      limit: parseLimit(req.query.limit),
+      build: find => find
+        .select(PUBLIC_FIELDS)
+        .populate('userID', 'username')
+    });
+    if (page.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: page.error 
+      });
+    }
+
+    const comments = page.items;
+    await attachReplies(comments, replyLimit, visibility);
+    await attachUserReactions(comments, 'Comment', req.user);
 
-    const total = await Comment.countDocuments({ postID: postId });
+    const total = await Comment.countDocuments(query);
+    const totalComments = await Comment.countDocuments({ postID: postId, status: 'approved' });
 
     res.json({
       success: true,
       comments,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalComments: total
+        ...page.pageInfo,
+        totalThreads: total,
+        totalComments
       }
     });
   } catch (error) {
@@ -54,10 +136,68 @@ router.get('/post/:postId', async (req, res) => {
   }
 });
 
-// Create comment
-router.post('/', auth, async (req, res) => {
+// Get a page of direct replies to a comment, oldest first
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const { page = 1 } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const replyLimit = parseReplyLimit(req.query.replyLimit);
+
+    const parent = await Comment.findById(req.params.id).select('_id postID');
+    const post = parent && await Post.findById(parent.postID);
+    if (!post || !canViewPost(req.user, post)) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Comment not found' 
+      });
+    }
+
+    const visibility = visibleTo(req.user);
+    const query = { parentID: parent._id, ...visibility };
+
+    const replies = await Comment.find(query)
+      .select(PUBLIC_FIELDS)
+      .populate('userID', 'username')
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .skip((parseInt(page) - 1) * limit)
+      .lean();
+
+    await attachReplies(replies, replyLimit, visibility);
+    await attachUserReactions(replies, 'Comment', req.user);
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      success: true,
+      replies,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalReplies: total
+      }
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid comment ID' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching replies' 
+    });
+  }
+});
+
+// Create comment, optionally as a reply to another comment on the same post
+router.post('/', auth, requirePermission('comment:create'), rateLimit('comment'), async (req, res) => {
   try {
-    const { postID, comment } = req.body;
+    const { postID, comment, parentID } = req.body;
 
     // Validate input
     if (!postID || !comment) {
@@ -67,32 +207,82 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Check if post exists
+    // Only posts the user can see can be commented on
     const post = await Post.findById(postID);
-    if (!post) {
+    if (!post || !canViewPost(req.user, post)) {
       return res.status(404).json({ 
         success: false,
         message: 'Post not found' 
       });
     }
+
+    let parent = null;
+    if (parentID) {
+      parent = await Comment.findById(parentID);
+      if (!parent || parent.postID.toString() !== post._id.toString() || parent.status !== 'approved') {
+        return res.status(400).json({ 
+          success: false,
+          message: 'The comment you are replying to does not exist on this post' 
+        });
+      }
+
+      // Threads stop nesting at the maximum depth
+      if (parent.depth >= MAX_DEPTH && parent.parentID) {
+        parent = await Comment.findById(parent.parentID);
+      }
+    }
+    
+    const moderation = await moderateComment(comment, req.user);
     
     const newComment = new Comment({
       postID,
       userID: req.user._id,
-      comment: comment.trim()
+      comment: comment.trim(),
+      parentID: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      depth: parent ? parent.depth + 1 : 0,
+      status: moderation.status,
+      moderationReasons: moderation.reasons
     });
 
     await newComment.save();
+    if (parent && newComment.status === 'approved') {
+      await Comment.findByIdAndUpdate(parent._id, { $inc: { replyCount: 1 } });
+    }
     await newComment.populate('userID', 'username');
 
+    // Spam and rejected comments are not shown to their author either
+    if (newComment.status === 'spam' || newComment.status === 'rejected') {
+      return res.status(201).json({
+        success: true,
+        message: 'Your comment could not be published',
+        comment: null
+      });
+    }
+
+    let message = parent ? 'Reply added successfully' : 'Comment added successfully';
+    if (newComment.status === 'pending') {
+      message = 'Your comment is awaiting moderation';
+    }
+
+    const publicComment = newComment.toObject();
+    MODERATION_FIELDS.forEach(field => delete publicComment[field]);
+
     res.status(201).json({
       success: true,
-      message: 'Comment added successfully',
-      comment: newComment
+      message,
+      comment: { ...publicComment, replies: [], myReactions: [] }
     });
   } catch (error) {
     console.error('Create comment error:', error);
     
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid post or comment ID' 
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ 
@@ -129,23 +319,46 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user is comment author or admin
-    if (existingComment.userID.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+    if (!can(req.user, 'comment:edit', existingComment)) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to update this comment' 
       });
     }
 
+    const updates = { comment: comment.trim() };
+
+    // Edits by the author go through moderation again, so an approved
+    // comment cannot be turned into spam after the fact
+    const isAuthor = existingComment.userID.toString() === req.user._id.toString();
+    if (isAuthor && existingComment.status === 'approved') {
+      const moderation = await moderateComment(comment, req.user);
+      if (moderation.status !== 'approved') {
+        updates.status = moderation.status;
+        updates.moderationReasons = moderation.reasons;
+      }
+    }
+
     const updatedComment = await Comment.findByIdAndUpdate(
       req.params.id,
-      { comment: comment.trim() },
+      updates,
       { new: true, runValidators: true }
-    ).populate('userID', 'username');
+    ).select(PUBLIC_FIELDS).populate('userID', 'username');
+
+    if (updates.status) {
+      await Comment.recountReplies([existingComment.parentID]);
+    }
+
+    let message = 'Comment updated successfully';
+    if (updates.status === 'pending') {
+      message = 'Your comment is awaiting moderation';
+    } else if (updates.status) {
+      message = 'Your comment could not be published';
+    }
 
     res.json({
       success: true,
-      message: 'Comment updated successfully',
+      message,
       comment: updatedComment
     });
   } catch (error) {
@@ -157,7 +370,7 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete comment
+// Delete comment together with its replies
 router.delete('/:id', auth, async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
@@ -168,19 +381,19 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user is comment author or admin
-    if (comment.userID.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+    if (!can(req.user, 'comment:delete', comment)) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to delete this comment' 
       });
     }
 
-    await Comment.findByIdAndDelete(req.params.id);
+    const result = await Comment.deleteThreads({ _id: comment._id });
     
     res.json({
       success: true,
-      message: 'Comment deleted successfully'
+      message: 'Comment deleted successfully',
+      deletedCount: result.deletedCount
     });
   } catch (error) {
     console.error('Delete comment error:', error);
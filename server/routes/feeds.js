@@ -0,0 +1,139 @@
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { normalizeTag } = require('../utils/tags');
+const { FEED_FORMATS, excerptOf, feedETag } = require('../utils/feeds');
+const { appUrl, siteTitle, siteDescription } = require('../utils/site');
+
+// Served from the site root: /feed.xml, /atom.xml and /feed.json for the
+// whole blog, and the same files under /category/:name, /tags/:tag and
+// /authors/:username, matching the pages they syndicate
+const router = express.Router();
+
+const FEED_LIMIT = parseInt(process.env.FEED_LIMIT) || 20;
+const CONTENT_MODES = ['full', 'excerpt'];
+
+// What a feed covers: the posts it selects and how it describes itself.
+// Resolves to null when the category or author does not exist.
+const SCOPES = {
+  '': async () => ({
+    query: {},
+    title: siteTitle(),
+    description: siteDescription(),
+    path: '/'
+  }),
+  '/category/:name': async ({ name }) => {
+    const category = await Category.findOne({ $or: [{ name }, { slug: name.toLowerCase() }] })
+      .select('name description');
+    return category && {
+      query: { category: category.name },
+      title: `${siteTitle()}: ${category.name}`,
+      description: category.description || `Posts in ${category.name}`,
+      path: `/category/${encodeURIComponent(category.name)}`
+    };
+  },
+  '/tags/:tag': async ({ tag }) => {
+    const name = normalizeTag(tag);
+    return {
+      query: { tags: name },
+      title: `${siteTitle()}: #${name}`,
+      description: `Posts tagged ${name}`,
+      path: `/tags/${encodeURIComponent(name)}`
+    };
+  },
+  '/authors/:username': async ({ username }) => {
+    const author = await User.findOne({ username }).select('username');
+    return author && {
+      query: { $or: [{ author: author._id }, { coAuthors: author._id }] },
+      title: `${siteTitle()}: ${author.username}`,
+      description: `Posts by ${author.username}`,
+      path: `/authors/${encodeURIComponent(author.username)}`
+    };
+  }
+};
+
+const authorNames = (post) => [post.author, ...post.coAuthors].filter(Boolean).map(author => author.username);
+
+const toFeedItem = (post, mode, origin) => ({
+  id: appUrl(`/posts/${post._id}`),
+  url: appUrl(`/posts/${post.slug}`),
+  title: post.title,
+  summary: excerptOf(post.bodyHtml),
+  contentHtml: mode === 'full' ? post.bodyHtml : undefined,
+  published: post.publishedAt || post.createdAt,
+  updated: post.updatedAt,
+  authors: authorNames(post),
+  category: post.category,
+  tags: post.tags,
+  image: post.coverImage ? new URL(post.coverImage, origin).href : undefined
+});
+
+// Full post content by default; ?content=excerpt, or FEED_CONTENT=excerpt
+// for every feed, sends summaries only
+const sendFeed = (scopePath, file) => async (req, res) => {
+  try {
+    const scope = await SCOPES[scopePath](req.params);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    const mode = CONTENT_MODES.includes(req.query.content)
+      ? req.query.content
+      : process.env.FEED_CONTENT === 'excerpt' ? 'excerpt' : 'full';
+
+    const posts = await Post.find({ ...scope.query, status: 'published' })
+      .select('title slug bodyHtml author coAuthors category tags coverImage publishedAt createdAt updatedAt')
+      .populate('author', 'username')
+      .populate('coAuthors', 'username')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(FEED_LIMIT)
+      .lean();
+
+    // A feed changes when a post in it is edited, when posts join or leave
+    // it and when an author is renamed, so all of those are part of the
+    // ETag. There is no Last-Modified: a post that was unpublished or
+    // deleted leaves no date behind to base it on.
+    res.set({
+      ETag: feedETag([file, mode, scope.title, scope.description, posts.map(post => [post._id, post.updatedAt, authorNames(post)])]),
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const format = FEED_FORMATS[file];
+    const lastUpdated = posts.reduce(
+      (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+      new Date(0)
+    );
+
+    res.type(format.type).send(format.build({
+      title: scope.title,
+      description: scope.description,
+      homeUrl: appUrl(scope.path),
+      selfUrl: `${origin}${req.originalUrl}`,
+      updated: posts.length ? lastUpdated : new Date(),
+      items: posts.map(post => toFeedItem(post, mode, origin))
+    }));
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating feed'
+    });
+  }
+};
+
+for (const scopePath of Object.keys(SCOPES)) {
+  for (const file of Object.keys(FEED_FORMATS)) {
+    router.get(`${scopePath}/${file}`, sendFeed(scopePath, file));
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,349 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const { auth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = parseInt(process.env.MEDIA_MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const QUOTA_BYTES = parseInt(process.env.MEDIA_QUOTA_BYTES) || 100 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// SVG is deliberately missing: it can carry scripts
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+// The start of each allowed type's files, since the type a browser sends
+// is only a guess from the file name and can be anything a client likes
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: Buffer.from('GIF8') },
+  { type: 'image/webp', bytes: Buffer.from('RIFF'), then: { offset: 8, bytes: Buffer.from('WEBP') } },
+  { type: 'application/pdf', bytes: Buffer.from('%PDF-') }
+];
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length &&
+  [...bytes].every((byte, index) => buffer[offset + index] === byte)
+);
+
+// The allowed type a file's contents are, or null
+const detectType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes, then }) => (
+    startsWith(buffer, bytes) && (!then || startsWith(buffer, then.bytes, then.offset))
+  ));
+  return match ? match.type : null;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+// Run multer and turn its errors into the usual JSON responses
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `File cannot exceed ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`
+      : error.message;
+
+    res.status(error.status || 400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Every media route requires someone who can upload
+router.use(auth, requirePermission('media:upload'));
+
+// List media, newest first. Admins can pass all=true to see everyone's.
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 24, type, all } = req.query;
+
+    const query = {};
+    if (!(all === 'true' && can(req.user, 'media:manage:any'))) {
+      query.owner = req.user._id;
+    }
+    if (type === 'image') {
+      query.mimeType = /^image\//;
+    }
+
+    const media = await Media.find(query)
+      .populate('owner', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Media.countDocuments(query);
+
+    res.json({
+      success: true,
+      media,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalMedia: total
+      }
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching media'
+    });
+  }
+});
+
+// Storage used by the current user
+router.get('/usage', async (req, res) => {
+  try {
+    const used = await Media.usageFor(req.user._id);
+
+    res.json({
+      success: true,
+      usage: {
+        used,
+        quota: QUOTA_BYTES,
+        maxFileSize: MAX_FILE_SIZE
+      }
+    });
+  } catch (error) {
+    console.error('Get media usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching storage usage'
+    });
+  }
+});
+
+// Upload a file
+router.post('/', handleUpload, async (req, res) => {
+  const storage = getStorage();
+  const savedKeys = [];
+
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const mimeType = detectType(file.buffer);
+    if (!mimeType) {
+      return res.status(400).json({
+        success: false,
+        message: `File contents are not one of the allowed types: ${Object.keys(ALLOWED_TYPES).join(', ')}`
+      });
+    }
+
+    const quotaExceeded = () => res.status(413).json({
+      success: false,
+      message: 'Upload would exceed your storage quota'
+    });
+
+    const used = await Media.usageFor(req.user._id);
+    if (used + file.size > QUOTA_BYTES) {
+      return quotaExceeded();
+    }
+
+    const baseKey = `${req.user._id}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const key = `${baseKey}${ALLOWED_TYPES[mimeType]}`;
+
+    const media = new Media({
+      owner: req.user._id,
+      storage: storage.name,
+      key,
+      originalName: file.originalname,
+      mimeType,
+      size: file.size,
+      alt: (req.body.alt || '').trim()
+    });
+
+    if (mimeType.startsWith('image/')) {
+      let thumbnail;
+      try {
+        const image = sharp(file.buffer);
+        const metadata = await image.metadata();
+        media.width = metadata.width;
+        media.height = metadata.height;
+
+        thumbnail = await image
+          .rotate()
+          .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+      } catch (error) {
+        // A damaged or truncated image
+        return res.status(400).json({
+          success: false,
+          message: 'The image could not be read'
+        });
+      }
+
+      media.thumbnailKey = `${baseKey}-thumb.webp`;
+      media.thumbnailUrl = await storage.save(media.thumbnailKey, thumbnail, 'image/webp');
+      savedKeys.push(media.thumbnailKey);
+    }
+
+    media.url = await storage.save(key, file.buffer, mimeType);
+    savedKeys.push(key);
+
+    await media.save();
+
+    // Uploads running at the same time can each pass the check above, so
+    // it is made again once this one counts towards the usage. When several
+    // together go over, more of them may be refused than needed, but the
+    // quota is never exceeded.
+    if (await Media.usageFor(req.user._id) > QUOTA_BYTES) {
+      await Media.deleteOne({ _id: media._id });
+      await Promise.all(savedKeys.map(savedKey => storage.remove(savedKey).catch(() => {})));
+      return quotaExceeded();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      media
+    });
+  } catch (error) {
+    console.error('Upload media error:', error);
+
+    // Don't leave orphaned files behind when the upload fails part way
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading file'
+    });
+  }
+});
+
+// Update media details
+router.put('/:id', async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (!can(req.user, 'media:manage', media)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this file'
+      });
+    }
+
+    if (req.body.alt !== undefined) {
+      media.alt = req.body.alt;
+    }
+    await media.save();
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully',
+      media
+    });
+  } catch (error) {
+    console.error('Update media error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid media ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating media'
+    });
+  }
+});
+
+// Delete media
+router.delete('/:id', async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (!can(req.user, 'media:manage', media)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this file'
+      });
+    }
+
+    const storage = getStorage();
+    await storage.remove(media.key);
+    if (media.thumbnailKey) {
+      await storage.remove(media.thumbnailKey);
+    }
+
+    await Media.findByIdAndDelete(media._id);
+    await Post.updateMany({ coverImage: media.url }, { $unset: { coverImage: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete media error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid media ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting media'
+    });
+  }
+});
+
+module.exports = router;
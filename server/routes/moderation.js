@@ -0,0 +1,251 @@
+const express = require('express');
+const Comment = require('../models/Comment');
+const ModerationPolicy = require('../models/ModerationPolicy');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+const BULK_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+const MAX_BULK_SIZE = 100;
+
+// Moderation is open to Editors and Admins; changing the policy is Admin only
+router.use(auth, requirePermission('comment:moderate'));
+
+// Get the moderation queue, oldest first so nothing waits forever
+router.get('/comments', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', postId } = req.query;
+
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${COMMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = { status };
+    if (postId) {
+      query.postID = postId;
+    }
+
+    const comments = await Comment.find(query)
+      .populate('userID', 'username email')
+      .populate('postID', 'title slug')
+      .populate('moderatedBy', 'username')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Comment.countDocuments(query);
+
+    const statusCounts = await Comment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = Object.fromEntries(COMMENT_STATUSES.map(name => [name, 0]));
+    statusCounts.forEach(({ _id, count }) => {
+      if (_id in counts) counts[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      comments,
+      counts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalComments: total
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation queue'
+    });
+  }
+});
+
+// Approve, reject or mark as spam several comments at once
+router.post('/comments/bulk', async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+
+    const status = BULK_ACTIONS[action];
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one comment'
+      });
+    }
+
+    if (ids.length > MAX_BULK_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot moderate more than ${MAX_BULK_SIZE} comments at once`
+      });
+    }
+
+    const comments = await Comment.find({ _id: { $in: ids } })
+      .select('_id parentID status userID')
+      .populate('userID', 'username');
+    const changed = comments.filter(comment => comment.status !== status);
+
+    await Comment.updateMany(
+      { _id: { $in: changed.map(comment => comment._id) } },
+      { status, moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    // Approving or hiding a reply changes its parent's visible reply count
+    await Comment.recountReplies(changed.map(comment => comment.parentID));
+
+    for (const comment of changed) {
+      await recordAudit({
+        actor: req.user._id,
+        action: `comment.${action}`,
+        targetType: 'Comment',
+        targetID: comment._id,
+        targetLabel: comment.userID ? comment.userID.username : undefined,
+        details: { from: comment.status, to: status }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${changed.length} comment(s) updated`,
+      updated: changed.length
+    });
+  } catch (error) {
+    console.error('Bulk moderation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating comments'
+    });
+  }
+});
+
+// Get the site moderation policy
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await ModerationPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get moderation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation policy'
+    });
+  }
+});
+
+// Update the site moderation policy
+router.put('/policy', requirePermission('moderation:configure'), async (req, res) => {
+  try {
+    const {
+      requireApproval,
+      firstCommentNeedsApproval,
+      linksNeedApproval,
+      maxLinks,
+      bannedWords,
+      bannedWordAction
+    } = req.body;
+
+    const policy = await ModerationPolicy.getPolicy();
+
+    if (requireApproval !== undefined) policy.requireApproval = requireApproval;
+    if (firstCommentNeedsApproval !== undefined) policy.firstCommentNeedsApproval = firstCommentNeedsApproval;
+    if (linksNeedApproval !== undefined) policy.linksNeedApproval = linksNeedApproval;
+    if (maxLinks !== undefined) policy.maxLinks = maxLinks;
+    if (bannedWordAction !== undefined) policy.bannedWordAction = bannedWordAction;
+    if (bannedWords !== undefined) {
+      if (!Array.isArray(bannedWords)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Banned words must be a list'
+        });
+      }
+      policy.bannedWords = [...new Set(
+        bannedWords.map(word => String(word).trim().toLowerCase()).filter(Boolean)
+      )];
+    }
+    policy.updatedBy = req.user._id;
+
+    await policy.save();
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'moderation.policy.update',
+      targetType: 'ModerationPolicy',
+      targetID: policy._id,
+      targetLabel: 'Comment moderation policy',
+      details: {
+        requireApproval: policy.requireApproval,
+        firstCommentNeedsApproval: policy.firstCommentNeedsApproval,
+        linksNeedApproval: policy.linksNeedApproval,
+        maxLinks: policy.maxLinks,
+        bannedWords: policy.bannedWords.length,
+        bannedWordAction: policy.bannedWordAction
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Moderation policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update moderation policy error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const errors = error.errors
+        ? Object.values(error.errors).map(err => err.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating moderation policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Get the user's latest notifications and how many are unread
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const notifications = await Notification.find({ user: req.user._id })
+      .populate('actor', 'username')
+      .populate('post', 'title slug')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications'
+    });
+  }
+});
+
+// Mark every notification read
+router.put('/read-all', async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, readAt: null }, { readAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read'
+    });
+  } catch (error) {
+    console.error('Read all notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications'
+    });
+  }
+});
+
+// Mark one notification read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('Read notification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification'
+    });
+  }
+});
+
+module.exports = router;
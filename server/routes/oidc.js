@@ -0,0 +1,143 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startSession } = require('../utils/sessions');
+const { createLoginChallenge } = require('../utils/twoFactor');
+const { getOidcConfig, getOidcClient, findOrCreateOidcUser } = require('../utils/oidc');
+
+const router = express.Router();
+
+// The state, nonce and PKCE verifier of a sign-in in progress are kept in
+// a short-lived signed cookie until the provider redirects back
+const LOGIN_COOKIE = 'blogOidc';
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+
+const loginCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+const appUrl = (pathname) => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+// Only paths within the app are accepted as somewhere to return to
+const safeReturnTo = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/'
+);
+
+// Send the browser back to the sign-in page with an error code the client
+// turns into a message
+const redirectWithError = (res, code) => {
+  res.redirect(appUrl(`/login?oidcError=${encodeURIComponent(code)}`));
+};
+
+// Whether single sign-on is available, and what to call it
+router.get('/', (req, res) => {
+  const config = getOidcConfig();
+
+  res.json({
+    success: true,
+    enabled: config.enabled,
+    name: config.enabled ? config.name : undefined
+  });
+});
+
+// Start signing in: redirect to the provider with a PKCE challenge
+router.get('/login', async (req, res) => {
+  try {
+    const config = getOidcConfig();
+    if (!config.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { generators } = require('openid-client');
+    const client = await getOidcClient();
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const pending = jwt.sign(
+      { state, nonce, codeVerifier, returnTo: safeReturnTo(req.query.returnTo) },
+      process.env.JWT_SECRET,
+      { expiresIn: LOGIN_TTL_MS / 1000 }
+    );
+    res.cookie(LOGIN_COOKIE, pending, { ...loginCookieOptions(), maxAge: LOGIN_TTL_MS });
+
+    res.redirect(client.authorizationUrl({
+      scope: config.scope,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    }));
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectWithError(res, 'provider_unavailable');
+  }
+});
+
+// The provider redirects back here with an authorization code
+router.get('/callback', async (req, res) => {
+  const config = getOidcConfig();
+
+  let pending;
+  try {
+    pending = jwt.verify(req.cookies[LOGIN_COOKIE] || '', process.env.JWT_SECRET);
+  } catch (error) {
+    return redirectWithError(res, 'login_expired');
+  }
+  res.clearCookie(LOGIN_COOKIE, loginCookieOptions());
+
+  if (req.query.error) {
+    return redirectWithError(res, req.query.error === 'access_denied' ? 'access_denied' : 'provider_error');
+  }
+
+  try {
+    const client = await getOidcClient();
+
+    const tokenSet = await client.callback(config.redirectUri, client.callbackParams(req), {
+      state: pending.state,
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier
+    });
+
+    // Providers differ in which claims they put in the ID token
+    let claims = tokenSet.claims();
+    if (client.issuer.userinfo_endpoint && (!claims.email || !claims[config.groupsClaim])) {
+      claims = { ...(await client.userinfo(tokenSet)), ...claims };
+    }
+
+    const { user, error } = await findOrCreateOidcUser(claims, config);
+    if (error) {
+      return redirectWithError(res, error);
+    }
+
+    if (user.isSuspended) {
+      return redirectWithError(res, 'suspended');
+    }
+
+    // Two-factor sign-in still applies; the client completes it with the
+    // challenge, kept out of server logs in the URL fragment
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.redirect(appUrl(`/login#twoFactorChallenge=${createLoginChallenge(user)}`));
+    }
+
+    // The client picks the session up from the refresh cookie
+    await startSession(user, req, res);
+    res.redirect(appUrl(pending.returnTo));
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+
+    if (error.name === 'ValidationError') {
+      return redirectWithError(res, 'account_invalid');
+    }
+
+    redirectWithError(res, 'login_failed');
+  }
+});
+
+module.exports = router;
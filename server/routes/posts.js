@@ -1,65 +1,272 @@
 const express = require('express');
 const Post = require('../models/Post');
-const { auth, editorAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const Reaction = require('../models/Reaction');
+const ReviewNote = require('../models/ReviewNote');
+const Notification = require('../models/Notification');
+const Category = require('../models/Category');
+const Series = require('../models/Series');
+const revisionRoutes = require('./revisions');
+const reviewRoutes = require('./reviews');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { can, canViewPost, rolesWith } = require('../utils/permissions');
+const { resolveCollaborators, COLLABORATOR_PERMISSIONS } = require('../utils/collaborators');
+const { notify } = require('../utils/notifications');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+const { seriesContext } = require('../utils/series');
+const { rateLimit } = require('../middleware/rateLimit');
+const { slugify, generateUniqueSlug } = require('../utils/slugify');
+const { renderMarkdown } = require('../utils/markdown');
+const { attachUserReactions } = require('../utils/reactions');
+const { parseLimit, paginate } = require('../utils/pagination');
+const { isTextIndexMissing } = require('../utils/search');
 
 const router = express.Router();
 
-// Get all posts with pagination and filtering
-router.get('/', async (req, res) => {
+router.use('/:postId/revisions', revisionRoutes);
+router.use('/:postId/review', reviewRoutes);
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// What the posts list can be sorted by, as the fields it sorts on in
+// turn. Posts with the same number of reactions stay newest first.
+const POST_SORTS = {
+  createdAt: (direction) => [['createdAt', direction]],
+  updatedAt: (direction) => [['updatedAt', direction]],
+  publishedAt: (direction) => [['publishedAt', direction]],
+  title: (direction) => [['title', direction]],
+  views: (direction) => [['views', direction]],
+  reactions: (direction) => [['reactionCount', direction], ['createdAt', -1]]
+};
+
+// Validate a requested status and publish date. Only scheduled posts keep
+// a publishAt date, and it has to be in the future.
+const resolveLifecycle = (status, publishAt) => {
+  if (!POST_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+
+  if (status !== 'scheduled') {
+    return { status, publishAt: undefined };
+  }
+
+  const date = new Date(publishAt);
+  if (!publishAt || isNaN(date.getTime())) {
+    return { error: 'A valid publish date is required for scheduled posts' };
+  }
+
+  if (date <= new Date()) {
+    return { error: 'Scheduled publish date must be in the future' };
+  }
+
+  return { status, publishAt: date };
+};
+
+// Posts have to be filed under one of the managed categories
+const resolveCategory = async (name) => {
+  if (!await Category.exists({ name })) {
+    return { error: `Unknown category: ${name}` };
+  }
+  return { category: name };
+};
+
+// Publishing and scheduling need the post:publish permission
+const isPublishing = (status) => status === 'published' || status === 'scheduled';
+
+// Validate a slug requested by the author. It must not be in use by any
+// other post, either as its current slug or as a redirect.
+const resolveSlug = async (requested, excludeId) => {
+  const slug = slugify(requested);
+  if (!slug) {
+    return { error: 'Slug must contain at least one letter or number' };
+  }
+
+  const query = { $or: [{ slug }, { previousSlugs: slug }] };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  if (await Post.exists(query)) {
+    return { error: 'That slug is already in use by another post' };
+  }
+
+  return { slug };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Posts written or co-written by the user
+const ownPosts = (user) => ({ $or: [{ author: user._id }, { coAuthors: user._id }] });
+
+// Check the co-authors requested for a post, leaving out its author
+const resolveCoAuthors = async (coAuthors, authorId) => {
+  const result = await resolveCollaborators(coAuthors, 'coAuthors');
+  if (result.error) return result;
+
+  return { coAuthors: result.users.filter(user => !user._id.equals(authorId)).map(user => user._id) };
+};
+
+// Whether an edit changed what revisions keep, as opposed to only the
+// status, slug, cover image or co-authors
+const contentChanged = (before, after) => (
+  before.title !== after.title ||
+  before.body !== after.body ||
+  before.category !== after.category ||
+  before.tags.join('\n') !== after.tags.join('\n')
+);
+
+// Let newly added co-authors know about the post
+const notifyCoAuthorsAdded = (post, previous, actor) => notify({
+  recipients: post.coAuthors.filter(coAuthor => !previous.some(id => id.equals(coAuthor._id || coAuthor))),
+  type: 'post.coauthor_added',
+  post,
+  actor,
+  message: `${actor.username} added you as a co-author of "${post.title}"`
+});
+
+// Respond with a single post, with its place in a series if it is part
+// of one. Only published posts count views.
+const sendPost = async (req, res, post) => {
+  if (!post || !canViewPost(req.user, post)) {
+    return res.status(404).json({ 
+      success: false,
+      message: 'Post not found' 
+    });
+  }
+
+  // Increment view count. Counting a view is not an edit, so it leaves
+  // updatedAt, which feeds and sitemaps report, alone.
+  if (post.status === 'published') {
+    await Post.findByIdAndUpdate(post._id, { $inc: { views: 1 } }, { timestamps: false });
+  }
+
+  const [body] = await attachUserReactions([post.toJSON()], 'Post', req.user);
+  body.series = await seriesContext(post, req.user);
+
+  res.json({
+    success: true,
+    post: body
+  });
+};
+
+// Get all posts with filtering, a page at a time. Pages after the first
+// are asked for with the cursors in the response or its Link header.
+router.get('/', optionalAuth, rateLimit('search'), async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       category, 
       tag, 
       search,
+      status,
+      mine,
+      author,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     // Build query
     let query = {};
+
+    // Anonymous readers only ever see published posts. Signed-in users can
+    // list their own posts in any status, and Admins can list everyone's.
+    if (status && status !== 'all' && !POST_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Status must be one of: ${POST_STATUSES.join(', ')}` 
+      });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(POST_SORTS, sortBy)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Sort must be one of: ${Object.keys(POST_SORTS).join(', ')}` 
+      });
+    }
+
+    if (mine === 'true') {
+      if (!req.user) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Sign in to see your posts' 
+        });
+      }
+      query = ownPosts(req.user);
+      if (status && status !== 'all') {
+        query.status = status;
+      }
+    } else if (req.user && status && status !== 'published') {
+      if (!can(req.user, 'post:read:any')) {
+        query = ownPosts(req.user);
+      }
+      if (status !== 'all') {
+        query.status = status;
+      }
+    } else {
+      query.status = 'published';
+    }
+
+    // Filter by author username, including posts they co-wrote. An unknown
+    // username matches no posts.
+    if (author && !query.$or) {
+      const authorUser = await User.findOne({ username: author }).select('_id');
+      Object.assign(query, authorUser ? ownPosts(authorUser) : { author: null });
+    }
     
+    // Categories can be given by name or by slug, which survives renames
     if (category && category !== 'all') {
-      query.category = category;
+      const match = await Category.findOne({ $or: [{ name: category }, { slug: String(category).toLowerCase() }] })
+        .select('name');
+      query.category = match ? match.name : category;
     }
     
     if (tag) {
-      query.tags = { $in: [tag] };
+      query.tags = { $in: [normalizeTag(tag)] };
     }
     
     if (search) {
       query.$text = { $search: search };
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const page = await paginate(req, res, {
+      model: Post,
+      query,
+      sort: POST_SORTS[sortBy](sortOrder === 'asc' ? 1 : -1),
+      limit: parseLimit(req.query.limit),
+      build: find => find
+        .populate('author', 'username')
+        .populate('coAuthors', 'username')
+    });
+    if (page.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: page.error 
+      });
+    }
 
-    // Execute query with pagination
-    const posts = await Post.find(query)
-      .populate('author', 'username')
-      .sort(sortOptions)
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .lean();
+    await attachUserReactions(page.items, 'Post', req.user);
 
     // Get total count
     const total = await Post.countDocuments(query);
 
     res.json({
       success: true,
-      posts,
+      posts: page.items,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalPosts: total,
-        hasNextPage: page < Math.ceil(total / limit),
-        hasPrevPage: page > 1
+        ...page.pageInfo,
+        totalPosts: total
       }
     });
   } catch (error) {
     console.error('Get posts error:', error);
+
+    if (isTextIndexMissing(error)) {
+      return res.status(503).json({ 
+        success: false,
+        message: 'Search is being re-indexed, please try again shortly' 
+      });
+    }
+
     res.status(500).json({ 
       success: false,
       message: 'Error fetching posts' 
@@ -67,26 +274,127 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single post
-router.get('/:id', async (req, res) => {
+// Posts waiting on the user's review, and the user's own posts in review
+// or sent back with changes requested
+router.get('/review-inbox', auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username email role');
-    
-    if (!post) {
-      return res.status(404).json({ 
+    let toReview = [];
+    if (can(req.user, 'post:review')) {
+      toReview = await Post.find({
+        reviewState: 'in_review',
+        $or: [{ reviewers: { $size: 0 } }, { reviewers: req.user._id }],
+        author: { $ne: req.user._id },
+        coAuthors: { $ne: req.user._id }
+      })
+        .select('-body -bodyHtml')
+        .populate('author', 'username')
+        .populate('coAuthors', 'username')
+        .sort({ updatedAt: 1 })
+        .lean();
+    }
+
+    const submitted = await Post.find({
+      ...ownPosts(req.user),
+      reviewState: { $in: ['in_review', 'changes_requested'] }
+    })
+      .select('-body -bodyHtml')
+      .populate('author', 'username')
+      .populate('coAuthors', 'username')
+      .populate('reviewers', 'username')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      toReview,
+      submitted
+    });
+  } catch (error) {
+    console.error('Get review inbox error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching review inbox' 
+    });
+  }
+});
+
+// Users who can be added to a post as co-authors or asked to review it,
+// matched by username
+router.get('/collaborators', auth, requirePermission('post:create'), async (req, res) => {
+  try {
+    const { kind = 'coAuthors', search = '' } = req.query;
+
+    if (!COLLABORATOR_PERMISSIONS[kind]) {
+      return res.status(400).json({ 
         success: false,
-        message: 'Post not found' 
+        message: 'Kind must be coAuthors or reviewers' 
       });
     }
 
-    // Increment view count
-    await Post.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+    const query = {
+      _id: { $ne: req.user._id },
+      role: { $in: rolesWith(COLLABORATOR_PERMISSIONS[kind].permission) },
+      isSuspended: { $ne: true }
+    };
+    if (search) {
+      query.username = new RegExp(escapeRegex(search), 'i');
+    }
+
+    const users = await User.find(query)
+      .select('username')
+      .sort({ username: 1 })
+      .limit(20);
 
     res.json({
       success: true,
-      post
+      users
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching users' 
     });
+  }
+});
+
+// Get single post by slug. Slugs a post used to have redirect to its
+// current one.
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+
+    const post = await Post.findOne({ slug })
+      .populate('author', 'username email role')
+      .populate('coAuthors', 'username')
+      .populate('reviewers', 'username');
+
+    if (!post) {
+      const renamed = await Post.findOne({ previousSlugs: slug }).select('slug');
+      if (renamed) {
+        return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+      }
+    }
+
+    await sendPost(req, res, post);
+  } catch (error) {
+    console.error('Get post by slug error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching post' 
+    });
+  }
+});
+
+// Get single post
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .populate('author', 'username email role')
+      .populate('coAuthors', 'username')
+      .populate('reviewers', 'username');
+    
+    await sendPost(req, res, post);
   } catch (error) {
     console.error('Get post error:', error);
     
@@ -104,21 +412,90 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Render a Markdown preview exactly as it will be stored
+router.post('/preview', auth, requirePermission('post:create'), async (req, res) => {
+  try {
+    const { body = '' } = req.body;
+
+    res.json({
+      success: true,
+      html: renderMarkdown(body)
+    });
+  } catch (error) {
+    console.error('Preview post error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error rendering preview' 
+    });
+  }
+});
+
 // Create new post
-router.post('/', auth, editorAuth, async (req, res) => {
+router.post('/', auth, requirePermission('post:create'), async (req, res) => {
   try {
-    const { title, body, tags, category } = req.body;
+    const { title, slug, body, tags, category, coverImage, coAuthors = [], status = 'published', publishAt } = req.body;
+
+    const lifecycle = resolveLifecycle(status, publishAt);
+    if (lifecycle.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: lifecycle.error 
+      });
+    }
+
+    if (isPublishing(lifecycle.status) && !can(req.user, 'post:publish')) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to publish posts' 
+      });
+    }
+
+    // Without an explicit slug, the model derives one from the title
+    let resolvedSlug;
+    if (slug) {
+      const result = await resolveSlug(slug);
+      if (result.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: result.error 
+        });
+      }
+      resolvedSlug = result.slug;
+    }
+
+    const collaborators = await resolveCoAuthors(coAuthors, req.user._id);
+    if (collaborators.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: collaborators.error 
+      });
+    }
+
+    const filing = await resolveCategory(category || 'General');
+    if (filing.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: filing.error 
+      });
+    }
     
     const post = new Post({
       title,
+      slug: resolvedSlug,
       body,
       author: req.user._id,
-      tags: tags || [],
-      category: category || 'General'
+      coAuthors: collaborators.coAuthors,
+      tags: normalizeTags(tags),
+      category: filing.category,
+      coverImage: coverImage || undefined,
+      status: lifecycle.status,
+      publishAt: lifecycle.publishAt
     });
 
     await post.save();
-    await post.populate('author', 'username');
+    await PostRevision.record(post, req.user._id);
+    await notifyCoAuthorsAdded(post, [], req.user);
+    await post.populate(['author', 'coAuthors'].map(path => ({ path, select: 'username' })));
 
     res.status(201).json({
       success: true,
@@ -137,6 +514,13 @@ router.post('/', auth, editorAuth, async (req, res) => {
       });
     }
     
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'That slug is already in use by another post' 
+      });
+    }
+    
     res.status(500).json({ 
       success: false,
       message: 'Error creating post' 
@@ -145,9 +529,9 @@ router.post('/', auth, editorAuth, async (req, res) => {
 });
 
 // Update post
-router.put('/:id', auth, editorAuth, async (req, res) => {
+router.put('/:id', auth, requirePermission('post:edit'), async (req, res) => {
   try {
-    const { title, body, tags, category } = req.body;
+    const { title, slug, body, tags, category, coverImage, coAuthors, status, publishAt } = req.body;
     
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -157,20 +541,132 @@ router.put('/:id', auth, editorAuth, async (req, res) => {
       });
     }
 
-    // Check if user is author or admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+    if (!can(req.user, 'post:edit', post)) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to update this post' 
       });
     }
 
+    const updates = { title, body, tags: tags === undefined ? undefined : normalizeTags(tags) };
+
+    if (category !== undefined && category !== post.category) {
+      const filing = await resolveCategory(category);
+      if (filing.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: filing.error 
+        });
+      }
+      updates.category = filing.category;
+    }
+
+    // Only the author, or someone who can edit any post, changes who the
+    // co-authors are
+    if (coAuthors !== undefined) {
+      if (!can(req.user, 'post:edit', { author: post.author })) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'Only the author can change the co-authors' 
+        });
+      }
+
+      const collaborators = await resolveCoAuthors(coAuthors, post.author);
+      if (collaborators.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: collaborators.error 
+        });
+      }
+      updates.coAuthors = collaborators.coAuthors;
+    }
+
+    // An empty cover image removes it
+    if (coverImage !== undefined) {
+      if (coverImage) {
+        updates.coverImage = coverImage;
+      } else {
+        updates.$unset = { ...updates.$unset, coverImage: 1 };
+      }
+    }
+
+    // An explicit slug wins; otherwise the slug follows title changes. The
+    // old slug is kept so existing links redirect to the new one.
+    let newSlug;
+    if (slug !== undefined && slugify(slug) !== post.slug) {
+      const result = await resolveSlug(slug, post._id);
+      if (result.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: result.error 
+        });
+      }
+      newSlug = result.slug;
+    } else if (slug === undefined && title !== undefined && title.trim() !== post.title) {
+      newSlug = await generateUniqueSlug(Post, title, post._id);
+    }
+
+    if (newSlug && newSlug !== post.slug) {
+      updates.slug = newSlug;
+      updates.previousSlugs = [
+        ...post.previousSlugs.filter(previous => previous !== newSlug && previous !== post.slug),
+        ...(post.slug ? [post.slug] : [])
+      ];
+    }
+
+    // Status is optional on update; when omitted the post keeps its current one
+    if (status !== undefined) {
+      const lifecycle = resolveLifecycle(status, publishAt);
+      if (lifecycle.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: lifecycle.error 
+        });
+      }
+
+      if (isPublishing(lifecycle.status) && lifecycle.status !== post.status && !can(req.user, 'post:publish')) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'Not authorized to publish posts' 
+        });
+      }
+
+      // Posts in review are published by a reviewer approving them
+      if (isPublishing(lifecycle.status) && lifecycle.status !== post.status && post.reviewState === 'in_review') {
+        return res.status(400).json({ 
+          success: false,
+          message: 'This post is in review and is published once a reviewer approves it' 
+        });
+      }
+
+      updates.status = lifecycle.status;
+      if (lifecycle.status === 'scheduled') {
+        updates.publishAt = lifecycle.publishAt;
+      } else {
+        updates.$unset = { ...updates.$unset, publishAt: 1 };
+      }
+      if (lifecycle.status === 'published' && !post.publishedAt) {
+        updates.publishedAt = new Date();
+      }
+    }
+
     const updatedPost = await Post.findByIdAndUpdate(
       req.params.id,
-      { title, body, tags, category },
+      updates,
       { new: true, runValidators: true }
     ).populate('author', 'username');
 
+    if (contentChanged(post, updatedPost)) {
+      // Posts created before revisions existed get their original content
+      // recorded first, so the edit can still be undone
+      if (!await PostRevision.exists({ postID: post._id })) {
+        await PostRevision.record(post, post.author);
+      }
+      await PostRevision.record(updatedPost, req.user._id);
+    }
+    await notifyCoAuthorsAdded(updatedPost, post.coAuthors, req.user);
+    await updatedPost.populate('coAuthors', 'username');
+
     res.json({
       success: true,
       message: 'Post updated successfully',
@@ -188,6 +684,13 @@ router.put('/:id', auth, editorAuth, async (req, res) => {
       });
     }
     
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'That slug is already in use by another post' 
+      });
+    }
+    
     res.status(500).json({ 
       success: false,
       message: 'Error updating post' 
@@ -196,7 +699,7 @@ router.put('/:id', auth, editorAuth, async (req, res) => {
 });
 
 // Delete post
-router.delete('/:id', auth, editorAuth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('post:delete'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -206,8 +709,8 @@ router.delete('/:id', auth, editorAuth, async (req, res) => {
       });
     }
 
-    // Check if user is author or admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+    // Co-authors can edit a post, but only its author can delete it
+    if (!can(req.user, 'post:delete', { author: post.author })) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to delete this post' 
@@ -215,6 +718,11 @@ router.delete('/:id', auth, editorAuth, async (req, res) => {
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await PostRevision.deleteMany({ postID: req.params.id });
+    await Reaction.deleteMany({ targetType: 'Post', targetID: post._id });
+    await ReviewNote.deleteMany({ post: post._id });
+    await Notification.deleteMany({ post: post._id });
+    await Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } });
     
     res.json({
       success: true,
@@ -0,0 +1,86 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { REACTION_TYPES } = require('../models/reactionCounts');
+const { auth } = require('../middleware/auth');
+const { canViewPost } = require('../utils/permissions');
+const { toggleReaction } = require('../utils/reactions');
+
+const router = express.Router();
+
+const VISIBILITY_FIELDS = 'author coAuthors status reviewState reviewers';
+
+// Only targets a reader can see can be reacted to: posts they can view,
+// and approved comments on them
+const findTarget = async (targetType, targetID, user) => {
+  if (targetType === 'Post') {
+    const post = await Post.findById(targetID).select(VISIBILITY_FIELDS);
+    return post && canViewPost(user, post) ? post : null;
+  }
+
+  const comment = await Comment.findById(targetID).select('status postID');
+  if (!comment || comment.status !== 'approved') return null;
+
+  const post = await Post.findById(comment.postID).select(VISIBILITY_FIELDS);
+  return post && canViewPost(user, post) ? comment : null;
+};
+
+// Toggle one of the current user's reactions on a post or comment
+router.post('/', auth, async (req, res) => {
+  try {
+    const { targetID, type } = req.body;
+    const targetType = { post: 'Post', comment: 'Comment' }[String(req.body.targetType).toLowerCase()];
+
+    if (!targetType || !targetID) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A post or comment to react to is required' 
+      });
+    }
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Reaction must be one of: ${REACTION_TYPES.join(', ')}` 
+      });
+    }
+
+    const target = await findTarget(targetType, targetID, req.user);
+    if (!target) {
+      return res.status(404).json({ 
+        success: false,
+        message: `${targetType} not found` 
+      });
+    }
+
+    const result = await toggleReaction(req.user, targetType, target._id, type);
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        message: `${targetType} not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      type,
+      ...result
+    });
+  } catch (error) {
+    console.error('Toggle reaction error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid target ID' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Error saving reaction' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,420 @@
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const ReviewNote = require('../models/ReviewNote');
+const { auth } = require('../middleware/auth');
+const { can, isReviewerOf, rolesWith } = require('../utils/permissions');
+const { resolveCollaborators } = require('../utils/collaborators');
+const { notify } = require('../utils/notifications');
+
+// Mounted under /api/posts/:postId/review
+const router = express.Router({ mergeParams: true });
+
+router.use(auth);
+
+const sameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+const authorsOf = (post) => [post.author, ...post.coAuthors];
+
+const isAuthorOf = (post, user) => authorsOf(post).some(author => sameUser(author, user));
+
+// The post's authors and its reviewers can follow the review
+const canTakePart = (post, user) => can(user, 'post:edit', post) || isReviewerOf(post, user);
+
+// Everyone a post in review should be brought to the attention of: the
+// reviewers it was submitted to, or else everyone who reviews
+const reviewersToNotify = async (post) => {
+  if (post.reviewers.length) return post.reviewers;
+
+  return User.find({ role: { $in: rolesWith('post:review') }, isSuspended: { $ne: true } })
+    .distinct('_id');
+};
+
+// Find the post, responding with a 404 or 403 when it is missing or the
+// user has no part in its review
+const findPost = async (req, res) => {
+  const post = await Post.findById(req.params.postId);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  if (!canTakePart(post, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to review this post'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const sendError = (res, error, action, message) => {
+  console.error(`${action} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid post or note ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Record a step in the review and respond with the updated review
+const recordStep = async (res, post, user, action, message, notification) => {
+  post.reviewHistory.push({ action, by: user._id, message: message || undefined });
+  await post.save();
+
+  if (notification) {
+    await notify({ ...notification, post, actor: user });
+  }
+
+  await post.populate([
+    { path: 'reviewers', select: 'username' },
+    { path: 'reviewHistory.by', select: 'username' }
+  ]);
+
+  res.json({
+    success: true,
+    review: toReview(post)
+  });
+};
+
+const toReview = (post) => ({
+  state: post.reviewState,
+  status: post.status,
+  reviewers: post.reviewers,
+  history: post.reviewHistory
+});
+
+// Get the review state, history and notes of a post
+router.get('/', async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    await post.populate([
+      { path: 'reviewers', select: 'username' },
+      { path: 'reviewHistory.by', select: 'username' }
+    ]);
+
+    const notes = await ReviewNote.find({ post: post._id })
+      .populate('author', 'username')
+      .populate('resolvedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      review: toReview(post),
+      notes,
+      canReview: isReviewerOf(post, req.user),
+      canSubmit: can(req.user, 'post:edit', post)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get review', 'Error fetching review');
+  }
+});
+
+// Submit a draft for review, optionally to particular reviewers
+router.post('/submit', async (req, res) => {
+  try {
+    const { reviewers = [], message } = req.body;
+
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (!can(req.user, 'post:edit', post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the authors can submit this post for review'
+      });
+    }
+
+    if (post.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts can be submitted for review'
+      });
+    }
+
+    if (post.reviewState === 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is already in review'
+      });
+    }
+
+    const result = await resolveCollaborators(reviewers, 'reviewers');
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.users.some(reviewer => isAuthorOf(post, reviewer))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authors cannot review their own post'
+      });
+    }
+
+    post.reviewState = 'in_review';
+    post.reviewers = result.users.map(reviewer => reviewer._id);
+
+    await recordStep(res, post, req.user, 'submitted', message, {
+      recipients: (await reviewersToNotify(post)).filter(reviewer => !isAuthorOf(post, reviewer)),
+      type: 'review.requested',
+      message: `${req.user.username} submitted "${post.title}" for review`
+    });
+  } catch (error) {
+    sendError(res, error, 'Submit for review', 'Error submitting post for review');
+  }
+});
+
+// Take a post back out of review
+router.post('/withdraw', async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (!can(req.user, 'post:edit', post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the authors can withdraw this post from review'
+      });
+    }
+
+    if (post.reviewState !== 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is not in review'
+      });
+    }
+
+    post.reviewState = 'none';
+    await recordStep(res, post, req.user, 'withdrawn', req.body.message);
+  } catch (error) {
+    sendError(res, error, 'Withdraw review', 'Error withdrawing post from review');
+  }
+});
+
+// Send a post back to its authors with changes to make
+router.post('/request-changes', async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (!isReviewerOf(post, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this post'
+      });
+    }
+
+    if (post.reviewState !== 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is not in review'
+      });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Describe the changes you are asking for'
+      });
+    }
+
+    post.reviewState = 'changes_requested';
+    await recordStep(res, post, req.user, 'changes_requested', message, {
+      recipients: authorsOf(post),
+      type: 'review.changes_requested',
+      message: `${req.user.username} requested changes to "${post.title}"`
+    });
+  } catch (error) {
+    sendError(res, error, 'Request changes', 'Error requesting changes');
+  }
+});
+
+// Approve a post, which publishes it
+router.post('/approve', async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (!isReviewerOf(post, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this post'
+      });
+    }
+
+    if (post.reviewState !== 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is not in review'
+      });
+    }
+
+    post.reviewState = 'approved';
+    post.status = 'published';
+    post.publishAt = undefined;
+
+    await recordStep(res, post, req.user, 'approved', req.body.message, {
+      recipients: authorsOf(post),
+      type: 'review.approved',
+      message: `${req.user.username} approved and published "${post.title}"`
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve review', 'Error approving post');
+  }
+});
+
+// Leave a note, optionally on a quoted passage of the post
+router.post('/notes', async (req, res) => {
+  try {
+    const { body, excerpt, line } = req.body;
+
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (post.reviewState === 'none') {
+      return res.status(400).json({
+        success: false,
+        message: 'Notes can only be left on posts submitted for review'
+      });
+    }
+
+    const note = await ReviewNote.create({
+      post: post._id,
+      author: req.user._id,
+      body,
+      excerpt: excerpt || undefined,
+      line: line || undefined
+    });
+
+    // Reviewers' notes go to the authors, and the authors' replies to
+    // everyone who has reviewed the post so far
+    const reviewerIds = post.reviewHistory
+      .filter(step => step.action !== 'submitted' && step.action !== 'withdrawn')
+      .map(step => step.by);
+
+    await notify({
+      recipients: [...authorsOf(post), ...post.reviewers, ...reviewerIds],
+      type: 'review.note',
+      post,
+      actor: req.user,
+      message: `${req.user.username} left a note on "${post.title}"`
+    });
+
+    await note.populate('author', 'username');
+
+    res.status(201).json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    sendError(res, error, 'Create review note', 'Error saving note');
+  }
+});
+
+// Mark a note resolved, or open it again
+router.put('/notes/:noteId', async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    const note = await ReviewNote.findOne({ _id: req.params.noteId, post: post._id });
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    // The note's author and the post's reviewers decide when it is dealt with
+    if (!sameUser(note.author, req.user) && !isReviewerOf(post, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to resolve this note'
+      });
+    }
+
+    if (req.body.resolved) {
+      note.resolvedAt = new Date();
+      note.resolvedBy = req.user._id;
+    } else {
+      note.resolvedAt = undefined;
+      note.resolvedBy = undefined;
+    }
+    await note.save();
+
+    await note.populate([
+      { path: 'author', select: 'username' },
+      { path: 'resolvedBy', select: 'username' }
+    ]);
+
+    res.json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    sendError(res, error, 'Update review note', 'Error updating note');
+  }
+});
+
+// Delete a note. Only the person who wrote it can.
+router.delete('/notes/:noteId', async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    const note = await ReviewNote.findOne({ _id: req.params.noteId, post: post._id });
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!sameUser(note.author, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this note'
+      });
+    }
+
+    await note.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Note deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete review note', 'Error deleting note');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { auth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const { diffLines, toSideBySide } = require('../utils/diff');
+
+// Mounted under /api/posts/:postId/revisions
+const router = express.Router({ mergeParams: true });
+
+// Revision history is only available to people who can edit the post
+router.use(auth, requirePermission('post:edit'), async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!can(req.user, 'post:edit', post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this post'
+      });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    console.error('Load post for revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching post'
+    });
+  }
+});
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((item, index) => item === b[index]);
+
+// List revisions of a post, newest first
+router.get('/', async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ postID: req.post._id })
+      .select('-body')
+      .populate('editedBy', 'username')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions'
+    });
+  }
+});
+
+// Diff two revisions of a post
+router.get('/diff', async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both from and to revision numbers are required'
+      });
+    }
+
+    const revisions = await PostRevision.find({
+      postID: req.post._id,
+      revision: { $in: [from, to] }
+    });
+
+    const older = revisions.find(r => r.revision === from);
+    const newer = revisions.find(r => r.revision === to);
+
+    if (!older || !newer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      diff: {
+        from,
+        to,
+        title: { from: older.title, to: newer.title, changed: older.title !== newer.title },
+        category: { from: older.category, to: newer.category, changed: older.category !== newer.category },
+        tags: {
+          from: older.tags,
+          to: newer.tags,
+          changed: !sameList(older.tags, newer.tags)
+        },
+        body: toSideBySide(diffLines(older.body, newer.body))
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing revisions'
+    });
+  }
+});
+
+// Get a single revision
+router.get('/:revision', async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({
+      postID: req.post._id,
+      revision: parseInt(req.params.revision)
+    }).populate('editedBy', 'username');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revision'
+    });
+  }
+});
+
+// Restore a post to an earlier revision
+router.post('/:revision/restore', async (req, res) => {
+  try {
+    const { post } = req;
+
+    const revision = await PostRevision.findOne({
+      postID: post._id,
+      revision: parseInt(req.params.revision)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    post.title = revision.title;
+    post.body = revision.body;
+    post.tags = revision.tags;
+    post.category = revision.category;
+    await post.save();
+
+    await PostRevision.record(post, req.user._id, { restoredFrom: revision.revision });
+    await post.populate('author', 'username');
+
+    res.json({
+      success: true,
+      message: `Post restored to revision ${revision.revision}`,
+      post
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring revision'
+    });
+  }
+});
+
+module.exports = router;
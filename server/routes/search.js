@@ -0,0 +1,123 @@
+const express = require('express');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { auth, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { normalizeTag } = require('../utils/tags');
+const { getSearchProvider, isTextIndexMissing } = require('../utils/search');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+// Turn the filters in a search request into the filters search providers
+// take. Every filter can be combined with the others.
+const buildFilters = async ({ category, tag, author, year }) => {
+  const filters = {};
+
+  // Categories can be given by name or by slug, as on the posts list
+  if (category) {
+    const match = await Category.findOne({ $or: [{ name: category }, { slug: String(category).toLowerCase() }] })
+      .select('name');
+    filters.category = match ? match.name : category;
+  }
+
+  if (tag) {
+    filters.tag = normalizeTag(tag);
+  }
+
+  // An unknown username matches nothing
+  if (author) {
+    const authorUser = await User.findOne({ username: author }).select('_id');
+    filters.author = authorUser ? authorUser._id : null;
+  }
+
+  if (year) {
+    if (!/^\d{4}$/.test(year)) {
+      return { error: 'Year must be a four-digit year' };
+    }
+    filters.year = Number(year);
+  }
+
+  return { filters };
+};
+
+// Search published posts, most relevant first
+router.get('/', rateLimit('search'), async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 10 } = req.query;
+
+    if (!String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter something to search for'
+      });
+    }
+
+    const built = await buildFilters(req.query);
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        message: built.error
+      });
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || 10), MAX_LIMIT);
+
+    const { results, facets, total } = await getSearchProvider().search({
+      q: String(q).trim(),
+      filters: built.filters,
+      page: currentPage,
+      limit: pageSize
+    });
+
+    res.json({
+      success: true,
+      results,
+      facets,
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+
+    if (isTextIndexMissing(error)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Search is being re-indexed, please try again shortly'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error searching posts'
+    });
+  }
+});
+
+// Rebuild the search index from scratch
+router.post('/reindex', auth, requirePermission('search:reindex'), async (req, res) => {
+  try {
+    const provider = getSearchProvider();
+    const indexed = await provider.reindex();
+
+    res.json({
+      success: true,
+      message: `Reindexed ${indexed} post(s)`,
+      provider: provider.name,
+      indexed
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rebuilding the search index'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Series = require('../models/Series');
+const { appUrl, siteTitle, siteDescription, clientBuildDir } = require('../utils/site');
+const {
+  MAX_SITEMAP_URLS,
+  buildUrlset,
+  buildSitemapIndex,
+  buildRobots,
+  postHead,
+  injectHead
+} = require('../utils/seo');
+
+// Served from the site root for crawlers: /robots.txt, /sitemap.xml and
+// the HTML of /posts/:slug with the post's link preview tags filled in
+const router = express.Router();
+
+// Once the site has more URLs than fit in one sitemap, /sitemap.xml
+// becomes an index of several
+const SITEMAP_PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000, MAX_SITEMAP_URLS);
+
+const PUBLISHED = { status: 'published' };
+
+const originOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Every page other than the posts themselves: listings, categories, tags,
+// authors and series with something published in them
+const pageEntries = async () => {
+  const categories = await Category.find().select('name updatedAt').lean();
+  const tags = await Post.distinct('tags', PUBLISHED);
+  const authorIds = await Post.distinct('author', PUBLISHED);
+  const authors = await User.find({ _id: { $in: authorIds } }).select('username').lean();
+  const series = await Series.find()
+    .select('slug updatedAt posts')
+    .populate('posts', 'status')
+    .lean();
+
+  return [
+    { loc: appUrl('/') },
+    { loc: appUrl('/tags') },
+    { loc: appUrl('/series') },
+    ...categories.map(category => ({
+      loc: appUrl(`/category/${encodeURIComponent(category.name)}`),
+      lastmod: category.updatedAt
+    })),
+    ...tags.map(tag => ({ loc: appUrl(`/tags/${encodeURIComponent(tag)}`) })),
+    ...authors.map(author => ({ loc: appUrl(`/authors/${encodeURIComponent(author.username)}`) })),
+    ...series
+      .filter(item => item.posts.some(post => post && post.status === 'published'))
+      .map(item => ({ loc: appUrl(`/series/${item.slug}`), lastmod: item.updatedAt }))
+  ];
+};
+
+// One sitemap's worth of published posts, oldest first so that pages
+// stay stable as new posts are added
+const postEntries = async (page) => {
+  const posts = await Post.find(PUBLISHED)
+    .select('slug updatedAt')
+    .sort({ _id: 1 })
+    .skip(page * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+
+  return posts.map(post => ({ loc: appUrl(`/posts/${post.slug}`), lastmod: post.updatedAt }));
+};
+
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml; charset=utf-8').send(xml);
+};
+
+const sendError = (res, error, action, message) => {
+  console.error(`${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+router.get('/robots.txt', (req, res) => {
+  res.type('text/plain; charset=utf-8').send(buildRobots(`${originOf(req)}/sitemap.xml`));
+});
+
+// The whole site in one sitemap, or an index of the sitemaps below once
+// it no longer fits
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const pages = await pageEntries();
+    const postCount = await Post.countDocuments(PUBLISHED);
+
+    if (pages.length + postCount <= SITEMAP_PAGE_SIZE) {
+      return sendXml(res, buildUrlset([...pages, ...await postEntries(0)]));
+    }
+
+    const postPages = Math.ceil(postCount / SITEMAP_PAGE_SIZE);
+    sendXml(res, buildSitemapIndex([
+      { loc: `${originOf(req)}/sitemaps/pages.xml` },
+      ...Array.from({ length: postPages }, (_, index) => ({
+        loc: `${originOf(req)}/sitemaps/posts-${index + 1}.xml`
+      }))
+    ]));
+  } catch (error) {
+    sendError(res, error, 'Sitemap', 'Error generating sitemap');
+  }
+});
+
+router.get('/sitemaps/pages.xml', async (req, res) => {
+  try {
+    sendXml(res, buildUrlset((await pageEntries()).slice(0, SITEMAP_PAGE_SIZE)));
+  } catch (error) {
+    sendError(res, error, 'Sitemap', 'Error generating sitemap');
+  }
+});
+
+router.get('/sitemaps/posts-:page.xml', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const entries = page >= 1 ? await postEntries(page - 1) : [];
+
+    if (!entries.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    sendXml(res, buildUrlset(entries));
+  } catch (error) {
+    sendError(res, error, 'Sitemap', 'Error generating sitemap');
+  }
+});
+
+// The client's index.html, when the client has been built. Read on every
+// request so a new build is picked up without a restart.
+const readShell = async () => {
+  try {
+    return await fs.promises.readFile(path.join(clientBuildDir(), 'index.html'), 'utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+// A post page with its Open Graph, Twitter Card and JSON-LD tags, so
+// shared links preview properly without running the app. The app then
+// starts as usual. Without a client build the request falls through and
+// the client's own server handles it.
+router.get('/posts/:slug', async (req, res, next) => {
+  try {
+    const shell = await readShell();
+    if (!shell) return next();
+
+    const slug = req.params.slug.toLowerCase();
+    const post = await Post.findOne({ ...PUBLISHED, $or: [{ slug }, { previousSlugs: slug }] })
+      .populate('author', 'username')
+      .populate('coAuthors', 'username')
+      .lean();
+
+    if (post && post.slug !== slug) {
+      return res.redirect(301, `/posts/${post.slug}`);
+    }
+
+    // Drafts and missing posts get the plain shell; the app shows drafts
+    // to the people allowed to see them
+    if (!post) {
+      return res.status(404).type('html').send(injectHead(shell, {
+        title: siteTitle(),
+        description: siteDescription()
+      }));
+    }
+
+    res.type('html').send(injectHead(shell, postHead(post, originOf(req))));
+  } catch (error) {
+    sendError(res, error, 'Post page', 'Error loading post');
+  }
+});
+
+module.exports = router;
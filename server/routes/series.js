@@ -0,0 +1,207 @@
+const express = require('express');
+const Series = require('../models/Series');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { can, canViewPost } = require('../utils/permissions');
+const { slugify } = require('../utils/slugify');
+const { SERIES_POST_FIELDS, visibleParts, resolveSeriesPosts } = require('../utils/series');
+
+const router = express.Router();
+
+// A series as the user sees it: only the parts they can read, numbered
+const toSeriesResponse = (series, user) => ({
+  ...series.toJSON(),
+  posts: visibleParts(series, user).map((post, index) => ({
+    _id: post._id,
+    title: post.title,
+    slug: post.slug,
+    status: post.status,
+    publishedAt: post.publishedAt,
+    author: post.author && { _id: post.author._id, username: post.author.username },
+    part: index + 1
+  }))
+});
+
+const populateParts = {
+  path: 'posts',
+  select: SERIES_POST_FIELDS,
+  populate: { path: 'author', select: 'username' }
+};
+
+const sendError = (res, error, action, message) => {
+  console.error(`${action} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid series ID'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'That slug is already in use by another series'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Get all series, most recently updated first. Series with nothing
+// published yet are only listed for those who manage series.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.find()
+      .populate(populateParts)
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      series: series
+        .map(item => toSeriesResponse(item, req.user))
+        .filter(item => item.posts.length > 0 || can(req.user, 'series:manage'))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get series', 'Error fetching series');
+  }
+});
+
+// Get a series and its parts by slug
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug.toLowerCase() })
+      .populate(populateParts)
+      .populate('createdBy', 'username');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      series: toSeriesResponse(series, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get series', 'Error fetching series');
+  }
+});
+
+router.use(auth, requirePermission('series:manage'));
+
+// Create a series
+router.post('/', async (req, res) => {
+  try {
+    const { title, slug, description, posts = [] } = req.body;
+
+    const resolved = await resolveSeriesPosts(posts, req.user);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const series = await Series.create({
+      title,
+      slug: slug ? slugify(slug) : undefined,
+      description,
+      posts: resolved.posts,
+      createdBy: req.user._id
+    });
+    await series.populate(populateParts);
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created successfully',
+      series: toSeriesResponse(series, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create series', 'Error creating series');
+  }
+});
+
+// Update a series. The posts list replaces the existing one, in order.
+router.put('/:id', async (req, res) => {
+  try {
+    const { title, slug, description, posts } = req.body;
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (posts !== undefined) {
+      const resolved = await resolveSeriesPosts(posts, req.user, series._id);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+
+      // Parts the user cannot see stay in the series, after the ones
+      // they arranged
+      await series.populate('posts', SERIES_POST_FIELDS);
+      const hidden = series.posts
+        .filter(post => post && !canViewPost(req.user, post))
+        .map(post => post._id.toString());
+
+      series.posts = [...resolved.posts, ...hidden];
+    }
+
+    if (title !== undefined) series.title = title;
+    if (slug !== undefined) series.slug = slugify(slug) || undefined;
+    if (description !== undefined) series.description = description;
+
+    await series.save();
+    await series.populate(populateParts);
+
+    res.json({
+      success: true,
+      message: 'Series updated successfully',
+      series: toSeriesResponse(series, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Update series', 'Error updating series');
+  }
+});
+
+// Delete a series. Its posts stay as they are.
+router.delete('/:id', async (req, res) => {
+  try {
+    const series = await Series.findByIdAndDelete(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete series', 'Error deleting series');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const { MAX_TAG_LENGTH, normalizeTag, normalizeTags } = require('../utils/tags');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace each of the `from` tags with `into` on every post and revision,
+// in place. Posts that already have `into` keep a single copy. Done in one
+// update per document so a failure can't leave a post with neither tag.
+const mergeTags = async (from, into) => {
+  const sources = from.filter(tag => tag !== into);
+  if (!sources.length) return 0;
+
+  // $literal, since a tag may start with "$" like a field path
+  const replaceTags = [{
+    $set: {
+      tags: {
+        $reduce: {
+          input: '$tags',
+          initialValue: [],
+          in: {
+            $let: {
+              vars: { tag: { $cond: [{ $in: ['$$this', { $literal: sources }] }, { $literal: into }, '$$this'] } },
+              in: { $cond: [{ $in: ['$$tag', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$tag']] }] }
+            }
+          }
+        }
+      }
+    }
+  }];
+
+  const result = await Post.updateMany({ tags: { $in: sources } }, replaceTags);
+  await PostRevision.updateMany({ tags: { $in: sources } }, replaceTags);
+  return result.modifiedCount;
+};
+
+const tooLong = (tag) => tag.length > MAX_TAG_LENGTH;
+
+// Get tags with how many posts use each. ?prefix= narrows them down for
+// autocomplete. Counts cover published posts, or every post with ?all=true
+// for those who manage tags.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { prefix, sort = 'count', all } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+
+    const pipeline = [
+      { $match: all === 'true' && can(req.user, 'tag:manage') ? {} : { status: 'published' } },
+      { $unwind: '$tags' }
+    ];
+
+    if (prefix && normalizeTag(prefix)) {
+      pipeline.push({ $match: { tags: { $regex: `^${escapeRegex(normalizeTag(prefix))}` } } });
+    }
+
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    );
+
+    const tags = await Post.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      tags
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags'
+    });
+  }
+});
+
+router.use(auth, requirePermission('tag:manage'));
+
+// Merge several tags into one, e.g. "reactjs" and "react.js" into "react"
+router.post('/merge', async (req, res) => {
+  try {
+    const tags = normalizeTags(req.body.tags);
+    const into = normalizeTag(req.body.into || '');
+
+    if (!tags.length || !into) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give the tags to merge and the tag to merge them into'
+      });
+    }
+
+    if (tooLong(into)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag cannot exceed ${MAX_TAG_LENGTH} characters`
+      });
+    }
+
+    const postsUpdated = await mergeTags(tags, into);
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'tag.merge',
+      targetType: 'Tag',
+      targetLabel: into,
+      details: { tags, into, postsUpdated }
+    });
+
+    res.json({
+      success: true,
+      message: `Merged ${tags.length} tag(s) into "${into}"`,
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging tags'
+    });
+  }
+});
+
+// Rename a tag on every post. Renaming to a tag already in use merges them.
+router.put('/:tag', async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body.name || '');
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new name is required'
+      });
+    }
+
+    if (tooLong(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag cannot exceed ${MAX_TAG_LENGTH} characters`
+      });
+    }
+
+    const postsUpdated = await mergeTags([tag], name);
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'tag.rename',
+      targetType: 'Tag',
+      targetLabel: name,
+      details: { from: tag, to: name, postsUpdated }
+    });
+
+    res.json({
+      success: true,
+      message: `Renamed "${tag}" to "${name}"`,
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renaming tag'
+    });
+  }
+});
+
+// Remove a tag from every post
+router.delete('/:tag', async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const result = await Post.updateMany({ tags: tag }, { $pull: { tags: tag } });
+    await PostRevision.updateMany({ tags: tag }, { $pull: { tags: tag } });
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'tag.delete',
+      targetType: 'Tag',
+      targetLabel: tag,
+      details: { tag, postsUpdated: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Deleted "${tag}"`,
+      postsUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tag'
+    });
+  }
+});
+
+module.exports = router;
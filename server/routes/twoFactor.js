@@ -0,0 +1,222 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { twoFactorSetupAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+const ISSUER = 'ModernBlog';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Staff who must use two-factor sign-in can reach these routes before
+// they have set it up
+router.use(twoFactorSetupAuth);
+
+const loadUser = (req) => User.findById(req.user._id).select(SECRET_FIELDS);
+
+// Get two-factor status for the current user
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: Boolean(user.twoFactor.enabled),
+        enabledAt: user.twoFactor.enabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? remainingRecoveryCodes(user) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status'
+    });
+  }
+});
+
+// Start setup: generate a secret to scan into an authenticator app. It is
+// only used for sign-in once confirmed with a code at /enable.
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = provisioningUri({ secret, account: user.email, issuer: ISSUER });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+});
+
+// Confirm setup with a code from the app. The recovery codes are only
+// ever returned here and from /recovery-codes.
+router.post('/enable', rateLimit('twoFactor'), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = stored;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+});
+
+// Turn two-factor sign-in off; needs the password and a second factor
+router.post('/disable', rateLimit('twoFactor'), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!password || !await user.comparePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes, invalidating the old ones
+router.post('/recovery-codes', rateLimit('twoFactor'), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = stored;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+});
+
+module.exports = router;
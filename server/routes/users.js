@@ -0,0 +1,500 @@
+const express = require('express');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const AuditLog = require('../models/AuditLog');
+const Media = require('../models/Media');
+const Reaction = require('../models/Reaction');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const ReviewNote = require('../models/ReviewNote');
+const Notification = require('../models/Notification');
+const Series = require('../models/Series');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getStorage } = require('../utils/storage');
+const { removeUserReactions } = require('../utils/reactions');
+
+const router = express.Router();
+
+const ROLES = ['Admin', 'Editor', 'User'];
+
+// Every route in this router needs the user:manage permission (Admins)
+router.use(auth, requirePermission('user:manage'));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isSuspended: user.isSuspended,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  createdAt: user.createdAt
+});
+
+// Admins cannot change their own role, suspend or delete themselves,
+// which would risk locking every Admin out of the system
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+// Get all users with pagination and filtering
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, status, search } = req.query;
+
+    const query = {};
+
+    if (role && ROLES.includes(role)) {
+      query.role = role;
+    }
+
+    if (status === 'suspended') {
+      query.isSuspended = true;
+    } else if (status === 'active') {
+      query.isSuspended = { $ne: true };
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      users: users.map(toUserResponse),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+});
+
+// Get audit trail of administrative actions
+router.get('/audit', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, userId, targetType } = req.query;
+
+    // Every kind of change unless one is asked for
+    const query = {};
+    if (targetType) {
+      if (!AuditLog.schema.path('targetType').enumValues.includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid target type'
+        });
+      }
+      query.targetType = targetType;
+    }
+    if (userId) {
+      query.targetID = userId;
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+// Get the site-wide sign-in policy
+router.get('/security-policy', async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security policy'
+    });
+  }
+});
+
+// Update the site-wide sign-in policy
+router.put('/security-policy', async (req, res) => {
+  try {
+    const { requireTwoFactorForStaff } = req.body;
+
+    if (typeof requireTwoFactorForStaff !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactorForStaff must be true or false'
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    const previous = policy.requireTwoFactorForStaff;
+
+    policy.requireTwoFactorForStaff = requireTwoFactorForStaff;
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'security.policy.update',
+      targetType: 'SecurityPolicy',
+      targetID: policy._id,
+      targetLabel: 'Security policy',
+      details: { requireTwoFactorForStaff: { from: previous, to: requireTwoFactorForStaff } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Security policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating security policy'
+    });
+  }
+});
+
+// Change a user's role
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.json({
+        success: true,
+        message: 'Role unchanged',
+        user: toUserResponse(user)
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'user.role.change',
+      targetType: 'User',
+      targetID: user._id,
+      targetLabel: user.username,
+      details: { from: previousRole, to: role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role'
+    });
+  }
+});
+
+// Suspend or reinstate a user
+router.put('/:id/suspend', async (req, res) => {
+  try {
+    const { suspended, reason } = req.body;
+
+    if (typeof suspended !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'suspended must be true or false'
+      });
+    }
+
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.isSuspended = suspended;
+    user.suspendedAt = suspended ? new Date() : undefined;
+    user.suspendedReason = suspended ? (reason || '').trim() || undefined : undefined;
+    await user.save();
+
+    // Suspension signs the user out everywhere
+    if (suspended) {
+      await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    await recordAudit({
+      actor: req.user._id,
+      action: suspended ? 'user.suspend' : 'user.reinstate',
+      targetType: 'User',
+      targetID: user._id,
+      targetLabel: user.username,
+      details: suspended && user.suspendedReason ? { reason: user.suspendedReason } : {}
+    });
+
+    res.json({
+      success: true,
+      message: suspended ? 'User suspended successfully' : 'User reinstated successfully',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user status'
+    });
+  }
+});
+
+// Turn off two-factor sign-in for a user who has lost their authenticator
+// and recovery codes. Their sessions are signed out.
+router.put('/:id/2fa/reset', async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reset your own two-factor authentication'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'user.2fa.reset',
+      targetType: 'User',
+      targetID: user._id,
+      targetLabel: user.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication'
+    });
+  }
+});
+
+// Delete a user together with their posts and comments
+router.delete('/:id', async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await removeUserReactions(user._id);
+
+    const postIds = await Post.find({ author: user._id }).distinct('_id');
+    const commentResult = await Comment.deleteThreads({
+      $or: [{ userID: user._id }, { postID: { $in: postIds } }]
+    });
+    await PostRevision.deleteMany({ postID: { $in: postIds } });
+    await Reaction.deleteMany({ targetType: 'Post', targetID: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+
+    // Posts they only co-wrote or were asked to review stay
+    await Post.updateMany(
+      { $or: [{ coAuthors: user._id }, { reviewers: user._id }] },
+      { $pull: { coAuthors: user._id, reviewers: user._id } }
+    );
+    await ReviewNote.deleteMany({ $or: [{ author: user._id }, { post: { $in: postIds } }] });
+    await Notification.deleteMany({ $or: [{ user: user._id }, { post: { $in: postIds } }] });
+    await Series.updateMany({ posts: { $in: postIds } }, { $pull: { posts: { $in: postIds } } });
+
+    const storage = getStorage();
+    const media = await Media.find({ owner: user._id });
+    for (const file of media) {
+      await storage.remove(file.key);
+      if (file.thumbnailKey) {
+        await storage.remove(file.thumbnailKey);
+      }
+    }
+    await Media.deleteMany({ owner: user._id });
+    await Session.deleteMany({ user: user._id });
+    await AuthToken.deleteMany({ user: user._id });
+    await User.findByIdAndDelete(user._id);
+
+    await recordAudit({
+      actor: req.user._id,
+      action: 'user.delete',
+      targetType: 'User',
+      targetID: user._id,
+      targetLabel: user.username,
+      details: {
+        email: user.email,
+        role: user.role,
+        deletedPosts: postIds.length,
+        deletedComments: commentResult.deletedCount,
+        deletedMedia: media.length
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user'
+    });
+  }
+});
+
+module.exports = router;
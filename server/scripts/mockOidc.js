@@ -0,0 +1,187 @@
+// A minimal OpenID Connect provider for trying out single sign-on locally.
+// It signs in whoever fills in its form, so never expose it publicly.
+//
+//   npm run mock-oidc
+//
+// then start the server with:
+//
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=modern-blog
+//   OIDC_CLIENT_SECRET=mock-secret
+//   OIDC_ROLE_MAP=blog-admins=Admin,blog-editors=Editor
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'modern-blog';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens issued since the provider started
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const tokenError = (res, error, description) => {
+  res.status(400).json({ error, error_description: description });
+};
+
+// Client credentials may come as HTTP Basic auth or in the form body
+const readClient = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':')
+      .map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'preferred_username', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Ask who to sign in as. The request parameters are carried through the form.
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, response_type: responseType, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID || responseType !== 'code' || method !== 'S256') {
+    return res.status(400).send('Unsupported client, response type or code challenge method');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'scope', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html>
+<head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+  <h1>Mock OIDC sign-in</h1>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="jane@example.com"></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe"></label></p>
+    <p><label>Username<br><input name="preferred_username" value="jane"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="blog-editors"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const target = new URL(redirectUri);
+
+  if (req.body.deny) {
+    target.searchParams.set('error', 'access_denied');
+  } else {
+    const email = req.body.email.trim().toLowerCase();
+    const code = base64url(crypto.randomBytes(24));
+
+    codes.set(code, {
+      redirectUri,
+      nonce: req.body.nonce,
+      codeChallenge: req.body.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        // The same email always gets the same subject
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: Boolean(req.body.email_verified),
+        name: req.body.name || undefined,
+        preferred_username: req.body.preferred_username || undefined,
+        groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+      }
+    });
+    target.searchParams.set('code', code);
+  }
+
+  if (state) target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const client = readClient(req);
+  if (client.id !== CLIENT_ID || (client.secret && client.secret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (req.body.grant_type !== 'authorization_code') {
+    return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  // Codes work once
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return tokenError(res, 'invalid_grant', 'Unknown, expired or mismatched code');
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, grant.claims);
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const claims = accessTokens.get((req.get('Authorization') || '').replace('Bearer ', ''));
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
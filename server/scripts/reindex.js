@@ -0,0 +1,37 @@
+// Rebuild the search index from the command line, for instance after
+// restoring a database backup:
+//
+//   npm run reindex
+//
+// Uses the provider SEARCH_PROVIDER names. The memory provider keeps its
+// index inside each server process, so it is rebuilt by restarting the
+// server or through POST /api/search/reindex instead.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { getSearchProvider } = require('../utils/search');
+
+const reindex = async () => {
+  const provider = getSearchProvider();
+
+  if (provider.name === 'memory') {
+    console.error('The memory search index lives in the server process; restart the server or call POST /api/search/reindex');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const indexed = await provider.reindex();
+    console.log(`Reindexed ${indexed} post(s) with the ${provider.name} provider`);
+  } catch (error) {
+    console.error('Reindex error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+reindex();
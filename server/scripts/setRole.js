@@ -0,0 +1,45 @@
+// Assign a role to an existing account from the command line.
+// Registration always creates User accounts, so this is how the first
+// Admin is bootstrapped:
+//
+//   npm run set-role -- admin@test.com Admin
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const ROLES = ['Admin', 'Editor', 'User'];
+
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${user.username} is now ${user.role}`);
+    }
+  } catch (error) {
+    console.error('Set role error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+setRole();
@@ -1,7 +1,11 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
+const path = require('path');
 const connectDB = require('./config/db');
+const { startPostScheduler, stopPostScheduler } = require('./utils/postScheduler');
+const { runMigrations } = require('./utils/migrations');
 
 // Load environment variables
 dotenv.config();
@@ -11,16 +15,25 @@ connectDB();
 
 const app = express();
 
+// Behind a reverse proxy, trust this many hops of X-Forwarded-For so that
+// rate limits and session details see the client's real IP address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://yourdomain.com'] 
     : ['http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  // Paginated lists link to their next and previous pages
+  exposedHeaders: ['Link']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -32,11 +45,44 @@ app.use((req, res, next) => {
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
+const userRoutes = require('./routes/users');
+const mediaRoutes = require('./routes/media');
+const moderationRoutes = require('./routes/moderation');
+const reactionRoutes = require('./routes/reactions');
+const notificationRoutes = require('./routes/notifications');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const seriesRoutes = require('./routes/series');
+const searchRoutes = require('./routes/search');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/reactions', reactionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/search', searchRoutes);
+
+// RSS, Atom and JSON feeds, robots.txt, sitemaps and post pages with link
+// previews, at the site root where feed readers and crawlers look
+app.use(feedRoutes);
+app.use(seoRoutes);
+
+// Uploaded files, when they are stored on local disk
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), {
+    maxAge: '30d',
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+  }));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -86,9 +132,13 @@ const server = app.listen(PORT, () => {
   console.log(`🔗 API base URL: http://localhost:${PORT}/api`);
 });
 
+// Bring existing data up to date, then publish scheduled posts in the background
+runMigrations().finally(() => startPostScheduler());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopPostScheduler();
   server.close(() => {
     console.log('Process terminated');
   });
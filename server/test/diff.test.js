@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, toSideBySide } = require('../utils/diff');
+
+const ops = (diff) => diff.map(({ type, value }) => `${{ equal: ' ', removed: '-', added: '+' }[type]}${value}`);
+
+// The texts a diff goes between, read back from its operations
+const sides = (diff) => ({
+  before: diff.filter(op => op.type !== 'added').map(op => op.value).join('\n'),
+  after: diff.filter(op => op.type !== 'removed').map(op => op.value).join('\n')
+});
+
+const edits = (diff) => diff.filter(op => op.type !== 'equal').length;
+
+// Fewest lines to add and remove, from the longest common subsequence
+const fewestEdits = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  return a.length + b.length - 2 * lengths[0][0];
+};
+
+// Repeatable pseudo-random numbers (mulberry32)
+const random = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+describe('diffLines', () => {
+  it('marks every line of identical texts equal', () => {
+    assert.deepEqual(ops(diffLines('a\nb\nc', 'a\nb\nc')), [' a', ' b', ' c']);
+  });
+
+  it('shows a changed line as removed and added in place', () => {
+    assert.deepEqual(ops(diffLines('a\nb\nc', 'a\nB\nc')), [' a', '-b', '+B', ' c']);
+  });
+
+  it('finds lines added and removed around unchanged ones', () => {
+    assert.deepEqual(
+      ops(diffLines('intro\nold point\nbody\noutro', 'new intro\nintro\nbody\nmore\noutro')),
+      ['+new intro', ' intro', '-old point', ' body', '+more', ' outro']
+    );
+  });
+
+  it('handles empty and missing texts', () => {
+    assert.deepEqual(ops(diffLines('', 'a\nb')), ['-', '+a', '+b']);
+    assert.deepEqual(ops(diffLines('a', '')), ['-a', '+']);
+    assert.deepEqual(ops(diffLines()), [' ']);
+  });
+
+  it('finds the fewest edits between random texts', () => {
+    const next = random(42);
+    for (let run = 0; run < 300; run++) {
+      const line = () => 'abcde'[Math.floor(next() * 5)];
+      const a = Array.from({ length: Math.floor(next() * 30) }, line);
+      const b = Array.from({ length: Math.floor(next() * 30) }, line);
+
+      const diff = diffLines(a.join('\n'), b.join('\n'));
+      assert.deepEqual(sides(diff), { before: a.join('\n'), after: b.join('\n') });
+      assert.equal(edits(diff), fewestEdits(a.length ? a : [''], b.length ? b : ['']));
+    }
+  });
+
+  it('treats texts that differ too much as rewritten, keeping both intact', () => {
+    const before = Array.from({ length: 3000 }, (_, n) => `old ${n}`);
+    const after = Array.from({ length: 3000 }, (_, n) => `new ${n}`);
+    before[1500] = 'shared';
+    after[1500] = 'shared';
+
+    const diff = diffLines(before.join('\n'), after.join('\n'));
+    assert.deepEqual(sides(diff), { before: before.join('\n'), after: after.join('\n') });
+    assert.ok(edits(diff) >= 5998);
+  });
+
+  it('still finds a few edits in long texts', () => {
+    const before = Array.from({ length: 5000 }, (_, n) => `line ${n}`);
+    const after = [...before];
+    after.splice(10, 1);
+    after.splice(2500, 0, 'inserted');
+    after[4000] = 'changed';
+
+    const diff = diffLines(before.join('\n'), after.join('\n'));
+    assert.deepEqual(sides(diff), { before: before.join('\n'), after: after.join('\n') });
+    assert.equal(edits(diff), 4);
+  });
+});
+
+describe('toSideBySide', () => {
+  it('pairs removed lines with the lines added in their place', () => {
+    assert.deepEqual(toSideBySide(diffLines('a\nb\nc\nd', 'a\nB\nC\nX\nd')), [
+      { type: 'equal', left: 'a', right: 'a' },
+      { type: 'changed', left: 'b', right: 'B' },
+      { type: 'changed', left: 'c', right: 'C' },
+      { type: 'added', left: null, right: 'X' },
+      { type: 'equal', left: 'd', right: 'd' }
+    ]);
+  });
+
+  it('leaves the other side empty for lines only removed', () => {
+    assert.deepEqual(toSideBySide(diffLines('a\nb\nc', 'a\nc')), [
+      { type: 'equal', left: 'a', right: 'a' },
+      { type: 'removed', left: 'b', right: null },
+      { type: 'equal', left: 'c', right: 'c' }
+    ]);
+  });
+});
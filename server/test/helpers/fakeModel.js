@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A stand-in for a Mongoose model over an array of plain objects, with
+// just enough of find() and MongoDB's query and sort semantics for the
+// helpers under test. Missing and null values sort first, as in MongoDB.
+
+const normalize = (value) => (value === undefined ? null : value);
+
+const compare = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === null || b === null) {
+    if (a === b) return 0;
+    return a === null ? -1 : 1;
+  }
+  if (a instanceof mongoose.Types.ObjectId) {
+    a = a.toString();
+    b = b.toString();
+  }
+  if (a instanceof Date) {
+    a = a.getTime();
+    b = b.getTime();
+  }
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+};
+
+const isOperator = (condition) => condition !== null && typeof condition === 'object' &&
+  !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+
+  const value = normalize(doc[key]);
+  if (isOperator(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$lt': return value !== null && compare(value, operand) < 0;
+        case '$gt': return value !== null && compare(value, operand) > 0;
+        case '$ne': return compare(value, operand) !== 0;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return compare(value, condition) === 0;
+});
+
+const sortBy = (docs, sort) => [...docs].sort((a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const order = compare(a[field], b[field]) * direction;
+    if (order) return order;
+  }
+  return 0;
+});
+
+const fakeModel = (docs) => ({
+  filters: [],
+  find(filter = {}) {
+    this.filters.push(filter);
+    let sort = {};
+    let limit = Infinity;
+    const query = {
+      sort(value) { sort = value; return query; },
+      limit(value) { limit = value; return query; },
+      populate() { return query; },
+      select() { return query; },
+      lean: async () => sortBy(docs.filter(doc => matches(doc, filter)), sort).slice(0, limit)
+    };
+    return query;
+  }
+});
+
+module.exports = { fakeModel, sortBy };
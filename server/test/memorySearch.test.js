@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { createMemorySearch } = require('../utils/search/memory');
+
+const author = new mongoose.Types.ObjectId();
+
+const post = (title, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  slug: title.toLowerCase().replace(/\W+/g, '-'),
+  bodyHtml: `<p>${title}</p>`,
+  tags: [],
+  category: 'General',
+  author,
+  coAuthors: [],
+  status: 'published',
+  publishedAt: new Date('2024-01-01'),
+  ...fields
+});
+
+const titles = (result) => result.results.map(found => found.title).sort();
+
+// Stands in for the posts collection. `pauseBuild` holds a build's cursor
+// after its first post until the returned function is called.
+describe('memory search', () => {
+  let posts;
+  let finds;
+  let hold;
+
+  beforeEach(() => {
+    posts = [];
+    finds = 0;
+    hold = null;
+
+    mock.method(Post, 'find', (filter) => {
+      finds += 1;
+      const ids = filter._id && filter._id.$in.map(String);
+      const found = () => posts.filter(candidate => (
+        (!ids || ids.includes(candidate._id.toString())) &&
+        (!filter.status || candidate.status === filter.status)
+      ));
+
+      const query = {
+        select: () => query,
+        populate: () => query,
+        lean: () => query,
+        then: (resolve, reject) => Promise.resolve(found()).then(resolve, reject),
+        cursor: async function* () {
+          const snapshot = found();
+          for (const [position, found] of snapshot.entries()) {
+            yield found;
+            if (position === 0 && hold) await hold;
+          }
+        }
+      };
+      return query;
+    });
+    mock.method(User, 'find', () => ({ select: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const pauseBuild = () => {
+    let release;
+    hold = new Promise(resolve => { release = resolve; });
+    return release;
+  };
+
+  it('finds words by prefix and with typos', async () => {
+    posts.push(post('React hooks'), post('Kitchen garden'), post('Kubernetes operators'));
+    const search = createMemorySearch();
+
+    assert.deepEqual(titles(await search.search({ q: 'reac' })), ['React hooks']);
+    assert.deepEqual(titles(await search.search({ q: 'raect' })), ['React hooks']);
+    assert.deepEqual(titles(await search.search({ q: 'kuberentes' })), ['Kubernetes operators']);
+    assert.deepEqual(titles(await search.search({ q: 'kobernetis' })), ['Kubernetes operators']);
+    assert.deepEqual(titles(await search.search({ q: 'rxact' })), ['React hooks']);
+    assert.deepEqual(titles(await search.search({ q: 'zzzzz' })), []);
+  });
+
+  it('forgets words once no post uses them', async () => {
+    const hooks = post('React hooks');
+    posts.push(hooks);
+    const search = createMemorySearch();
+    await search.reindex();
+
+    hooks.title = 'Vue composables';
+    hooks.bodyHtml = '<p>Vue composables</p>';
+    await search.sync([hooks._id]);
+
+    assert.deepEqual(titles(await search.search({ q: 'hook' })), []);
+    assert.deepEqual(titles(await search.search({ q: 'raect' })), []);
+    assert.deepEqual(titles(await search.search({ q: 'composabels' })), ['Vue composables']);
+  });
+
+  it('applies posts synced during a rebuild to the rebuilt index', async () => {
+    const first = post('Alpha release');
+    const second = post('Beta release');
+    posts.push(first, second);
+    const search = createMemorySearch();
+    await search.reindex();
+
+    const release = pauseBuild();
+    const rebuilt = search.reindex();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Changed after the build read the first post but before it finished
+    first.status = 'draft';
+    const third = post('Gamma release');
+    posts.push(third);
+    await search.sync([first._id, third._id]);
+
+    // The index in use meanwhile is kept up to date too
+    assert.deepEqual(titles(await search.search({ q: 'release' })), ['Beta release', 'Gamma release']);
+
+    release();
+    assert.equal(await rebuilt, 2);
+    assert.deepEqual(titles(await search.search({ q: 'release' })), ['Beta release', 'Gamma release']);
+  });
+
+  it('applies posts synced during the first build', async () => {
+    const first = post('Alpha release');
+    posts.push(first, post('Beta release'));
+    const search = createMemorySearch();
+
+    const release = pauseBuild();
+    const built = search.reindex();
+    await new Promise(resolve => setImmediate(resolve));
+
+    first.title = 'Alpha launch';
+    first.bodyHtml = '<p>Alpha launch</p>';
+    await search.sync([first._id]);
+
+    release();
+    await built;
+    assert.deepEqual(titles(await search.search({ q: 'launch' })), ['Alpha launch']);
+    assert.deepEqual(titles(await search.search({ q: 'release' })), ['Beta release']);
+  });
+
+  it('leaves an index that was never used unbuilt when posts change', async () => {
+    posts.push(post('Alpha release'));
+    const search = createMemorySearch();
+
+    await search.sync([posts[0]._id]);
+    assert.equal(finds, 0);
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { paginate, parseLimit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { fakeModel, sortBy } = require('./helpers/fakeModel');
+
+const request = (query = {}, originalUrl = '/api/posts?sort=views') => ({
+  query,
+  originalUrl,
+  protocol: 'http',
+  get: () => 'blog.test'
+});
+
+const response = () => {
+  const headers = {};
+  return { headers, set: (name, value) => { headers[name] = value; } };
+};
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+// Several posts share a view count, and some have never been published,
+// so every page boundary has to fall back on the later sort fields
+const posts = [
+  { views: 5, publishedAt: day(1) },
+  { views: 5, publishedAt: day(2) },
+  { views: 5, publishedAt: day(2) },
+  { views: 3, publishedAt: null },
+  { views: 3, publishedAt: day(4) },
+  { views: 3 },
+  { views: 5, publishedAt: null },
+  { views: 0, publishedAt: day(3) },
+  { views: 5, publishedAt: day(2) }
+].map(post => ({ ...post, _id: new mongoose.Types.ObjectId() }));
+
+const ids = (items) => items.map(item => item._id.toString());
+
+// Every page, following nextCursor from the first until there are no more
+const walkForward = async (model, sort, limit) => {
+  const pages = [];
+  let query = {};
+  for (;;) {
+    const page = await paginate(request(query), response(), { model, query: {}, sort, limit });
+    pages.push(page);
+    if (!page.pageInfo.hasNextPage) return pages;
+    query = { after: page.pageInfo.nextCursor };
+  }
+};
+
+// Every page before the given one, following prevCursor back to the first
+const walkBackward = async (model, sort, limit, last) => {
+  const pages = [last];
+  while (pages[0].pageInfo.hasPrevPage) {
+    const query = { before: pages[0].pageInfo.prevCursor };
+    pages.unshift(await paginate(request(query), response(), { model, query: {}, sort, limit }));
+  }
+  return pages;
+};
+
+const sorts = [
+  [['views', -1]],
+  [['views', 1]],
+  [['views', -1], ['publishedAt', -1]],
+  [['views', 1], ['publishedAt', 1]],
+  [['publishedAt', -1]],
+  [['publishedAt', 1]]
+];
+
+const cursorFor = (fields) => Buffer.from(JSON.stringify(fields)).toString('base64url');
+
+describe('paginate', () => {
+  for (const sort of sorts) {
+    const label = sort.map(([field, direction]) => `${field} ${direction === 1 ? 'asc' : 'desc'}`).join(', ');
+    const expected = ids(sortBy(posts, Object.fromEntries([...sort, ['_id', sort[0][1]]])));
+
+    it(`pages through ties on the sort key in order (${label})`, async () => {
+      for (const limit of [1, 2, 4]) {
+        const pages = await walkForward(fakeModel(posts), sort, limit);
+        assert.deepEqual(ids(pages.flatMap(page => page.items)), expected);
+        assert.ok(pages.every(page => page.items.length <= limit));
+      }
+    });
+
+    it(`pages back through ties on the sort key in order (${label})`, async () => {
+      const model = fakeModel(posts);
+      const forward = await walkForward(model, sort, 2);
+      const backward = await walkBackward(model, sort, 2, forward[forward.length - 1]);
+
+      assert.deepEqual(ids(backward.flatMap(page => page.items)), expected);
+      assert.equal(backward[0].pageInfo.hasPrevPage, false);
+      assert.ok(backward.every(page => page.pageInfo.hasNextPage || page === backward[backward.length - 1]));
+    });
+  }
+
+  it('reports the first page as having no previous page', async () => {
+    const { items, pageInfo } = await paginate(request(), response(), {
+      model: fakeModel(posts), query: {}, sort: [['views', -1]], limit: 4
+    });
+    assert.equal(items.length, 4);
+    assert.equal(pageInfo.hasPrevPage, false);
+    assert.equal(pageInfo.prevCursor, null);
+    assert.equal(pageInfo.hasNextPage, true);
+    assert.ok(pageInfo.nextCursor);
+  });
+
+  it('keeps the caller\'s conditions alongside the cursor', async () => {
+    const model = fakeModel(posts);
+    const query = { views: 5, $and: [{ publishedAt: { $ne: null } }] };
+    const first = await paginate(request(), response(), { model, query, sort: [['publishedAt', 1]], limit: 2 });
+    const second = await paginate(request({ after: first.pageInfo.nextCursor }), response(), {
+      model, query, sort: [['publishedAt', 1]], limit: 2
+    });
+
+    const filter = model.filters[model.filters.length - 1];
+    assert.equal(filter.views, 5);
+    assert.equal(filter.$and.length, 2);
+    assert.ok([...first.items, ...second.items].every(post => post.views === 5 && post.publishedAt));
+    assert.equal(first.items.length + second.items.length, 4);
+  });
+
+  describe('malformed cursors', () => {
+    const sort = [['views', -1]];
+    const id = new mongoose.Types.ObjectId().toString();
+    const cursors = {
+      'not base64 JSON': 'not-a-cursor',
+      'JSON that is not an object': cursorFor('views'),
+      'a cursor from another sort': cursorFor({ k: 'createdAt,_id', v: [5, id] }),
+      'too few values': cursorFor({ k: 'views,_id', v: [id] }),
+      'too many values': cursorFor({ k: 'views,_id', v: [5, 3, id] }),
+      'values that are not a list': cursorFor({ k: 'views,_id', v: { views: 5 } }),
+      'an invalid id': cursorFor({ k: 'views,_id', v: [5, 'nope'] })
+    };
+
+    for (const [name, cursor] of Object.entries(cursors)) {
+      for (const param of ['after', 'before']) {
+        it(`refuses ${name} as ${param}`, async () => {
+          const model = fakeModel(posts);
+          const res = response();
+          const result = await paginate(request({ [param]: cursor }), res, { model, query: {}, sort, limit: 2 });
+
+          assert.deepEqual(result, { error: 'Invalid page cursor' });
+          assert.equal(model.filters.length, 0);
+          assert.equal(res.headers.Link, undefined);
+        });
+      }
+    }
+
+    it('accepts a cursor it made', async () => {
+      const cursor = cursorFor({ k: 'views,_id', v: [5, id] });
+      const result = await paginate(request({ after: cursor }), response(), {
+        model: fakeModel(posts), query: {}, sort, limit: 2
+      });
+      assert.equal(result.error, undefined);
+    });
+  });
+
+  describe('Link header', () => {
+    const links = (header) => Object.fromEntries(header.split(', ').map(link => {
+      const [, url, rel] = link.match(/^<([^>]+)>; rel="(\w+)"$/);
+      return [rel, new URL(url)];
+    }));
+
+    it('links the first and next pages from the first page', async () => {
+      const res = response();
+      const { pageInfo } = await paginate(request({}, '/api/posts?sort=views&limit=2&page=3'), res, {
+        model: fakeModel(posts), query: {}, sort: [['views', -1]], limit: 2
+      });
+      const { first, next, prev } = links(res.headers.Link);
+
+      assert.equal(first.href, 'http://blog.test/api/posts?sort=views&limit=2');
+      assert.equal(next.searchParams.get('after'), pageInfo.nextCursor);
+      assert.equal(next.searchParams.get('sort'), 'views');
+      assert.equal(next.searchParams.get('limit'), '2');
+      assert.equal(next.searchParams.has('page'), false);
+      assert.equal(prev, undefined);
+    });
+
+    it('swaps the cursor for the previous page', async () => {
+      const model = fakeModel(posts);
+      const sort = [['views', -1]];
+      const first = await paginate(request(), response(), { model, query: {}, sort, limit: 2 });
+
+      const res = response();
+      const url = `/api/posts?sort=views&after=${first.pageInfo.nextCursor}`;
+      const { pageInfo } = await paginate(request({ after: first.pageInfo.nextCursor }, url), res, {
+        model, query: {}, sort, limit: 2
+      });
+      const { prev, next } = links(res.headers.Link);
+
+      assert.equal(prev.searchParams.get('before'), pageInfo.prevCursor);
+      assert.equal(prev.searchParams.has('after'), false);
+      assert.equal(next.searchParams.get('after'), pageInfo.nextCursor);
+      assert.equal(next.searchParams.getAll('after').length, 1);
+    });
+
+    it('leaves out the next page on the last page', async () => {
+      const res = response();
+      await paginate(request(), res, { model: fakeModel(posts), query: {}, sort: [['views', -1]], limit: 20 });
+
+      assert.deepEqual(Object.keys(links(res.headers.Link)), ['first']);
+    });
+  });
+});
+
+describe('parseLimit', () => {
+  it('falls back when no number is given', () => {
+    assert.equal(parseLimit(undefined), DEFAULT_PAGE_SIZE);
+    assert.equal(parseLimit('lots'), DEFAULT_PAGE_SIZE);
+    assert.equal(parseLimit(undefined, 20), 20);
+  });
+
+  it('keeps the limit within 1 and the maximum page size', () => {
+    assert.equal(parseLimit('0'), 1);
+    assert.equal(parseLimit('-5'), 1);
+    assert.equal(parseLimit('25'), 25);
+    assert.equal(parseLimit(String(MAX_PAGE_SIZE + 1)), MAX_PAGE_SIZE);
+    assert.equal(parseLimit(undefined, MAX_PAGE_SIZE * 2), MAX_PAGE_SIZE);
+  });
+});
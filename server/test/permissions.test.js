@@ -0,0 +1,176 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { can, canViewPost, isReviewerOf, permissionsFor, rolesWith } = require('../utils/permissions');
+
+const person = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+const admin = person('Admin');
+const author = person('Editor');
+const coAuthor = person('Editor');
+const reviewer = person('Editor');
+const otherEditor = person('Editor');
+const reader = person('User');
+
+const post = (fields) => ({
+  author: author._id,
+  coAuthors: [coAuthor._id],
+  status: 'draft',
+  reviewState: 'none',
+  reviewers: [],
+  ...fields
+});
+
+describe('can', () => {
+  it('lets ":any" permissions act on everyone\'s things', () => {
+    assert.equal(can(admin, 'post:edit', post()), true);
+    assert.equal(can(admin, 'comment:delete', { userID: reader._id }), true);
+    assert.equal(can(admin, 'media:manage', { owner: author._id }), true);
+  });
+
+  it('limits ":own" permissions to things the user created', () => {
+    assert.equal(can(author, 'post:edit', post()), true);
+    assert.equal(can(otherEditor, 'post:edit', post()), false);
+    assert.equal(can(reader, 'comment:edit', { userID: reader._id }), true);
+    assert.equal(can(reader, 'comment:edit', { userID: otherEditor._id }), false);
+    assert.equal(can(author, 'media:manage', { owner: author._id }), true);
+    assert.equal(can(otherEditor, 'media:manage', { owner: author._id }), false);
+  });
+
+  it('counts co-authors as owners of a post', () => {
+    assert.equal(can(coAuthor, 'post:edit', post()), true);
+    assert.equal(can(coAuthor, 'post:delete', post()), true);
+  });
+
+  it('accepts populated owners', () => {
+    assert.equal(can(author, 'post:edit', post({ author, coAuthors: [] })), true);
+    assert.equal(can(coAuthor, 'post:edit', post({ coAuthors: [coAuthor] })), true);
+    assert.equal(can(reader, 'comment:edit', { userID: { _id: reader._id, username: 'reader' } }), true);
+  });
+
+  it('answers whether the user can do it to anything without a resource', () => {
+    assert.equal(can(author, 'post:edit'), true);
+    assert.equal(can(reader, 'post:edit'), false);
+    assert.equal(can(reader, 'comment:edit'), true);
+  });
+
+  it('checks permissions without a suffix exactly', () => {
+    assert.equal(can(author, 'post:publish'), true);
+    assert.equal(can(reader, 'post:publish'), false);
+    assert.equal(can(author, 'user:manage'), false);
+    assert.equal(can(admin, 'user:manage'), true);
+  });
+
+  it('refuses anonymous users and unknown roles', () => {
+    assert.equal(can(undefined, 'comment:create'), false);
+    assert.equal(can(null, 'post:edit', post()), false);
+    assert.equal(can(person('Guest'), 'comment:create'), false);
+    assert.deepEqual(permissionsFor(person('Guest')), []);
+  });
+});
+
+describe('PERMISSIONS_FILE', () => {
+  it('replaces the permissions of the roles it names, dropping unknown ones', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-'));
+    const file = path.join(dir, 'permissions.json');
+    fs.writeFileSync(file, JSON.stringify({ Editor: ['post:create', 'post:edit:any', 'post:fly'] }));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const warn = mock.method(console, 'warn', () => {});
+    t.after(() => mock.restoreAll());
+
+    // A fresh copy of the module, which reads the file when loaded
+    const modulePath = require.resolve('../utils/permissions');
+    const cached = require.cache[modulePath];
+    delete require.cache[modulePath];
+    process.env.PERMISSIONS_FILE = file;
+    let overridden;
+    try {
+      overridden = require('../utils/permissions');
+    } finally {
+      delete process.env.PERMISSIONS_FILE;
+      require.cache[modulePath] = cached;
+    }
+
+    assert.deepEqual(overridden.permissionsFor(otherEditor), ['post:create', 'post:edit:any']);
+    assert.equal(overridden.can(otherEditor, 'post:edit', post()), true);
+    assert.equal(overridden.can(otherEditor, 'post:review'), false);
+    assert.equal(overridden.can(reader, 'comment:create'), true);
+    assert.match(warn.mock.calls[0].arguments[0], /post:fly/);
+  });
+});
+
+describe('rolesWith', () => {
+  it('lists the roles holding a permission in any form', () => {
+    assert.deepEqual(rolesWith('post:review').sort(), ['Admin', 'Editor']);
+    assert.deepEqual(rolesWith('post:edit').sort(), ['Admin', 'Editor']);
+    assert.deepEqual(rolesWith('comment:edit').sort(), ['Admin', 'Editor', 'User']);
+    assert.deepEqual(rolesWith('user:manage'), ['Admin']);
+  });
+});
+
+describe('canViewPost', () => {
+  it('shows published posts to everyone', () => {
+    for (const user of [undefined, reader, otherEditor, admin]) {
+      assert.equal(canViewPost(user, post({ status: 'published' })), true);
+    }
+  });
+
+  it('shows unpublished posts to their authors and Admins', () => {
+    for (const status of ['draft', 'scheduled', 'archived']) {
+      const draft = post({ status });
+      assert.equal(canViewPost(author, draft), true);
+      assert.equal(canViewPost(coAuthor, draft), true);
+      assert.equal(canViewPost(admin, draft), true);
+      assert.equal(canViewPost(otherEditor, draft), false);
+      assert.equal(canViewPost(reader, draft), false);
+      assert.equal(canViewPost(undefined, draft), false);
+    }
+  });
+
+  it('shows a post in review to the reviewers it was submitted to', () => {
+    const inReview = post({ reviewState: 'in_review', reviewers: [reviewer._id] });
+    assert.equal(canViewPost(reviewer, inReview), true);
+    assert.equal(canViewPost(otherEditor, inReview), false);
+    assert.equal(canViewPost(reader, inReview), false);
+  });
+
+  it('shows a post in review to every reviewer when none were chosen', () => {
+    const inReview = post({ reviewState: 'in_review' });
+    assert.equal(canViewPost(reviewer, inReview), true);
+    assert.equal(canViewPost(otherEditor, inReview), true);
+    assert.equal(canViewPost(reader, inReview), false);
+  });
+
+  it('hides a post from its reviewers once the review is over', () => {
+    for (const reviewState of ['changes_requested', 'approved', 'none']) {
+      const reviewed = post({ reviewState, reviewers: [reviewer._id] });
+      assert.equal(canViewPost(reviewer, reviewed), false);
+      assert.equal(canViewPost(otherEditor, post({ reviewState })), false);
+      assert.equal(canViewPost(author, reviewed), true);
+    }
+  });
+
+  it('accepts populated authors and reviewers', () => {
+    const populated = post({ reviewState: 'in_review', author: author, reviewers: [reviewer] });
+    assert.equal(canViewPost(author, populated), true);
+    assert.equal(canViewPost(reviewer, populated), true);
+    assert.equal(canViewPost(otherEditor, populated), false);
+  });
+});
+
+describe('isReviewerOf', () => {
+  it('never counts a post\'s own authors as its reviewers', () => {
+    const inReview = post({ reviewState: 'in_review' });
+    assert.equal(isReviewerOf(inReview, author), false);
+    assert.equal(isReviewerOf(inReview, coAuthor), false);
+    assert.equal(isReviewerOf(inReview, reviewer), true);
+  });
+
+  it('needs the review permission', () => {
+    assert.equal(isReviewerOf(post({ reviewers: [reader._id] }), reader), false);
+  });
+});
@@ -0,0 +1,232 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimit = require('../models/RateLimit');
+const { createMemoryStore } = require('../utils/rateLimit/memory');
+const { createMongoStore } = require('../utils/rateLimit/mongo');
+const { getRateLimitStore, secondsUntil } = require('../utils/rateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Evaluates the aggregation expressions the mongo store's update uses
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$cond': return evaluate(args[evaluate(args[0], doc) ? 1 : 2], doc);
+    case '$not': return !values()[0];
+    case '$gt': {
+      const [a, b] = values();
+      // Missing fields compare lower than everything
+      return a !== undefined && a !== null && a > b;
+    }
+    case '$add': return values().reduce((sum, value) => sum + value, 0);
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// Both stores count requests in a fixed window that starts on the first
+const storeBehaviour = (name, createStore) => describe(`${name} store`, () => {
+  let store;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    store = createStore();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('counts requests within a window', async () => {
+    const first = await store.increment('login:ip:1', MINUTE);
+    assert.equal(first.count, 1);
+    assert.equal(first.resetAt.getTime(), Date.now() + MINUTE);
+
+    mock.timers.tick(30 * 1000);
+    const second = await store.increment('login:ip:1', MINUTE);
+    assert.equal(second.count, 2);
+    assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+    assert.deepEqual(await store.get('login:ip:1'), second);
+  });
+
+  it('starts a new window once the last one has ended', async () => {
+    await store.increment('login:ip:1', MINUTE);
+    await store.increment('login:ip:1', MINUTE);
+
+    mock.timers.tick(MINUTE);
+    assert.equal(await store.get('login:ip:1'), null);
+
+    const counter = await store.increment('login:ip:1', MINUTE);
+    assert.equal(counter.count, 1);
+    assert.equal(counter.resetAt.getTime(), Date.now() + MINUTE);
+  });
+
+  it('keeps keys apart', async () => {
+    await store.increment('login:ip:1', MINUTE);
+    const other = await store.increment('login:ip:2', MINUTE);
+    assert.equal(other.count, 1);
+  });
+
+  it('forgets a counter when reset', async () => {
+    await store.increment('login:ip:1', MINUTE);
+    await store.reset('login:ip:1');
+
+    assert.equal(await store.get('login:ip:1'), null);
+    assert.equal((await store.increment('login:ip:1', MINUTE)).count, 1);
+  });
+});
+
+storeBehaviour('memory', createMemoryStore);
+
+// Stands in for the rate limit collection, applying the store's update
+// pipeline to the stored counters the way MongoDB would
+storeBehaviour('mongo', () => {
+  const counters = new Map();
+
+  mock.method(RateLimit, 'findOneAndUpdate', async ({ key }, [{ $set }]) => {
+    const doc = { key, ...counters.get(key) };
+    const updated = { key };
+    for (const [field, expression] of Object.entries($set)) {
+      updated[field] = evaluate(expression, doc);
+    }
+    counters.set(key, updated);
+    return updated;
+  });
+  mock.method(RateLimit, 'findOne', async ({ key, resetAt }) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > resetAt.$gt ? counter : null;
+  });
+  mock.method(RateLimit, 'deleteOne', async ({ key }) => {
+    counters.delete(key);
+  });
+
+  return createMongoStore();
+});
+
+describe('mongo store in MongoDB', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves finished windows for MongoDB to remove', () => {
+    const ttl = RateLimit.schema.indexes().find(([fields]) => fields.resetAt === 1);
+    assert.ok(ttl);
+    assert.equal(ttl[1].expireAfterSeconds, 0);
+  });
+
+  it('tries again when two requests create the same counter at once', async () => {
+    let calls = 0;
+    mock.method(RateLimit, 'findOneAndUpdate', async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      return { count: 2, resetAt: new Date() };
+    });
+
+    assert.equal((await createMongoStore().increment('login:ip:1', MINUTE)).count, 2);
+    assert.equal(calls, 2);
+  });
+
+  it('gives up after one retry', async () => {
+    mock.method(RateLimit, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    await assert.rejects(createMongoStore().increment('login:ip:1', MINUTE), { code: 11000 });
+    assert.equal(RateLimit.findOneAndUpdate.mock.callCount(), 2);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  let ip = 0;
+
+  // A request from an address no other test used, and a response that
+  // records what was sent
+  const request = (fields = {}) => ({ ip: `198.51.100.${++ip}`, query: {}, ...fields });
+  const response = () => {
+    const res = { headers: {}, statusCode: 200 };
+    res.set = (name, value) => Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  const run = async (middleware, req) => {
+    const res = response();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { res, passed };
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets requests through up to the limit with RateLimit headers', async () => {
+    const limit = rateLimit('register');
+    const req = request();
+
+    for (let count = 1; count <= 5; count++) {
+      const { res, passed } = await run(limit, req);
+      assert.equal(passed, true);
+      assert.equal(res.headers['RateLimit-Limit'], '5');
+      assert.equal(res.headers['RateLimit-Remaining'], String(5 - count));
+      assert.ok(Number(res.headers['RateLimit-Reset']) > 0);
+    }
+  });
+
+  it('refuses requests over the limit with a 429 and Retry-After', async () => {
+    const limit = rateLimit('register');
+    const req = request();
+    for (let count = 1; count <= 5; count++) await run(limit, req);
+
+    const { res, passed } = await run(limit, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.success, false);
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+    assert.equal(res.headers['Retry-After'], res.headers['RateLimit-Reset']);
+    assert.ok(Number(res.headers['Retry-After']) <= 60 * 60);
+
+    // Other addresses are unaffected
+    assert.equal((await run(limit, request())).passed, true);
+  });
+
+  it('counts signed-in users by account for per-user limits', async () => {
+    const limit = rateLimit('comment');
+    const user = { _id: 'user-1' };
+    for (let count = 1; count <= 10; count++) {
+      await run(limit, request({ user }));
+    }
+
+    // A different address doesn't help the same account
+    assert.equal((await run(limit, request({ user }))).res.statusCode, 429);
+    assert.equal((await run(limit, request({ user: { _id: 'user-2' } }))).passed, true);
+  });
+
+  it('skips requests its policy leaves out', async () => {
+    const { res, passed } = await run(rateLimit('search'), request());
+    assert.equal(passed, true);
+    assert.equal(res.headers['RateLimit-Limit'], undefined);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    mock.method(getRateLimitStore(), 'increment', async () => { throw new Error('store down'); });
+    mock.method(console, 'error', () => {});
+
+    const { res, passed } = await run(rateLimit('login'), request());
+    assert.equal(passed, true);
+    assert.equal(res.statusCode, 200);
+  });
+});
+
+describe('secondsUntil', () => {
+  it('rounds up to whole seconds and never goes below one', () => {
+    assert.equal(secondsUntil(new Date(Date.now() + 1500)), 2);
+    assert.equal(secondsUntil(new Date(Date.now() - 1000)), 1);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { rotateSession } = require('../utils/sessions');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const req = { ip: '203.0.113.9' };
+
+// Stands in for the sessions collection: the session's stored fields and
+// the calls rotateSession makes on the model
+describe('rotateSession', () => {
+  let stored;
+  let calls;
+
+  beforeEach(() => {
+    stored = new Session({
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: hash('current'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    calls = { revoked: 0 };
+
+    mock.method(console, 'warn', () => {});
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      const matches = String(filter._id) === String(stored._id) &&
+        filter.refreshTokenHash === stored.refreshTokenHash &&
+        !stored.revokedAt && stored.expiresAt > filter.expiresAt.$gt;
+      if (!matches) return null;
+      Object.assign(stored, update);
+      return stored;
+    });
+    mock.method(Session, 'findById', async (id) => (String(id) === String(stored._id) ? stored : null));
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      calls.revoked += 1;
+      if (!stored.revokedAt) Object.assign(stored, update);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('swaps the current token for a new one', async () => {
+    const result = await rotateSession(`${stored._id}.current`, req);
+
+    const [id, secret] = result.refreshToken.split('.');
+    assert.equal(id, String(stored._id));
+    assert.equal(stored.refreshTokenHash, hash(secret));
+    assert.equal(stored.previousTokenHash, hash('current'));
+    assert.equal(stored.ip, req.ip);
+    assert.equal(calls.revoked, 0);
+  });
+
+  it('accepts the token it just replaced without rotating again', async () => {
+    const { refreshToken } = await rotateSession(`${stored._id}.current`, req);
+    const current = stored.refreshTokenHash;
+
+    const again = await rotateSession(`${stored._id}.current`, req);
+    assert.equal(again.refreshToken, null);
+    assert.equal(stored.refreshTokenHash, current);
+    assert.equal(calls.revoked, 0);
+
+    // The new token keeps working
+    assert.ok((await rotateSession(refreshToken, req)).refreshToken);
+  });
+
+  it('revokes the session when a replaced token comes back after the grace period', async () => {
+    await rotateSession(`${stored._id}.current`, req);
+    stored.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    assert.equal(await rotateSession(`${stored._id}.current`, req), null);
+    assert.ok(stored.revokedAt);
+    assert.equal(calls.revoked, 1);
+  });
+
+  it('revokes the session when a token older than the last one comes back', async () => {
+    const first = await rotateSession(`${stored._id}.current`, req);
+    await rotateSession(first.refreshToken, req);
+
+    assert.equal(await rotateSession(`${stored._id}.current`, req), null);
+    assert.ok(stored.revokedAt);
+  });
+
+  it('revokes the session when an unknown secret is presented', async () => {
+    assert.equal(await rotateSession(`${stored._id}.guessed`, req), null);
+    assert.ok(stored.revokedAt);
+  });
+
+  it('refuses every token once the session is revoked', async () => {
+    const { refreshToken } = await rotateSession(`${stored._id}.current`, req);
+    stored.rotatedAt = new Date(Date.now() - 60 * 1000);
+    await rotateSession(`${stored._id}.current`, req);
+
+    assert.equal(await rotateSession(refreshToken, req), null);
+    assert.equal(calls.revoked, 1);
+  });
+
+  it('refuses an expired session without revoking it', async () => {
+    stored.expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(await rotateSession(`${stored._id}.current`, req), null);
+    assert.equal(calls.revoked, 0);
+  });
+
+  it('refuses malformed tokens', async () => {
+    for (const token of [undefined, '', 'current', `${stored._id}`, `${stored._id}.`, 'not-an-id.current']) {
+      assert.equal(await rotateSession(token, req), null);
+    }
+    assert.equal(calls.revoked, 0);
+  });
+
+  it('refuses a token for a session that does not exist', async () => {
+    assert.equal(await rotateSession(`${new mongoose.Types.ObjectId()}.current`, req), null);
+    assert.equal(calls.revoked, 0);
+  });
+});
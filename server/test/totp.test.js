@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, verifyCode, base32Encode, base32Decode } = require('../utils/totp');
+
+// The SHA-1 key from RFC 6238's test vectors
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+const at = (step) => step * STEP_MS + 1000;
+
+describe('totp', () => {
+  it('round-trips secrets through base32', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('GEZ1'), /Invalid base32/);
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; authenticator apps show the last 6
+    assert.equal(generateCode(SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(generateCode(SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(generateCode(SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(generateCode(SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  describe('verifyCode', () => {
+    const step = 1000;
+
+    it('accepts the current code and returns its step', () => {
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step), { now: at(step) }), step);
+    });
+
+    it('allows one step of clock drift either way', () => {
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step - 1), { now: at(step) }), step - 1);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step + 1), { now: at(step) }), step + 1);
+    });
+
+    it('refuses codes further out than the window', () => {
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step - 2), { now: at(step) }), null);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step + 2), { now: at(step) }), null);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step + 2), { now: at(step), window: 2 }), step + 2);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step - 1), { now: at(step), window: 0 }), null);
+    });
+
+    it('refuses a code from a step already used', () => {
+      const code = generateCode(SECRET, step);
+      assert.equal(verifyCode(SECRET, code, { now: at(step), afterStep: step }), null);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step - 1), { now: at(step), afterStep: step - 1 }), null);
+      assert.equal(verifyCode(SECRET, generateCode(SECRET, step + 1), { now: at(step), afterStep: step }), step + 1);
+    });
+
+    it('ignores spaces and refuses anything but six digits', () => {
+      const code = generateCode(SECRET, step);
+      assert.equal(verifyCode(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { now: at(step) }), step);
+      assert.equal(verifyCode(SECRET, code.slice(1), { now: at(step) }), null);
+      assert.equal(verifyCode(SECRET, `${code}0`, { now: at(step) }), null);
+      assert.equal(verifyCode(SECRET, 'abcdef', { now: at(step) }), null);
+      assert.equal(verifyCode(SECRET, undefined, { now: at(step) }), null);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor, remainingRecoveryCodes } = require('../utils/twoFactor');
+
+const step = Math.floor(Date.now() / 1000 / 30);
+
+const userWith = (twoFactor) => ({ twoFactor: { enabled: true, secret: generateSecret(), ...twoFactor } });
+
+describe('verifySecondFactor', () => {
+  describe('authenticator codes', () => {
+    it('accepts a code once and remembers its step', () => {
+      const user = userWith({ lastUsedStep: step - 5 });
+      const code = generateCode(user.twoFactor.secret, step);
+
+      assert.equal(verifySecondFactor(user, { code }), true);
+      assert.equal(user.twoFactor.lastUsedStep, step);
+      assert.equal(verifySecondFactor(user, { code }), false);
+    });
+
+    it('refuses an older code once a newer one was used', () => {
+      const user = userWith({ lastUsedStep: step });
+      const code = generateCode(user.twoFactor.secret, step - 1);
+
+      assert.equal(verifySecondFactor(user, { code }), false);
+      assert.equal(user.twoFactor.lastUsedStep, step);
+    });
+
+    it('accepts a code when none was used before', () => {
+      const user = userWith({});
+      assert.equal(verifySecondFactor(user, { code: generateCode(user.twoFactor.secret, step) }), true);
+    });
+
+    it('refuses a wrong code without changing the last step', () => {
+      const user = userWith({ lastUsedStep: step - 5 });
+      const code = generateCode(generateSecret(), step);
+
+      assert.equal(verifySecondFactor(user, { code }), false);
+      assert.equal(user.twoFactor.lastUsedStep, step - 5);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('consumes each code once', () => {
+      const { codes, stored } = generateRecoveryCodes();
+      const user = userWith({ recoveryCodes: stored });
+
+      assert.equal(remainingRecoveryCodes(user), codes.length);
+      assert.equal(verifySecondFactor(user, { recoveryCode: codes[3] }), true);
+      assert.equal(remainingRecoveryCodes(user), codes.length - 1);
+      assert.ok(stored[3].usedAt instanceof Date);
+
+      assert.equal(verifySecondFactor(user, { recoveryCode: codes[3] }), false);
+      assert.equal(remainingRecoveryCodes(user), codes.length - 1);
+      assert.equal(verifySecondFactor(user, { recoveryCode: codes[4] }), true);
+    });
+
+    it('ignores case and separators', () => {
+      const { codes, stored } = generateRecoveryCodes();
+      const user = userWith({ recoveryCodes: stored });
+
+      assert.equal(verifySecondFactor(user, { recoveryCode: codes[0].replace('-', ' ').toUpperCase() }), true);
+    });
+
+    it('only stores hashes of the codes', () => {
+      const { codes, stored } = generateRecoveryCodes();
+      assert.equal(new Set(codes).size, codes.length);
+      assert.ok(codes.every(code => /^[a-f0-9]{4}-[a-f0-9]{4}$/.test(code)));
+      assert.ok(stored.every(({ hash }) => /^[a-f0-9]{64}$/.test(hash) && !codes.includes(hash)));
+    });
+
+    it('refuses codes from another set', () => {
+      const user = userWith({ recoveryCodes: generateRecoveryCodes().stored });
+      const other = generateRecoveryCodes().codes;
+
+      assert.equal(verifySecondFactor(user, { recoveryCode: other[0] }), false);
+      assert.equal(remainingRecoveryCodes(user), other.length);
+    });
+
+    it('refuses a request with neither kind of code', () => {
+      const user = userWith({ recoveryCodes: generateRecoveryCodes().stored });
+      assert.equal(verifySecondFactor(user, {}), false);
+    });
+  });
+});
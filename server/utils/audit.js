@@ -0,0 +1,21 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an administrative action. Failures are logged rather than thrown
+// so that a problem writing the trail never undoes the action itself.
+const recordAudit = async ({ actor, action, targetType, targetID, targetLabel, details = {} }) => {
+  try {
+    return await AuditLog.create({
+      actor,
+      action,
+      targetType,
+      targetID,
+      targetLabel,
+      details
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = { recordAudit };
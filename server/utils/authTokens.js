@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the user, replacing any unused one issued earlier
+// for the same purpose. Returns the raw token to put in the email.
+const issueAuthToken = async (user, purpose, ttlMs) => {
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null when it is unknown, expired
+// or already used. Claiming it atomically keeps it strictly single-use.
+const consumeAuthToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Make a consumed token usable again, when what it was used for failed
+const releaseAuthToken = (authToken) => AuthToken.updateOne(
+  { _id: authToken._id, usedAt: authToken.usedAt },
+  { $unset: { usedAt: 1 } }
+);
+
+module.exports = { issueAuthToken, consumeAuthToken, releaseAuthToken };
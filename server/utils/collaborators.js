@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { rolesWith } = require('./permissions');
+
+const MAX_COLLABORATORS = 10;
+
+// What each kind of collaborator has to be allowed to do
+const COLLABORATOR_PERMISSIONS = {
+  coAuthors: { label: 'Co-authors', permission: 'post:create', verb: 'write posts' },
+  reviewers: { label: 'Reviewers', permission: 'post:review', verb: 'review posts' }
+};
+
+// Check the user ids given as a post's co-authors or reviewers. Each has to
+// be an active user whose role can write or review posts, as appropriate.
+const resolveCollaborators = async (ids, kind) => {
+  const { label, permission, verb } = COLLABORATOR_PERMISSIONS[kind];
+
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+    return { error: `${label} must be a list of user IDs` };
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > MAX_COLLABORATORS) {
+    return { error: `A post can have at most ${MAX_COLLABORATORS} ${label.toLowerCase()}` };
+  }
+
+  const users = await User.find({
+    _id: { $in: unique },
+    role: { $in: rolesWith(permission) },
+    isSuspended: { $ne: true }
+  }).select('username');
+
+  if (users.length !== unique.length) {
+    return { error: `${label} must be active users who can ${verb}` };
+  }
+
+  return { users };
+};
+
+module.exports = { resolveCollaborators, COLLABORATOR_PERMISSIONS };
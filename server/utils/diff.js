@@ -0,0 +1,156 @@
+// How many edits the search for a shared line between two stretches of
+// text goes through before treating them as entirely rewritten. Keeps
+// diffs of very different texts from taking too long.
+const MAX_EDITS = 2000;
+
+const pushAll = (ops, type, lines) => lines.forEach(value => ops.push({ type, value }));
+
+// A point where a shortest edit script from a to b can be split in two,
+// found by searching from both ends at once (Myers' "middle snake"). Uses
+// memory in proportion to the number of edits, not the size of the texts.
+// Returns null when there is no such point within MAX_EDITS.
+const middleSnake = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.min(Math.ceil((n + m) / 2), MAX_EDITS);
+  const offset = maxD + 1;
+  const forward = new Array(2 * offset + 1).fill(-1);
+  const reverse = new Array(2 * offset + 1).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+
+  const delta = n - m;
+  // Which search meets the other depends on whether delta is odd
+  const checkForward = delta % 2 !== 0;
+  let kStart = 0;
+  let kEnd = 0;
+  let rStart = 0;
+  let rEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + kStart; k <= d - kEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        kEnd += 2;
+      } else if (y > m) {
+        kStart += 2;
+      } else if (checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < reverse.length && reverse[other] !== -1 && x >= n - reverse[other]) {
+          return [x, y];
+        }
+      }
+    }
+
+    for (let k = -d + rStart; k <= d - rEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && reverse[index - 1] < reverse[index + 1])
+        ? reverse[index + 1]
+        : reverse[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+        x++;
+        y++;
+      }
+      reverse[index] = x;
+
+      if (x > n) {
+        rEnd += 2;
+      } else if (y > m) {
+        rStart += 2;
+      } else if (!checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < forward.length && forward[other] !== -1 && forward[other] >= n - x) {
+          const splitX = forward[other];
+          return [splitX, splitX - (other - offset)];
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Diff two lists of lines into ops, splitting the work at a middle snake
+// until what is left is only added or only removed
+const diffRange = (a, b, ops) => {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - suffix - 1] === b[b.length - suffix - 1]) suffix++;
+
+  pushAll(ops, 'equal', a.slice(0, prefix));
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+
+  const split = oldLines.length && newLines.length ? middleSnake(oldLines, newLines) : null;
+  if (split) {
+    diffRange(oldLines.slice(0, split[0]), newLines.slice(0, split[1]), ops);
+    diffRange(oldLines.slice(split[0]), newLines.slice(split[1]), ops);
+  } else {
+    pushAll(ops, 'removed', oldLines);
+    pushAll(ops, 'added', newLines);
+  }
+
+  pushAll(ops, 'equal', a.slice(a.length - suffix));
+};
+
+// Line-based diff of two texts, with as few added and removed lines as
+// possible. Returns a list of { type, value } operations where type is
+// one of 'equal', 'removed' or 'added'.
+const diffLines = (oldText = '', newText = '') => {
+  const ops = [];
+  diffRange(oldText.split('\n'), newText.split('\n'), ops);
+  return ops;
+};
+
+// Arrange diff operations into rows for a side-by-side view. Runs of
+// removed and added lines are paired up so a changed line sits next to
+// its replacement; unpaired lines get an empty cell on the other side.
+const toSideBySide = (ops) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let k = 0; k < length; k++) {
+      const left = removed[k];
+      const right = added[k];
+      rows.push({
+        type: left !== undefined && right !== undefined ? 'changed' : left !== undefined ? 'removed' : 'added',
+        left: left !== undefined ? left : null,
+        right: right !== undefined ? right : null
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'removed') {
+      removed.push(op.value);
+    } else if (op.type === 'added') {
+      added.push(op.value);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: op.value, right: op.value });
+    }
+  }
+  flush();
+
+  return rows;
+};
+
+module.exports = { diffLines, toSideBySide };
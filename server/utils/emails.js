@@ -0,0 +1,64 @@
+const { getMailer } = require('./mailer');
+const { issueAuthToken } = require('./authTokens');
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const appUrl = (pathname, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain text and HTML versions of a short message with one link
+const buildEmail = ({ greeting, lines, link, linkLabel }) => ({
+  text: [greeting, '', ...lines, '', link].join('\n'),
+  html: [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(linkLabel)}</a></p>`
+  ].join('\n')
+});
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user, 'email-verification', VERIFICATION_TTL_MS);
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Verify your email address',
+    ...buildEmail({
+      greeting: `Hi ${user.username},`,
+      lines: [
+        'Please confirm your email address by opening the link below.',
+        'The link expires in 24 hours.'
+      ],
+      link: appUrl('/verify-email', token),
+      linkLabel: 'Verify email address'
+    })
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user, 'password-reset', PASSWORD_RESET_TTL_MS);
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your password',
+    ...buildEmail({
+      greeting: `Hi ${user.username},`,
+      lines: [
+        'Someone asked to reset the password for your account. Open the link below to choose a new one.',
+        'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+      ],
+      link: appUrl('/reset-password', token),
+      linkLabel: 'Reset password'
+    })
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
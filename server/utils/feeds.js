@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const sanitizeHtml = require('sanitize-html');
+
+// Syndication feeds in RSS 2.0, Atom and JSON Feed 1.1. Each builder takes
+// the same description of a feed:
+//
+//   { title, description, homeUrl, selfUrl, updated, items: [{ id, url,
+//     title, summary, contentHtml, published, updated, authors, category,
+//     tags, image }] }
+//
+// contentHtml is left out in excerpt mode.
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// HTML inside a CDATA section, split wherever it contains the terminator
+const cdata = (html) => `<![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Rendered post HTML as plain text on a single line
+const plainText = (html) => decodeEntities(sanitizeHtml(html || '', { allowedTags: [], allowedAttributes: {} }))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Plain-text excerpt of rendered post HTML, cut at a word boundary
+const excerptOf = (html, length = 300) => {
+  const text = plainText(html);
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length)}...`;
+};
+
+const buildRss = (feed) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+  '<channel>',
+  `<title>${escapeXml(feed.title)}</title>`,
+  `<link>${escapeXml(feed.homeUrl)}</link>`,
+  `<description>${escapeXml(feed.description)}</description>`,
+  `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+  ...feed.items.map(item => [
+    '<item>',
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link>${escapeXml(item.url)}</link>`,
+    `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    ...item.authors.map(author => `<dc:creator>${escapeXml(author)}</dc:creator>`),
+    ...[item.category, ...item.tags].filter(Boolean).map(term => `<category>${escapeXml(term)}</category>`),
+    `<description>${escapeXml(item.summary)}</description>`,
+    item.contentHtml ? `<content:encoded>${cdata(item.contentHtml)}</content:encoded>` : '',
+    '</item>'
+  ].filter(Boolean).join('\n')),
+  '</channel>',
+  '</rss>'
+].join('\n');
+
+const buildAtom = (feed) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `<id>${escapeXml(feed.selfUrl)}</id>`,
+  `<title>${escapeXml(feed.title)}</title>`,
+  `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+  `<link href="${escapeXml(feed.homeUrl)}"/>`,
+  `<link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+  `<updated>${feed.updated.toISOString()}</updated>`,
+  ...feed.items.map(item => [
+    '<entry>',
+    `<id>${escapeXml(item.id)}</id>`,
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link href="${escapeXml(item.url)}"/>`,
+    `<published>${item.published.toISOString()}</published>`,
+    `<updated>${item.updated.toISOString()}</updated>`,
+    ...item.authors.map(author => `<author><name>${escapeXml(author)}</name></author>`),
+    ...[item.category, ...item.tags].filter(Boolean).map(term => `<category term="${escapeXml(term)}"/>`),
+    `<summary>${escapeXml(item.summary)}</summary>`,
+    item.contentHtml ? `<content type="html">${escapeXml(item.contentHtml)}</content>` : '',
+    '</entry>'
+  ].filter(Boolean).join('\n')),
+  '</feed>'
+].join('\n');
+
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.selfUrl,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+    image: item.image,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: item.authors.map(name => ({ name })),
+    tags: [item.category, ...item.tags].filter(Boolean)
+  }))
+}, null, 2);
+
+// Every format, by the file name it is served under
+const FEED_FORMATS = {
+  'feed.xml': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  'atom.xml': { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  'feed.json': { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+// Weak ETag for a feed, derived from what it would contain rather than
+// from the rendered body, so unchanged feeds can be answered without
+// rendering them
+const feedETag = (parts) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+module.exports = { FEED_FORMATS, escapeXml, plainText, excerptOf, feedETag };
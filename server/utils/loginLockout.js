@@ -0,0 +1,50 @@
+const { getRateLimitStore, secondsUntil } = require('./rateLimit');
+
+// After this many failed sign-ins within the window the account is locked
+// for the lockout duration, whoever is trying and from wherever
+const FAILURE_LIMIT = parseInt(process.env.LOGIN_FAILURE_LIMIT) || 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Counters are kept per email address, whether or not an account uses it,
+// so the lockout does not reveal which addresses are registered
+const failuresKey = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+const lockoutKey = (email) => `login-lockout:${String(email).trim().toLowerCase()}`;
+
+// Seconds until the account can be tried again, or null if it is not locked
+const getLockout = async (email) => {
+  try {
+    const lockout = await getRateLimitStore().get(lockoutKey(email));
+    return lockout ? secondsUntil(lockout.resetAt) : null;
+  } catch (error) {
+    console.error('Login lockout error:', error);
+    return null;
+  }
+};
+
+// Count a wrong password or second factor, locking the account once there
+// have been too many
+const recordLoginFailure = async (email) => {
+  try {
+    const store = getRateLimitStore();
+    const failures = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+
+    if (failures.count >= FAILURE_LIMIT) {
+      await store.increment(lockoutKey(email), LOCKOUT_MS);
+      await store.reset(failuresKey(email));
+      console.warn(`Sign-in locked for ${email} after ${failures.count} failed attempts`);
+    }
+  } catch (error) {
+    console.error('Login lockout error:', error);
+  }
+};
+
+const clearLoginFailures = async (email) => {
+  try {
+    await getRateLimitStore().reset(failuresKey(email));
+  } catch (error) {
+    console.error('Login lockout error:', error);
+  }
+};
+
+module.exports = { getLockout, recordLoginFailure, clearLoginFailures };
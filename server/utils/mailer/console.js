@@ -0,0 +1,19 @@
+// Prints emails to the server log. Meant for local development, where
+// links in the message can be copied straight from the terminal.
+const createConsoleTransport = ({ from }) => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log([
+      '--- Email ---',
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text,
+      '-------------'
+    ].join('\n'));
+  }
+});
+
+module.exports = { createConsoleTransport };
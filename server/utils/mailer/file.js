@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each email to `directory` as JSON, one file per message. Useful
+// in development and for checking the content of outgoing mail.
+const createFileTransport = ({ from, directory }) => ({
+  name: 'file',
+  directory,
+
+  async send({ to, subject, text, html }) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const sentAt = new Date();
+    const safeTo = to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${sentAt.getTime()}-${safeTo}.json`;
+
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2)
+    );
+  }
+});
+
+module.exports = { createFileTransport };
@@ -0,0 +1,46 @@
+const path = require('path');
+const { createConsoleTransport } = require('./console');
+const { createFileTransport } = require('./file');
+
+// Every mail transport exposes the same interface:
+//   send({ to, subject, text, html }) -> Promise<void>
+// Pick one with MAIL_TRANSPORT (console by default).
+let mailer = null;
+
+const getMailer = () => {
+  if (mailer) return mailer;
+
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+  const from = process.env.MAIL_FROM || 'ModernBlog <no-reply@localhost>';
+
+  switch (transport) {
+    case 'console':
+      mailer = createConsoleTransport({ from });
+      break;
+    case 'file':
+      mailer = createFileTransport({
+        from,
+        directory: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail-outbox')
+      });
+      break;
+    case 'smtp': {
+      // Only load nodemailer when it is actually used
+      const { createSmtpTransport } = require('./smtp');
+      mailer = createSmtpTransport({
+        from,
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+
+  return mailer;
+};
+
+module.exports = { getMailer };
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Sends email through any SMTP server
+const createSmtpTransport = ({ from, host, port, secure, user, password }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
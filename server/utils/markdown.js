@@ -0,0 +1,42 @@
+const { Marked } = require('marked');
+const { markedHighlight } = require('marked-highlight');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+const marked = new Marked(
+  markedHighlight({
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  { gfm: true }
+);
+
+// Markdown may contain raw HTML, so everything marked produces is passed
+// through an allow-list before it is stored or shown to readers
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del']),
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    span: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+// Render Markdown to sanitized HTML
+const renderMarkdown = (markdown = '') => sanitizeHtml(marked.parse(markdown), SANITIZE_OPTIONS);
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,145 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const ModerationPolicy = require('../models/ModerationPolicy');
+const { renderMarkdown } = require('./markdown');
+const { normalizeTags } = require('./tags');
+
+// Posts created before the status field existed are treated as published
+const backfillPostStatus = async () => {
+  const result = await Post.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing post(s) as published`);
+  }
+};
+
+// Posts created before slugs existed get one generated from their title
+const backfillPostSlugs = async () => {
+  const posts = await Post.find({ slug: { $exists: false } });
+
+  for (const post of posts) {
+    await post.save();
+  }
+
+  if (posts.length > 0) {
+    console.log(`Generated slugs for ${posts.length} existing post(s)`);
+  }
+};
+
+// Posts created before Markdown rendering get their HTML cached
+const backfillPostHtml = async () => {
+  const posts = await Post.find({ bodyHtml: { $exists: false } }).select('body');
+
+  for (const post of posts) {
+    await Post.updateOne({ _id: post._id }, { bodyHtml: renderMarkdown(post.body) });
+  }
+
+  if (posts.length > 0) {
+    console.log(`Rendered HTML for ${posts.length} existing post(s)`);
+  }
+};
+
+// Comments created before moderation existed were already public
+const backfillCommentStatus = async () => {
+  const result = await Comment.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'approved' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing comment(s) as approved`);
+  }
+};
+
+// Accounts created before email verification existed are trusted as they are
+const backfillEmailVerified = async () => {
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    [{ $set: { emailVerified: true, emailVerifiedAt: '$createdAt' } }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+  }
+};
+
+// Tags from before they were normalized, such as "React" next to "react"
+const normalizeExistingTags = async () => {
+  const posts = await Post.find({ tags: /[A-Z]|^\s|\s$|\s\s/ }).select('tags');
+
+  for (const post of posts) {
+    await Post.updateOne({ _id: post._id }, { tags: normalizeTags(post.tags) });
+  }
+
+  if (posts.length > 0) {
+    console.log(`Normalized tags on ${posts.length} existing post(s)`);
+  }
+};
+
+// The categories posts could use before they were managed in the database
+const DEFAULT_CATEGORIES = ['General', 'Technology', 'Development', 'Design', 'Business', 'Lifestyle'];
+
+// Create the original categories, plus any others existing posts use, the
+// first time the server starts without any
+const seedCategories = async () => {
+  if (await Category.exists({})) return;
+
+  const inUse = (await Post.distinct('category')).filter(Boolean);
+  const names = [...new Set([...DEFAULT_CATEGORIES, ...inUse])];
+
+  for (const [index, name] of names.entries()) {
+    await Category.create({ name, sortOrder: index });
+  }
+
+  console.log(`Created ${names.length} categories`);
+};
+
+// The site-wide policies are read on every request and comment, so they
+// are created once here rather than on first use
+const createPolicies = async () => {
+  await SecurityPolicy.ensurePolicy();
+  await ModerationPolicy.ensurePolicy();
+};
+
+// The text index used to weigh every field the same. A collection can
+// only have one text index, so the old one goes before the weighted one
+// can be built.
+const replaceTextIndex = async () => {
+  const indexes = await Post.collection.indexes();
+  if (!indexes.some(index => index.name === 'title_text_body_text_tags_text')) return;
+
+  await Post.collection.dropIndex('title_text_body_text_tags_text');
+  await Post.createIndexes();
+  console.log('Rebuilt the post search index with field weights');
+};
+
+// Idempotent data fixes that run once at startup
+const runMigrations = async () => {
+  const migrations = [
+    backfillPostStatus,
+    backfillPostSlugs,
+    backfillPostHtml,
+    backfillCommentStatus,
+    backfillEmailVerified,
+    seedCategories,
+    createPolicies,
+    normalizeExistingTags,
+    replaceTextIndex
+  ];
+
+  for (const migration of migrations) {
+    try {
+      await migration();
+    } catch (error) {
+      console.error(`Migration ${migration.name} failed:`, error);
+    }
+  }
+};
+
+module.exports = { runMigrations };
@@ -0,0 +1,64 @@
+const Comment = require('../models/Comment');
+const ModerationPolicy = require('../models/ModerationPolicy');
+const { can } = require('./permissions');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// When several rules apply, the most severe outcome wins
+const SEVERITY = ['approved', 'pending', 'spam', 'rejected'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+// Banned words match whole words, case-insensitively
+const findBannedWords = (text, bannedWords) => bannedWords.filter(word =>
+  word && new RegExp(`(^|\\W)${escapeRegex(word)}($|\\W)`, 'i').test(text)
+);
+
+// Decide the initial status of a new comment under the site policy.
+// Returns the status along with the reasons it was held or flagged.
+const moderateComment = async (text, user) => {
+  // Comments from moderators are never held
+  if (can(user, 'comment:moderate')) {
+    return { status: 'approved', reasons: [] };
+  }
+
+  const policy = await ModerationPolicy.getCachedPolicy();
+  const reasons = [];
+  let status = 'approved';
+
+  const hold = (reason, nextStatus = 'pending') => {
+    reasons.push(reason);
+    if (SEVERITY.indexOf(nextStatus) > SEVERITY.indexOf(status)) {
+      status = nextStatus;
+    }
+  };
+
+  const banned = findBannedWords(text, policy.bannedWords);
+  if (banned.length > 0) {
+    hold(`Contains banned words: ${banned.join(', ')}`, policy.bannedWordAction);
+  }
+
+  const links = countLinks(text);
+  if (links > policy.maxLinks) {
+    hold(`Contains ${links} links`, 'spam');
+  } else if (links > 0 && policy.linksNeedApproval) {
+    hold('Contains links');
+  }
+
+  if (policy.firstCommentNeedsApproval) {
+    const hasApproved = await Comment.exists({ userID: user._id, status: 'approved' });
+    if (!hasApproved) {
+      hold('First comment from this user');
+    }
+  }
+
+  if (policy.requireApproval) {
+    hold('All comments require approval');
+  }
+
+  return { status, reasons };
+};
+
+module.exports = { moderateComment, countLinks, findBannedWords };
@@ -0,0 +1,26 @@
+const Notification = require('../models/Notification');
+
+// Notify each recipient once, leaving out whoever caused it. Like the
+// audit trail, a failure here is logged rather than undoing the action.
+const notify = async ({ recipients, type, post, actor, message }) => {
+  const actorId = actor && (actor._id || actor).toString();
+  const users = [...new Set(recipients.filter(Boolean).map(user => (user._id || user).toString()))]
+    .filter(user => user !== actorId);
+
+  if (!users.length) return [];
+
+  try {
+    return await Notification.insertMany(users.map(user => ({
+      user,
+      type,
+      post: post && post._id,
+      actor: actorId,
+      message: message && message.slice(0, 300)
+    })));
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+module.exports = { notify };
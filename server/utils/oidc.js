@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { recordAudit } = require('./audit');
+
+const ROLE_RANK = ['User', 'Editor', 'Admin'];
+
+// Single sign-on is enabled by setting OIDC_ISSUER and OIDC_CLIENT_ID
+const getOidcConfig = () => {
+  const port = process.env.PORT || 5000;
+
+  return {
+    enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+    name: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${port}/api/auth/oidc/callback`,
+    scope: process.env.OIDC_SCOPES || 'openid email profile',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP)
+  };
+};
+
+// "blog-admins=Admin,blog-editors=Editor" -> { 'blog-admins': 'Admin', ... }.
+// Returns null when no mapping is configured.
+const parseRoleMap = (value) => {
+  if (!value) return null;
+
+  const map = {};
+  for (const entry of value.split(',')) {
+    const [group, role] = entry.split('=').map(part => (part || '').trim());
+    if (group && ROLE_RANK.includes(role)) {
+      map[group] = role;
+    }
+  }
+  return map;
+};
+
+// The highest role any of the user's groups maps to
+const mapGroupsToRole = (groups, roleMap) => {
+  const list = Array.isArray(groups) ? groups : [groups].filter(Boolean);
+
+  return list.reduce((role, group) => {
+    const mapped = roleMap[group];
+    return mapped && ROLE_RANK.indexOf(mapped) > ROLE_RANK.indexOf(role) ? mapped : role;
+  }, 'User');
+};
+
+// openid-client is only loaded, and the provider only discovered, the
+// first time someone signs in with it
+let clientPromise = null;
+
+const getOidcClient = () => {
+  if (!clientPromise) {
+    const config = getOidcConfig();
+    const { Issuer } = require('openid-client');
+
+    clientPromise = Issuer.discover(config.issuer)
+      .then(issuer => new issuer.Client({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        redirect_uris: [config.redirectUri],
+        response_types: ['code'],
+        token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none'
+      }))
+      .catch(error => {
+        // Try discovery again next time rather than caching the failure
+        clientPromise = null;
+        throw error;
+      });
+  }
+  return clientPromise;
+};
+
+const isVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+// A free username based on the provider's preferred username or email
+const uniqueUsername = async (claims) => {
+  const base = (claims.preferred_username || claims.nickname || claims.email.split('@')[0])
+    .replace(/[^A-Za-z0-9_.-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '0');
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+};
+
+// Find the user for a provider identity. Identities already linked sign
+// straight in; otherwise an account with the same verified email is
+// linked, or a new account is created. Returns { user } or { error }.
+//
+// A local account whose email was never verified may have been registered
+// by someone else ahead of the email's owner, so linking one takes it over:
+// its password, two-factor setup, emailed links and sessions are dropped.
+const findOrCreateOidcUser = async (claims, config) => {
+  const identity = { provider: config.issuer, subject: claims.sub };
+
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+  let takeOver = false;
+
+  if (!user) {
+    if (!claims.email) {
+      return { error: 'email_missing' };
+    }
+    if (!isVerified(claims)) {
+      return { error: 'email_unverified' };
+    }
+
+    const email = claims.email.toLowerCase();
+    user = await User.findOne({ email });
+    if (!user) {
+      user = new User({ username: await uniqueUsername(claims), email });
+    } else if (!user.emailVerified) {
+      takeOver = true;
+      user.password = undefined;
+      user.twoFactor = { enabled: false };
+    }
+
+    user.identities.push({ ...identity, email, linkedAt: new Date() });
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+  }
+
+  const linked = user.identities.find(item => item.provider === identity.provider && item.subject === identity.subject);
+  linked.lastLoginAt = new Date();
+
+  // With a group mapping configured the provider decides the role
+  const previousRole = user.role;
+  if (config.roleMap) {
+    user.role = mapGroupsToRole(claims[config.groupsClaim], config.roleMap);
+  }
+
+  const isNew = user.isNew;
+  await user.save();
+
+  if (takeOver) {
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    await AuthToken.deleteMany({ user: user._id });
+  }
+
+  if (!isNew && previousRole !== user.role) {
+    await recordAudit({
+      actor: user._id,
+      action: 'user.role.sync',
+      targetType: 'User',
+      targetID: user._id,
+      targetLabel: user.username,
+      details: { from: previousRole, to: user.role, issuer: config.issuer }
+    });
+  }
+
+  return { user };
+};
+
+module.exports = {
+  getOidcConfig,
+  getOidcClient,
+  mapGroupsToRole,
+  findOrCreateOidcUser
+};
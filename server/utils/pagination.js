@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Keyset ("cursor") pagination for list endpoints. A page is asked for
+// with ?after= or ?before= and a cursor from a previous page, which
+// stays correct however many items are added or removed in the meantime
+// and costs the same on every page, unlike skipping over earlier pages.
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 50;
+
+// The page size asked for, within 1 and MAX_PAGE_SIZE
+const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE) => {
+  const limit = parseInt(value);
+  if (isNaN(limit)) return Math.min(fallback, MAX_PAGE_SIZE);
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+};
+
+// The sort with _id added as a tiebreaker, so items with equal sort
+// values still have a fixed order
+const withTiebreaker = (sort) => [...sort, ['_id', sort[0][1]]];
+
+// Cursors are opaque to clients: the sort values of the item they point
+// at, and which fields those are so a cursor from another sort is refused
+const encodeCursor = (item, order) => Buffer.from(JSON.stringify({
+  k: order.map(([field]) => field).join(','),
+  v: order.map(([field]) => {
+    const value = item[field] === undefined ? null : item[field];
+    return value instanceof Date ? { $date: value.toISOString() } : value;
+  })
+})).toString('base64url');
+
+const decodeCursor = (cursor, order) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed || parsed.k !== order.map(([field]) => field).join(',') ||
+      !Array.isArray(parsed.v) || parsed.v.length !== order.length) {
+    return null;
+  }
+
+  const id = parsed.v[parsed.v.length - 1];
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  return parsed.v.map((value, index) => {
+    if (index === parsed.v.length - 1) return new mongoose.Types.ObjectId(id);
+    if (value && typeof value === 'object' && typeof value.$date === 'string') return new Date(value.$date);
+    return value;
+  });
+};
+
+// Items whose value for the field comes after the given one in the
+// direction of the sort. MongoDB sorts missing and null values before
+// everything else, so they come last in descending order.
+const beyond = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Items after the cursor in the given order: past it on the first field,
+// or equal on the first and past it on the next, and so on
+const keysetFilter = (order, values) => {
+  const branches = [];
+  order.forEach(([field, direction], index) => {
+    const condition = beyond(field, values[index], direction);
+    if (!condition) return;
+
+    const equal = order.slice(0, index).map(([previous], position) => ({ [previous]: values[position] }));
+    branches.push({ $and: [...equal, condition] });
+  });
+  return branches.length ? { $or: branches } : { _id: null };
+};
+
+// The current URL with the page's cursor swapped for another
+const pageUrl = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.delete('after');
+  url.searchParams.delete('before');
+  url.searchParams.delete('page');
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+// Link header pointing at the first, next and previous pages (RFC 8288)
+const linkHeader = (req, { nextCursor, prevCursor }) => [
+  `<${pageUrl(req, {})}>; rel="first"`,
+  nextCursor && `<${pageUrl(req, { after: nextCursor })}>; rel="next"`,
+  prevCursor && `<${pageUrl(req, { before: prevCursor })}>; rel="prev"`
+].filter(Boolean).join(', ');
+
+// Fetch one page of a query in the given sort ([[field, 1 or -1], ...]),
+// after or before the cursor in req.query, and set the Link header.
+// `build` adds population and field selection to the find.
+const paginate = async (req, res, { model, query, sort, limit, build = find => find }) => {
+  const order = withTiebreaker(sort);
+  const { after, before } = req.query;
+  const backwards = !after && Boolean(before);
+
+  let filter = query;
+  if (after || before) {
+    const values = decodeCursor(after || before, order);
+    if (!values) {
+      return { error: 'Invalid page cursor' };
+    }
+    const reversed = backwards ? order.map(([field, direction]) => [field, -direction]) : order;
+    // Added under $and so that a $text search stays at the top level
+    filter = { ...query, $and: [...(query.$and || []), keysetFilter(reversed, values)] };
+  }
+
+  // One more than the page holds, to tell whether there is another page
+  const items = await build(model.find(filter))
+    .sort(Object.fromEntries(order.map(([field, direction]) => [field, backwards ? -direction : direction])))
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  if (backwards) pageItems.reverse();
+
+  const hasNextPage = backwards ? true : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(after);
+  const pageInfo = {
+    limit,
+    hasNextPage,
+    hasPrevPage,
+    nextCursor: hasNextPage && pageItems.length ? encodeCursor(pageItems[pageItems.length - 1], order) : null,
+    prevCursor: hasPrevPage && pageItems.length ? encodeCursor(pageItems[0], order) : null
+  };
+
+  res.set('Link', linkHeader(req, pageInfo));
+  return { items: pageItems, pageInfo };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  paginate
+};
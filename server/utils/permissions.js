@@ -0,0 +1,70 @@
+const fs = require('fs');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Role mappings, with any overrides from PERMISSIONS_FILE applied. Unknown
+// permission names are dropped with a warning so typos are noticed.
+const loadRolePermissions = () => {
+  const mapping = { ...ROLE_PERMISSIONS };
+  if (!process.env.PERMISSIONS_FILE) return mapping;
+
+  const overrides = JSON.parse(fs.readFileSync(process.env.PERMISSIONS_FILE, 'utf8'));
+  for (const [role, permissions] of Object.entries(overrides)) {
+    mapping[role] = permissions.filter(permission => {
+      const known = PERMISSIONS.includes(permission);
+      if (!known) console.warn(`Unknown permission "${permission}" for role ${role} ignored`);
+      return known;
+    });
+  }
+  return mapping;
+};
+
+const rolePermissions = loadRolePermissions();
+
+const permissionsFor = (user) => (user && rolePermissions[user.role]) || [];
+
+// The users who created a post, comment or media item. A post's
+// co-authors own it alongside its author.
+const ownersOf = (resource) => [
+  resource.author || resource.userID || resource.owner,
+  ...(resource.coAuthors || [])
+].filter(Boolean).map(owner => (owner._id || owner).toString());
+
+// Roles holding a permission, either exactly or for any resource
+const rolesWith = (action) => Object.keys(rolePermissions).filter(role => {
+  const permissions = rolePermissions[role];
+  return permissions.includes(action) || permissions.includes(`${action}:any`) ||
+    permissions.includes(`${action}:own`);
+});
+
+// Whether the user may perform an action, such as "post:edit". A user with
+// "post:edit:any" may edit every post; with "post:edit:own" only posts
+// they wrote or co-wrote. Without a resource the question is whether they may do it
+// to anything at all.
+const can = (user, action, resource) => {
+  const permissions = permissionsFor(user);
+
+  if (permissions.includes(action) || permissions.includes(`${action}:any`)) return true;
+  if (!permissions.includes(`${action}:own`)) return false;
+  if (!resource) return true;
+
+  return ownersOf(resource).includes(user._id.toString());
+};
+
+// Reviewers may act on posts submitted to them, or to nobody in particular,
+// but never on posts they wrote themselves
+const isReviewerOf = (post, user) => (
+  can(user, 'post:review') &&
+  !ownersOf(post).includes(user._id.toString()) &&
+  (!post.reviewers || !post.reviewers.length ||
+    post.reviewers.some(reviewer => (reviewer._id || reviewer).toString() === user._id.toString()))
+);
+
+// Unpublished posts are only visible to their authors, to their reviewers
+// while they are in review, and to Admins
+const canViewPost = (user, post) => (
+  post.status === 'published' ||
+  can(user, 'post:read', post) ||
+  (post.reviewState === 'in_review' && isReviewerOf(post, user))
+);
+
+module.exports = { can, canViewPost, isReviewerOf, permissionsFor, rolesWith };
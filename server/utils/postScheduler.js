@@ -0,0 +1,58 @@
+const Post = require('../models/Post');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+// Publish every scheduled post whose publish date has passed. Posts are
+// saved one by one so that document middleware runs for each of them; one
+// that fails to save is logged and tried again on the next tick. Posts in
+// review wait for a reviewer to approve them.
+const publishDuePosts = async (now = new Date()) => {
+  const duePosts = await Post.find({
+    status: 'scheduled',
+    publishAt: { $lte: now },
+    reviewState: { $ne: 'in_review' }
+  });
+
+  let published = 0;
+  for (const post of duePosts) {
+    post.status = 'published';
+    post.publishedAt = post.publishAt;
+    try {
+      await post.save();
+      published++;
+    } catch (error) {
+      console.error(`Post scheduler could not publish post ${post._id}:`, error);
+    }
+  }
+
+  if (published > 0) {
+    console.log(`Published ${published} scheduled post(s)`);
+  }
+
+  return published;
+};
+
+const startPostScheduler = (intervalMs = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () => {
+    publishDuePosts().catch(error => {
+      console.error('Post scheduler error:', error);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopPostScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { startPostScheduler, stopPostScheduler, publishDuePosts };
@@ -0,0 +1,37 @@
+const { createMemoryStore } = require('./memory');
+
+// Every rate limit store exposes the same interface:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   get(key)                 -> Promise<{ count, resetAt } | null>
+//   reset(key)               -> Promise<void>
+// Counters start a fixed window on their first hit. Pick a store with
+// RATE_LIMIT_STORE (memory by default); use mongo when running more than
+// one server process so they share their counters.
+let store = null;
+
+const getRateLimitStore = () => {
+  if (store) return store;
+
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'mongo': {
+      // Only load the model when it is actually used
+      const { createMongoStore } = require('./mongo');
+      store = createMongoStore();
+      break;
+    }
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+
+  return store;
+};
+
+// Whole seconds until a counter resets, for Retry-After and RateLimit-Reset
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+module.exports = { getRateLimitStore, secondsUntil };
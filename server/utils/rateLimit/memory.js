@@ -0,0 +1,45 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keeps counters in this process. They are lost on restart and not shared
+// between processes.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt > Date.now()) return counter;
+    counters.delete(key);
+    return null;
+  };
+
+  // Drop expired counters now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const counter = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async get(key) {
+      const counter = current(key);
+      return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,43 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Keeps counters in MongoDB so that every server process shares them
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const expired = { $not: [{ $gt: ['$resetAt', now] }] };
+
+    try {
+      // Start a new window when there is none or the old one has ended
+      const counter = await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+            resetAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$resetAt'] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (error) {
+      // Two requests inserted the same new counter at once
+      if (error.code === 11000 && !retried) {
+        return this.increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  },
+
+  async get(key) {
+    const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
+
+module.exports = { createMongoStore };
@@ -0,0 +1,95 @@
+const Reaction = require('../models/Reaction');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const TARGET_MODELS = { Post, Comment };
+
+// Every comment in a list of threads, including nested replies
+const flattenThreads = (items) => items.flatMap(item =>
+  [item, ...(item.replies ? flattenThreads(item.replies) : [])]
+);
+
+// Set myReactions on each item (and on nested replies) to the reaction
+// types the signed-in user has left on it. Items must be plain objects.
+const attachUserReactions = async (items, targetType, user) => {
+  const all = flattenThreads(items);
+  all.forEach(item => { item.myReactions = []; });
+  if (!user || all.length === 0) return items;
+
+  const reactions = await Reaction.find({
+    user: user._id,
+    targetType,
+    targetID: { $in: all.map(item => item._id) }
+  }).select('targetID type');
+
+  const byTarget = new Map();
+  reactions.forEach(({ targetID, type }) => {
+    const key = targetID.toString();
+    byTarget.set(key, [...(byTarget.get(key) || []), type]);
+  });
+  all.forEach(item => {
+    item.myReactions = byTarget.get(item._id.toString()) || [];
+  });
+
+  return items;
+};
+
+// Add or remove one of the user's reactions and keep the target's counts
+// in step. Returns whether the reaction is now present, or null when the
+// target was deleted in the meantime.
+const toggleReaction = async (user, targetType, targetID, type) => {
+  const key = { user: user._id, targetType, targetID, type };
+
+  let reacted;
+  let change = 0;
+  const removed = await Reaction.findOneAndDelete(key);
+  if (removed) {
+    reacted = false;
+    change = -1;
+  } else {
+    try {
+      await Reaction.create(key);
+      change = 1;
+    } catch (error) {
+      // A concurrent request already added it
+      if (error.code !== 11000) throw error;
+    }
+    reacted = true;
+  }
+
+  const Model = TARGET_MODELS[targetType];
+  const target = change
+    ? await Model.findByIdAndUpdate(
+      targetID,
+      { $inc: { [`reactions.${type}`]: change, reactionCount: change } },
+      // Reactions are not edits, so updatedAt stays as it is
+      { new: true, timestamps: false }
+    ).select('reactions reactionCount')
+    : await Model.findById(targetID).select('reactions reactionCount');
+
+  // Don't leave a reaction behind on a target that is gone
+  if (!target) {
+    await Reaction.deleteOne(key);
+    return null;
+  }
+
+  return { reacted, reactions: target.reactions, reactionCount: target.reactionCount };
+};
+
+// Remove every reaction a user has left, taking them off the counts
+const removeUserReactions = async (userId) => {
+  const reactions = await Reaction.find({ user: userId });
+
+  for (const { targetType, targetID, type } of reactions) {
+    await TARGET_MODELS[targetType].updateOne(
+      { _id: targetID },
+      { $inc: { [`reactions.${type}`]: -1, reactionCount: -1 } },
+      { timestamps: false }
+    );
+  }
+
+  await Reaction.deleteMany({ user: userId });
+  return reactions.length;
+};
+
+module.exports = { attachUserReactions, toggleReaction, removeUserReactions };
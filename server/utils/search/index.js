@@ -0,0 +1,38 @@
+const { createMongoSearch } = require('./mongo');
+
+// Every search provider exposes the same interface:
+//   search({ q, filters, page, limit }) -> Promise<{ results, facets, total }>
+//   reindex()                           -> Promise<number of posts indexed>
+//   sync(postIds)                       -> Promise<void>, only for providers
+//                                          keeping their own index
+// filters may hold a category name, a tag, an author ID (null for an
+// unknown author) and a year. Pick a provider with SEARCH_PROVIDER (mongo
+// by default); memory adds prefix matching and typo tolerance.
+let provider = null;
+
+const getSearchProvider = () => {
+  if (provider) return provider;
+
+  const driver = process.env.SEARCH_PROVIDER || 'mongo';
+
+  switch (driver) {
+    case 'mongo':
+      provider = createMongoSearch();
+      break;
+    case 'memory': {
+      const { createMemorySearch } = require('./memory');
+      provider = createMemorySearch();
+      break;
+    }
+    default:
+      throw new Error(`Unknown SEARCH_PROVIDER: ${driver}`);
+  }
+
+  return provider;
+};
+
+// Whether a $text query failed because MongoDB's text index is missing,
+// as it is while it is being rebuilt
+const isTextIndexMissing = (error) => Boolean(error) && error.code === 27;
+
+module.exports = { getSearchProvider, isTextIndexMissing };
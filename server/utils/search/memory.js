@@ -0,0 +1,328 @@
+const Post = require('../../models/Post');
+const { plainText } = require('../feeds');
+const { FACET_LIMIT, RESULT_FIELDS, toResults, withUsernames } = require('./results');
+
+// How much a word counts for depending on where it appears, as in the
+// MongoDB text index
+const FIELD_WEIGHTS = { title: 10, tags: 5, body: 1 };
+
+// How much a word that only resembles a query term counts for
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTOR = 0.5;
+
+const INDEX_FIELDS = 'title tags bodyHtml category author coAuthors publishedAt createdAt status';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'so', 'such', 'that',
+  'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'will', 'with'
+]);
+
+// Strip common English suffixes so "hooks", "hooked" and "hooking" all
+// index as "hook". SEARCH_STEMMING=false indexes words as they are.
+const stem = (word) => {
+  if (process.env.SEARCH_STEMMING === 'false' || word.length <= 4 || /\d/.test(word)) return word;
+
+  let base = word;
+  if (base.endsWith('ies')) return `${base.slice(0, -3)}y`;
+  if (base.endsWith('ing') && base.length > 5) base = base.slice(0, -3);
+  else if (base.endsWith('ed') && base.length > 4) base = base.slice(0, -2);
+  else if (base.endsWith('s') && !base.endsWith('ss')) return base.slice(0, -1);
+  else return base;
+
+  // "running" -> "runn" -> "run"
+  return /([^aeiou])\1$/.test(base) ? base.slice(0, -1) : base;
+};
+
+// Lowercased words without accents, stop words left out
+const tokenize = (text) => (String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word));
+
+// Edit distance between two words, counting a swap of neighbouring
+// letters as one edit, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed in a query term: none in short words, one in most, two
+// in long ones
+const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  return term.length >= 8 ? 2 : 1;
+};
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+// Keeps an inverted index of published posts in this process, with
+// prefix matching ("reac" finds "react") and typo tolerance ("raect"
+// finds "react"). A post matches when every query term, or a word close
+// to it, appears in it. The index is built from the database on first
+// use and kept up to date by the Post model's hooks; it is not shared
+// between server processes.
+const createMemorySearch = () => {
+  // word -> Map(post ID -> weighted count), post ID -> what filters and
+  // facets need plus the words it is under, and the words grouped by
+  // length and by first two letters so that a query term is only compared
+  // with words it could be a typo or a prefix of
+  const emptyIndex = () => ({ postings: new Map(), documents: new Map(), byLength: new Map(), byPrefix: new Map() });
+  let index = emptyIndex();
+  let indexed = false;
+  let building = null;
+  // For each build under way, the IDs synced since it started, re-read
+  // before it is swapped in
+  const pendingSyncs = new Set();
+
+  const group = (groups, key, word) => {
+    if (!groups.has(key)) groups.set(key, new Set());
+    groups.get(key).add(word);
+  };
+
+  const ungroup = (groups, key, word) => {
+    const words = groups.get(key);
+    words.delete(word);
+    if (!words.size) groups.delete(key);
+  };
+
+  const addPost = (post, into = index) => {
+    const id = post._id.toString();
+    const weights = new Map();
+    const count = (text, weight) => tokenize(text).forEach(word => {
+      const term = stem(word);
+      weights.set(term, (weights.get(term) || 0) + weight);
+    });
+
+    count(post.title, FIELD_WEIGHTS.title);
+    post.tags.forEach(tag => count(tag, FIELD_WEIGHTS.tags));
+    count(plainText(post.bodyHtml), FIELD_WEIGHTS.body);
+
+    for (const [term, weight] of weights) {
+      if (!into.postings.has(term)) {
+        into.postings.set(term, new Map());
+        group(into.byLength, term.length, term);
+        group(into.byPrefix, term.slice(0, 2), term);
+      }
+      into.postings.get(term).set(id, weight);
+    }
+
+    into.documents.set(id, {
+      category: post.category,
+      tags: post.tags,
+      people: [post.author, ...post.coAuthors].filter(Boolean),
+      publishedAt: post.publishedAt || post.createdAt,
+      terms: [...weights.keys()]
+    });
+  };
+
+  const removePost = (id, from = index) => {
+    const document = from.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const entries = from.postings.get(term);
+      entries.delete(id);
+      if (!entries.size) {
+        from.postings.delete(term);
+        ungroup(from.byLength, term.length, term);
+        ungroup(from.byPrefix, term.slice(0, 2), term);
+      }
+    }
+    from.documents.delete(id);
+  };
+
+  // Re-read these posts into an index: published ones are (re)indexed,
+  // anything else is dropped
+  const refresh = async (postIds, into) => {
+    const posts = await Post.find({ _id: { $in: postIds }, status: 'published' })
+      .select(INDEX_FIELDS)
+      .lean();
+
+    postIds.forEach(id => removePost(id.toString(), into));
+    posts.forEach(post => addPost(post, into));
+  };
+
+  // Build a fresh index and swap it in once it is complete, so searches
+  // keep working while it is rebuilt. Posts that change meanwhile may have
+  // been read before the change, so they are read again before the swap.
+  const build = async () => {
+    const fresh = emptyIndex();
+    const pending = new Set();
+    pendingSyncs.add(pending);
+    try {
+      const cursor = Post.find({ status: 'published' }).select(INDEX_FIELDS).lean().cursor();
+      for await (const post of cursor) {
+        addPost(post, fresh);
+      }
+
+      while (pending.size) {
+        const postIds = [...pending];
+        pending.clear();
+        await refresh(postIds, fresh);
+      }
+    } finally {
+      pendingSyncs.delete(pending);
+    }
+
+    index = fresh;
+    indexed = true;
+    return index.documents.size;
+  };
+
+  // A failed build is tried again on next use
+  const startBuild = () => {
+    building = build().catch(error => {
+      building = null;
+      throw error;
+    });
+    return building;
+  };
+
+  // Searches only wait for the first build; later ones replace the
+  // index when they are done
+  const ready = () => (indexed ? Promise.resolve() : building || startBuild());
+
+  // Indexed words a query term matches, each with how much it counts for
+  const expand = (term) => {
+    const { postings, byLength, byPrefix } = index;
+    const matches = new Map();
+    if (postings.has(term)) matches.set(term, 1);
+
+    if (term.length >= 2) {
+      for (const word of byPrefix.get(term.slice(0, 2)) || []) {
+        if (!matches.has(word) && word.startsWith(term)) matches.set(word, PREFIX_FACTOR);
+      }
+    }
+
+    const typos = allowedTypos(term);
+    for (let length = term.length - typos; typos && length <= term.length + typos; length++) {
+      for (const word of byLength.get(length) || []) {
+        if (!matches.has(word) && editDistance(term, word, typos) <= typos) matches.set(word, FUZZY_FACTOR);
+      }
+    }
+    return matches;
+  };
+
+  const passesFilters = (document, { category, tag, author, year }) => (
+    (category === undefined || document.category === category) &&
+    (tag === undefined || document.tags.includes(tag)) &&
+    (author === undefined || (author !== null && document.people.some(person => sameId(person, author)))) &&
+    (year === undefined || new Date(document.publishedAt).getUTCFullYear() === year)
+  );
+
+  const countBy = (values, limit) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+      .slice(0, limit);
+  };
+
+  return {
+    name: 'memory',
+
+    async search({ q, filters = {}, page = 1, limit = 10 }) {
+      await ready();
+      const { postings, documents } = index;
+
+      const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+      const excluded = new Set(words.filter(word => word.startsWith('-')).flatMap(tokenize).map(stem));
+      const terms = [...new Set(words.filter(word => !word.startsWith('-')).flatMap(tokenize).map(stem))];
+
+      // Score every post that matches all the terms
+      const totalPosts = documents.size;
+      let scores = null;
+      const matchedWords = [];
+      for (const term of terms) {
+        const termScores = new Map();
+        for (const [word, factor] of expand(term)) {
+          matchedWords.push(word);
+          const entries = postings.get(word);
+          const idf = Math.log(1 + totalPosts / entries.size);
+          for (const [id, weight] of entries) {
+            termScores.set(id, Math.max(termScores.get(id) || 0, weight * factor * idf));
+          }
+        }
+
+        scores = scores
+          ? new Map([...scores].filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]))
+          : termScores;
+      }
+
+      const matches = [...(scores || [])]
+        .filter(([id]) => ![...excluded].some(word => postings.get(word)?.has(id)))
+        .map(([id, score]) => ({ id, score, ...documents.get(id) }))
+        .filter(match => passesFilters(match, filters))
+        .sort((a, b) => b.score - a.score || new Date(b.publishedAt) - new Date(a.publishedAt));
+
+      const pageMatches = matches.slice((page - 1) * limit, page * limit);
+      const posts = await Post.find({ _id: { $in: pageMatches.map(match => match.id) } })
+        .select(RESULT_FIELDS.join(' '))
+        .populate('author', 'username')
+        .populate('coAuthors', 'username')
+        .lean();
+      const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+      return {
+        results: toResults(
+          pageMatches
+            .filter(match => byId.has(match.id))
+            .map(match => ({ ...byId.get(match.id), score: match.score })),
+          matchedWords
+        ),
+        facets: {
+          categories: countBy(matches.map(match => match.category)),
+          tags: countBy(matches.flatMap(match => match.tags), FACET_LIMIT),
+          authors: await withUsernames(
+            countBy(matches.flatMap(match => match.people.map(person => person.toString())), FACET_LIMIT)
+          ),
+          years: countBy(matches.map(match => new Date(match.publishedAt).getUTCFullYear()))
+            .sort((a, b) => b.value - a.value)
+        },
+        total: matches.length
+      };
+    },
+
+    // Bring these posts up to date in the index, and in the one being
+    // built if a rebuild is under way
+    async sync(postIds) {
+      pendingSyncs.forEach(pending => postIds.forEach(id => pending.add(id.toString())));
+      if (!building) return;
+
+      await refresh(postIds, index);
+    },
+
+    // Rebuild the index from scratch
+    async reindex() {
+      return startBuild();
+    }
+  };
+};
+
+module.exports = { createMemorySearch };
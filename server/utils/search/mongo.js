@@ -0,0 +1,118 @@
+const Post = require('../../models/Post');
+const { FACET_LIMIT, RESULT_FIELDS, queryTerms, toResults, withUsernames } = require('./results');
+
+// The search filters as a query on posts
+const toQuery = ({ category, tag, author, year }) => {
+  const query = {};
+
+  if (category !== undefined) query.category = category;
+  if (tag !== undefined) query.tags = tag;
+
+  // Posts the author wrote or co-wrote; null is an unknown author
+  if (author === null) {
+    query._id = null;
+  } else if (author !== undefined) {
+    query.$or = [{ author }, { coAuthors: author }];
+  }
+
+  if (year !== undefined) {
+    query.publishedAt = {
+      $gte: new Date(Date.UTC(year, 0, 1)),
+      $lt: new Date(Date.UTC(year + 1, 0, 1))
+    };
+  }
+
+  return query;
+};
+
+// The text index the Post model defines, as [fields, options]
+const definedTextIndex = () => Post.schema.indexes()
+  .find(([fields]) => Object.values(fields).includes('text'));
+
+// Whether an index in the database matches the definition
+const matchesDefinition = (index, [fields, options]) => {
+  const weights = index.weights || {};
+  return index.name === options.name &&
+    Object.keys(weights).length === Object.keys(fields).length &&
+    Object.keys(fields).every(field => weights[field] === (options.weights[field] || 1));
+};
+
+const toFacet = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+// Searches with MongoDB's text index on posts, which weighs matches in the
+// title most, then tags, then the body. The index is kept up to date by
+// MongoDB itself.
+const createMongoSearch = () => ({
+  name: 'mongo',
+
+  async search({ q, filters = {}, page = 1, limit = 10 }) {
+    const match = { ...toQuery(filters), status: 'published', $text: { $search: q } };
+
+    const posts = await Post.find(match)
+      .select({ ...Object.fromEntries(RESULT_FIELDS.map(field => [field, 1])), score: { $meta: 'textScore' } })
+      .populate('author', 'username')
+      .populate('coAuthors', 'username')
+      .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const [facets] = await Post.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT }
+          ],
+          authors: [
+            { $project: { people: { $concatArrays: [['$author'], { $ifNull: ['$coAuthors', []] }] } } },
+            { $unwind: '$people' },
+            { $group: { _id: '$people', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT }
+          ],
+          years: [
+            { $group: { _id: { $year: { $ifNull: ['$publishedAt', '$createdAt'] } }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      results: toResults(posts, queryTerms(q)),
+      facets: {
+        categories: toFacet(facets.categories),
+        tags: toFacet(facets.tags),
+        authors: await withUsernames(toFacet(facets.authors)),
+        years: toFacet(facets.years)
+      },
+      total: facets.total.length ? facets.total[0].count : 0
+    };
+  },
+
+  // Bring the text index in line with the Post model. MongoDB keeps the
+  // index up to date itself, so one that already matches stays in place
+  // and searches carry on working. A collection can only have one text
+  // index, so one that differs is dropped before its replacement is built,
+  // and searches fail until it is (see isTextIndexMissing).
+  async reindex() {
+    const indexes = await Post.collection.indexes();
+    const text = indexes.find(index => index.key._fts === 'text');
+    if (text && !matchesDefinition(text, definedTextIndex())) {
+      await Post.collection.dropIndex(text.name);
+    }
+    await Post.createIndexes();
+    return Post.countDocuments({ status: 'published' });
+  }
+});
+
+module.exports = { createMongoSearch };
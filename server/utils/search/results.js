@@ -0,0 +1,100 @@
+const User = require('../../models/User');
+const { plainText } = require('../feeds');
+
+// What every provider returns for a result, and how it presents it
+
+const SNIPPET_LENGTH = 200;
+const FACET_LIMIT = 20;
+
+const RESULT_FIELDS = [
+  'title', 'slug', 'bodyHtml', 'author', 'coAuthors', 'category', 'tags',
+  'coverImage', 'publishedAt', 'views', 'reactionCount'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The words of a query worth highlighting, leaving out excluded "-words"
+const queryTerms = (q) => [...new Set(
+  q.toLowerCase()
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .flatMap(word => word.match(/[\p{L}\p{N}]+/gu) || [])
+)];
+
+// Matches any word starting with one of the terms, so that the stems
+// providers match on highlight the whole word
+const termPattern = (terms) => terms.length > 0 && new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`,
+  'giu'
+);
+
+// Escape text for HTML, wrapping every match in <mark>
+const highlight = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+// A passage of about SNIPPET_LENGTH characters around the first match,
+// cut at word boundaries
+const snippetOf = (text, pattern) => {
+  const first = pattern ? text.search(pattern) : -1;
+
+  let start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space >= 0 && space < first) start = space + 1;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > Math.max(start, first)) end = space;
+  }
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Posts as search results, with their titles and an excerpt highlighted
+// wherever one of the terms appears
+const toResults = (posts, terms) => {
+  const pattern = termPattern(terms);
+
+  return posts.map(({ bodyHtml, ...post }) => ({
+    ...post,
+    highlights: {
+      title: highlight(post.title, pattern),
+      excerpt: highlight(snippetOf(plainText(bodyHtml), pattern), pattern)
+    }
+  }));
+};
+
+// Facet buckets of author IDs as usernames, leaving out deleted accounts
+const withUsernames = async (buckets) => {
+  const people = await User.find({ _id: { $in: buckets.map(bucket => bucket.value) } }).select('username');
+  const usernames = new Map(people.map(person => [person._id.toString(), person.username]));
+
+  return buckets
+    .filter(bucket => usernames.has(bucket.value.toString()))
+    .map(bucket => ({ ...bucket, value: usernames.get(bucket.value.toString()) }));
+};
+
+module.exports = {
+  FACET_LIMIT,
+  RESULT_FIELDS,
+  queryTerms,
+  toResults,
+  withUsernames
+};
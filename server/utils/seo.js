@@ -0,0 +1,141 @@
+const { escapeXml, excerptOf } = require('./feeds');
+const { appUrl, siteTitle } = require('./site');
+
+// The sitemap protocol allows at most 50,000 URLs per file
+const MAX_SITEMAP_URLS = 50000;
+
+const buildUrlset = (entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...entries.map(({ loc, lastmod }) => (
+    `<url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</url>`
+  )),
+  '</urlset>'
+].join('\n');
+
+const buildSitemapIndex = (entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...entries.map(({ loc, lastmod }) => (
+    `<sitemap><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</sitemap>`
+  )),
+  '</sitemapindex>'
+].join('\n');
+
+// Pages of the app that are private to signed-in users or not worth
+// indexing
+const DEFAULT_DISALLOW = [
+  '/api/', '/login', '/new', '/drafts', '/reviews', '/moderation', '/users',
+  '/categories', '/security', '/sessions', '/reset-password', '/verify-email',
+  '/posts/*/edit'
+];
+
+// ROBOTS_POLICY=disallow keeps every crawler out, e.g. on a staging site.
+// Otherwise ROBOTS_DISALLOW, a comma-separated list of paths, replaces the
+// default list of pages kept out of search engines.
+const buildRobots = (sitemapUrl) => {
+  if (process.env.ROBOTS_POLICY === 'disallow') {
+    return 'User-agent: *\nDisallow: /\n';
+  }
+
+  const disallow = process.env.ROBOTS_DISALLOW
+    ? process.env.ROBOTS_DISALLOW.split(',').map(rule => rule.trim()).filter(Boolean)
+    : DEFAULT_DISALLOW;
+
+  return [
+    'User-agent: *',
+    ...(disallow.length ? disallow.map(rule => `Disallow: ${rule}`) : ['Disallow:']),
+    '',
+    `Sitemap: ${sitemapUrl}`,
+    ''
+  ].join('\n');
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const meta = (attribute, key, content) => (
+  `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(content)}" />`
+);
+
+// JSON inside a <script> element, where "</script>" would end it early
+const jsonLd = (data) => (
+  `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`
+);
+
+// Everything link previews and search engines read about a post: Open
+// Graph, Twitter Card and a schema.org BlogPosting. Relative cover images
+// are resolved against origin, where uploads are served.
+const postHead = (post, origin) => {
+  const url = appUrl(`/posts/${post.slug}`);
+  const description = excerptOf(post.bodyHtml, 200);
+  const image = post.coverImage ? new URL(post.coverImage, origin).href : undefined;
+  const authors = [post.author, ...post.coAuthors].filter(Boolean);
+  const published = (post.publishedAt || post.createdAt).toISOString();
+  const modified = post.updatedAt.toISOString();
+
+  return {
+    title: `${post.title} | ${siteTitle()}`,
+    description,
+    tags: [
+      `<link rel="canonical" href="${escapeHtml(url)}" />`,
+      meta('property', 'og:type', 'article'),
+      meta('property', 'og:site_name', siteTitle()),
+      meta('property', 'og:title', post.title),
+      meta('property', 'og:description', description),
+      meta('property', 'og:url', url),
+      ...(image ? [meta('property', 'og:image', image)] : []),
+      meta('property', 'article:published_time', published),
+      meta('property', 'article:modified_time', modified),
+      ...authors.map(author => meta('property', 'article:author', appUrl(`/authors/${encodeURIComponent(author.username)}`))),
+      meta('property', 'article:section', post.category),
+      ...post.tags.map(tag => meta('property', 'article:tag', tag)),
+      meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+      meta('name', 'twitter:title', post.title),
+      meta('name', 'twitter:description', description),
+      ...(image ? [meta('name', 'twitter:image', image)] : []),
+      jsonLd({
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description,
+        ...(image && { image: [image] }),
+        datePublished: published,
+        dateModified: modified,
+        author: authors.map(author => ({
+          '@type': 'Person',
+          name: author.username,
+          url: appUrl(`/authors/${encodeURIComponent(author.username)}`)
+        })),
+        publisher: { '@type': 'Organization', name: siteTitle(), url: appUrl('/') },
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+        articleSection: post.category,
+        keywords: post.tags.join(', ')
+      })
+    ]
+  };
+};
+
+// Put a page's title, description and extra tags into the client's
+// index.html in place of its defaults
+const injectHead = (template, { title, description, tags = [] }) => template
+  .replace(/<title>[\s\S]*?<\/title>/i, '')
+  .replace(/<meta\s+name="description"[^>]*>/i, '')
+  .replace(/<\/head>/i, () => [
+    `<title>${escapeHtml(title)}</title>`,
+    meta('name', 'description', description),
+    ...tags,
+    '</head>'
+  ].join('\n'));
+
+module.exports = {
+  MAX_SITEMAP_URLS,
+  buildUrlset,
+  buildSitemapIndex,
+  buildRobots,
+  postHead,
+  injectHead
+};
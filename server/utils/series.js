@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Series = require('../models/Series');
+const { canViewPost } = require('./permissions');
+
+const MAX_SERIES_POSTS = 100;
+
+// Post fields needed to decide who can see a part and to link to it
+const SERIES_POST_FIELDS = 'title slug status author coAuthors reviewState reviewers publishedAt';
+
+// The parts of a series the user can see, in order
+const visibleParts = (series, user) => series.posts.filter(post => post && canViewPost(user, post));
+
+const toPartLink = (post) => post && { _id: post._id, title: post.title, slug: post.slug };
+
+// Where a post sits in its series, for "Part N of M" navigation. Parts the
+// user cannot see are left out of the numbering.
+const seriesContext = async (post, user) => {
+  const series = await Series.findOne({ posts: post._id }).populate('posts', SERIES_POST_FIELDS);
+  if (!series) return null;
+
+  const parts = visibleParts(series, user);
+  const index = parts.findIndex(part => part._id.equals(post._id));
+  if (index === -1) return null;
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    part: index + 1,
+    total: parts.length,
+    previous: toPartLink(parts[index - 1]) || null,
+    next: toPartLink(parts[index + 1]) || null
+  };
+};
+
+// Check the posts requested for a series. Each must exist, be visible to
+// the user and not already belong to a different series.
+const resolveSeriesPosts = async (ids, user, seriesId) => {
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'Posts must be a list of post IDs' };
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > MAX_SERIES_POSTS) {
+    return { error: `A series can have at most ${MAX_SERIES_POSTS} posts` };
+  }
+
+  const posts = await Post.find({ _id: { $in: unique } }).select(SERIES_POST_FIELDS);
+  if (posts.length !== unique.length || !posts.every(post => canViewPost(user, post))) {
+    return { error: 'One or more posts could not be found' };
+  }
+
+  const taken = await Series.findOne({ _id: { $ne: seriesId }, posts: { $in: unique } }).select('title posts');
+  if (taken) {
+    const post = posts.find(candidate => taken.posts.some(id => id.equals(candidate._id)));
+    return { error: `"${post.title}" is already part of the series "${taken.title}"` };
+  }
+
+  return { posts: unique };
+};
+
+module.exports = { SERIES_POST_FIELDS, visibleParts, seriesContext, resolveSeriesPosts };
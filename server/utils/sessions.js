@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE = 'blogRefresh';
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>", so the session can be found
+// without storing the secret itself
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const system = (systems.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Short-lived token sent with every API request. It names its session so
+// that revoking the session stops the token working straight away.
+const generateAccessToken = (user, session) => {
+  return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const createSession = async (user, req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const secret = newSecret();
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+
+  const refreshToken = `${session._id}.${secret}`;
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. A token that was already used
+// means it has leaked, so the whole session is revoked. The token replaced
+// moments ago still works, but is not rotated again (refreshToken is null).
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const presentedHash = hashToken(secret);
+  const nextSecret = newSecret();
+  const now = new Date();
+
+  // Only one of several refreshes presenting the current token at once
+  // gets to rotate it; the others find it already replaced
+  const rotated = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHash: presentedHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ip: req.ip
+    },
+    { new: true }
+  );
+  if (rotated) {
+    return { session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive) return null;
+
+  const inGracePeriod = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+  if (presentedHash === session.previousTokenHash && inGracePeriod) {
+    return { session, refreshToken: null };
+  }
+
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date() });
+  console.warn(`Refresh token reuse detected; revoked session ${session._id}`);
+  return null;
+};
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth'
+});
+
+const setRefreshCookie = (res, refreshToken, session) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: session.expiresAt
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// Start a session for the user: the refresh token goes in an httpOnly
+// cookie and the short-lived access token is returned
+const startSession = async (user, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken, session);
+  return generateAccessToken(user, session);
+};
+
+const readRefreshCookie = (req) => req.cookies && req.cookies[REFRESH_COOKIE];
+
+// Revoke a session from its refresh token, whether or not it is still valid
+const revokeByRefreshToken = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId || '')) return;
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Find the active session an access token belongs to
+const findActiveSession = (userId, sessionId) => Session.findOne({
+  _id: sessionId,
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  startSession,
+  rotateSession,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  revokeByRefreshToken,
+  findActiveSession,
+  describeDevice
+};
@@ -0,0 +1,17 @@
+const path = require('path');
+
+// How the blog presents itself to the outside world: where its pages live
+// and what it is called, for feeds, sitemaps and link previews
+
+// Absolute URL of a page of the client app
+const appUrl = (pathname = '') => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+const siteTitle = () => process.env.SITE_TITLE || 'Modern Blog';
+
+const siteDescription = () => process.env.SITE_DESCRIPTION || 'Discover amazing content from our community';
+
+// The production build of the client, whose index.html is the shell
+// every page of the app is served in
+const clientBuildDir = () => process.env.CLIENT_BUILD_DIR || path.join(__dirname, '..', '..', 'client', 'build');
+
+module.exports = { appUrl, siteTitle, siteDescription, clientBuildDir };
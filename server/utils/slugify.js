@@ -0,0 +1,41 @@
+const MAX_SLUG_LENGTH = 80;
+
+// Turn arbitrary text into a URL-safe slug: lowercase ASCII letters,
+// digits and single hyphens, e.g. "Hello, Wörld!" -> "hello-world"
+const slugify = (text = '') => {
+  return text
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, '');
+};
+
+// Find a slug based on `base` that no other document in `Model` uses,
+// either as its current slug or as one kept for redirects. Appends -2,
+// -3, ... until a free one is found.
+const generateUniqueSlug = async (Model, base, excludeId) => {
+  const root = slugify(base) || 'post';
+  let candidate = root;
+  let suffix = 2;
+
+  const isTaken = (slug) => {
+    const query = { $or: [{ slug }, { previousSlugs: slug }] };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    return Model.exists(query);
+  };
+
+  while (await isTaken(candidate)) {
+    const ending = `-${suffix++}`;
+    candidate = `${root.slice(0, MAX_SLUG_LENGTH - ending.length).replace(/-+$/g, '')}${ending}`;
+  }
+
+  return candidate;
+};
+
+module.exports = { slugify, generateUniqueSlug };
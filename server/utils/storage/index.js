@@ -0,0 +1,43 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+// Every storage backend exposes the same interface:
+//   save(key, buffer, contentType) -> Promise<publicUrl>
+//   remove(key)                    -> Promise<void>
+// Pick one with STORAGE_DRIVER (local by default).
+let storage = null;
+
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      storage = createLocalStorage({
+        directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+        publicPath: '/uploads'
+      });
+      break;
+    case 's3': {
+      // Only load the AWS SDK when it is actually used
+      const { createS3Storage } = require('./s3');
+      storage = createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  return storage;
+};
+
+module.exports = { getStorage };
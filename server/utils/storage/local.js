@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk. Express serves `directory` at `publicPath`
+// (see server.js), so the URL of a stored file is publicPath + key.
+const createLocalStorage = ({ directory, publicPath = '/uploads' }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    publicPath,
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicPath}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,43 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Stores files in any S3-compatible object store (AWS S3, MinIO, R2, ...).
+// Objects are expected to be publicly readable through `publicUrl`.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  const baseUrl = (publicUrl || `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,12 @@
+const MAX_TAG_LENGTH = 50;
+
+// Tags are compared without regard to case or spacing, so they are stored
+// lowercase with runs of whitespace collapsed: " React  Hooks" -> "react hooks"
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Normalize a list of tags, dropping empty ones and duplicates
+const normalizeTags = (tags) => [
+  ...new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean))
+];
+
+module.exports = { MAX_TAG_LENGTH, normalizeTag, normalizeTags };
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const STAFF_ROLES = ['Admin', 'Editor'];
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// New one-time recovery codes such as "3f9a-c21e". Returns the codes to
+// show the user once, and the hashes to store.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Check an authenticator code or a recovery code for a user loaded with
+// the two-factor secret fields. Marks what was used; the caller saves.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step === null) return false;
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const match = (twoFactor.recoveryCodes || []).find(stored => !stored.usedAt && stored.hash === hash);
+    if (!match) return false;
+    match.usedAt = new Date();
+    return true;
+  }
+
+  return false;
+};
+
+const remainingRecoveryCodes = (user) =>
+  (user.twoFactor.recoveryCodes || []).filter(stored => !stored.usedAt).length;
+
+// Whether the site policy requires this user to use two-factor sign-in
+const isTwoFactorRequired = async (user) => {
+  if (!STAFF_ROLES.includes(user.role)) return false;
+  const policy = await SecurityPolicy.getCachedPolicy();
+  return policy.requireTwoFactorForStaff;
+};
+
+// Signed token proving the password step of a login succeeded. It can only
+// be exchanged for a session together with a valid second factor.
+const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: 'two-factor-login' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor-login' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+  isTwoFactorRequired,
+  createLoginChallenge,
+  readLoginChallenge
+};